@@ -0,0 +1,5853 @@
+import express from "express";
+import multer from "multer";
+import cors from "cors";
+import jwt from "jsonwebtoken";
+import rateLimit from "express-rate-limit";
+import bcrypt from "bcrypt";
+import crypto from "crypto";
+import net from "net";
+import dns from "dns";
+import http from "http";
+import https from "https";
+import { fileURLToPath } from "url";
+import { generatePaymentReference, PaymentProviderError } from "./payments.js";
+import { parseCsv, toCsv, CsvParseError } from "./csv.js";
+import { createLoggerFromEnv } from "./logger.js";
+import { createMetricsRegistry, METRICS_CONTENT_TYPE } from "./metrics.js";
+import { describeImageSizes, inspectImage, ImageReadError } from "./images.js";
+import {
+  validate,
+  describeErrors,
+  idParams,
+  pageQuery,
+  registerSchema,
+  loginSchema,
+  refreshTokenSchema,
+  verifyEmailSchema,
+  forgotPasswordSchema,
+  resetPasswordSchema,
+  profileSchema,
+  changePasswordSchema,
+  deleteAccountSchema,
+  userListQuery,
+  userRoleSchema,
+  userStatusSchema,
+  productListQuery,
+  productSchema,
+  productUpdateSchema,
+  variantParams,
+  imageParams,
+  variantSchema,
+  variantUpdateSchema,
+  imageOrderSchema,
+  stockAdjustmentSchema,
+  lowStockQuery,
+  importQuery,
+  categorySchema,
+  categoryUpdateSchema,
+  brandSchema,
+  brandUpdateSchema,
+  reviewParams,
+  reviewListQuery,
+  reviewSchema,
+  reviewUpdateSchema,
+  reviewModerationQuery,
+  reviewStatusSchema,
+  wishlistParams,
+  wishlistItemSchema,
+  wishlistUpdateSchema,
+  notificationParams,
+  notificationQuery,
+  promotionSchema,
+  promotionUpdateSchema,
+  promotionListQuery,
+  quoteSchema,
+  checkoutSchema,
+  paymentListQuery,
+  auditLogQuery,
+} from "./validation.js";
+
+// ============================================
+// APP FACTORY
+// ============================================
+//
+//  createApp({ pool, storage, mailer, cache, paymentProvider, logger }) builds the Express
+//  app with every route and returns { app, purgeArchivedProducts,
+//  expireUnpaidOrders, closeEventStreams }. It never listens or schedules
+//  anything itself — server.js does that with the real dependencies, the
+//  tests with a throwaway schema and in-memory stubs:
+//
+//    pool             — a pg Pool on a migrated database
+//    storage          — an image storage driver (see storage.js)
+//    mailer           — a mail driver (see mailer.js)
+//    cache            — a cache driver (see cache.js); null disables caching
+//    paymentProvider  — see payments.js; null disables the payment routes
+//    logger           — see logger.js; defaults to one set up from LOG_LEVEL
+//
+//  Settings such as JWT_SECRET and the TTLs are read from process.env when
+//  createApp is called, so load .env before calling it.
+//
+// ============================================
+
+const PAYMENT_WEBHOOK_PATH = "/api/payments/webhook";
+
+export const createApp = ({ pool, storage, mailer, cache = null, paymentProvider = null, logger = createLoggerFromEnv() }) => {
+  // Where emailed links point — the storefront handles the token pages
+  const APP_URL = (process.env.APP_URL || "https://bright-nal.vercel.app").replace(/\/$/, "");
+
+  // ============================================
+  // OBSERVABILITY
+  // ============================================
+  //
+  //  Every request gets an ID: the caller's X-Request-Id if it looks sane (a
+  //  proxy or the admin page may send one), otherwise a new UUID. It goes back
+  //  in the X-Request-Id response header and onto every line logged through
+  //  req.log, so a user's failed request can be found in the logs.
+  //
+  //  Each finished request writes one access log line and feeds the http_*
+  //  metrics. Routes are labelled by pattern ("/api/products/:id"), never by
+  //  raw URL, so the number of series stays bounded.
+  //
+  // ============================================
+
+  const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+  const metrics = createMetricsRegistry();
+
+  const httpRequests = metrics.counter({
+    name: "http_requests_total",
+    help: "HTTP requests by method, route and status code",
+    labelNames: ["method", "route", "status"],
+  });
+
+  const httpRequestDuration = metrics.histogram({
+    name: "http_request_duration_seconds",
+    help: "HTTP request latency in seconds by method, route and status code",
+    labelNames: ["method", "route", "status"],
+  });
+
+  const imageUploadDuration = metrics.histogram({
+    name: "image_upload_duration_seconds",
+    help: "Time taken to store one image, by storage driver and outcome",
+    labelNames: ["storage", "outcome"],
+    buckets: [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30],
+  });
+
+  const productCacheRequests = metrics.counter({
+    name: "product_cache_requests_total",
+    help: "Public product reads by cache result (hit, miss or error)",
+    labelNames: ["result"],
+  });
+
+  metrics.gauge({
+    name: "pg_pool_clients",
+    help: "Postgres pool clients by state",
+    labelNames: ["state"],
+    collect: (gauge) => {
+      gauge.set({ state: "idle" }, pool.idleCount);
+      gauge.set({ state: "active" }, pool.totalCount - pool.idleCount);
+    },
+  });
+
+  metrics.gauge({
+    name: "pg_pool_max_clients",
+    help: "Most clients the Postgres pool will open",
+    collect: (gauge) => gauge.set({}, pool.options.max),
+  });
+
+  metrics.gauge({
+    name: "pg_pool_waiting_requests",
+    help: "Queries waiting for a free Postgres pool client",
+    collect: (gauge) => gauge.set({}, pool.waitingCount),
+  });
+
+  // Requests that never matched a route (404s, rate-limited calls) share one label
+  const routeLabel = (req) => (req.route ? `${req.baseUrl}${req.route.path}` : "unmatched");
+
+  // Probes and scrapes arrive every few seconds — only log them at debug level
+  const isProbe = (req) => req.path === "/metrics" || req.path.startsWith("/api/health");
+
+  const trackRequest = (req, res, next) => {
+    const incomingId = req.get("x-request-id");
+    req.id = incomingId && REQUEST_ID_PATTERN.test(incomingId) ? incomingId : crypto.randomUUID();
+    req.log = logger.child({ requestId: req.id });
+    res.setHeader("X-Request-Id", req.id);
+
+    const endTimer = httpRequestDuration.startTimer();
+    res.on("finish", () => {
+      const labels = { method: req.method, route: routeLabel(req), status: res.statusCode };
+      const seconds = endTimer(labels);
+      httpRequests.inc(labels);
+
+      let level = "info";
+      if (res.statusCode >= 500) level = "error";
+      else if (isProbe(req)) level = "debug";
+
+      req.log[level]("Request completed", {
+        method: req.method,
+        path: req.originalUrl,
+        route: labels.route,
+        status: res.statusCode,
+        durationMs: Number((seconds * 1000).toFixed(1)),
+        bytes: Number(res.get("content-length")) || 0,
+        ip: req.ip,
+        userId: req.user?.id ?? null,
+        userAgent: req.get("user-agent") || null,
+      });
+    });
+    next();
+  };
+
+  // ============================================
+  // APP SETUP
+  // ============================================
+
+  const app = express();
+  app.set("trust proxy", 1);
+  app.use(trackRequest);
+  // The webhook signature is computed over the exact bytes the provider sent,
+  // so that path gets the raw Buffer. body-parser marks the request as parsed,
+  // which makes the JSON parser below skip it.
+  app.use(PAYMENT_WEBHOOK_PATH, express.raw({ type: "*/*", limit: "100kb" }));
+  app.use(express.json({ limit: "10kb" }));
+  app.use(express.static("public"));
+  if (storage.staticMount) {
+    app.use(storage.staticMount.urlPath, express.static(storage.staticMount.directory));
+  }
+
+  // ============================================
+  // CORS
+  // ============================================
+
+  const allowedOrigins = [
+    "https://brightnal-backend.vercel.app",
+    "https://bright-nal.vercel.app",
+    "http://localhost:7700",
+  ];
+
+  app.use(
+    cors({
+      origin: (origin, callback) => {
+        if (!origin || allowedOrigins.includes(origin)) {
+          return callback(null, true);
+        }
+        return callback(new Error("Not allowed by CORS"));
+      },
+      methods: ["GET", "POST", "PUT", "DELETE", "OPTIONS"],
+      allowedHeaders: ["Content-Type", "Authorization", "X-Request-Id", "Last-Event-ID"],
+      exposedHeaders: ["X-Request-Id"],
+      credentials: true,
+    })
+  );
+
+  // ============================================
+  // RATE LIMITERS
+  // ============================================
+
+  const authLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000,
+    max: 10,
+    message: { success: false, message: "Too many attempts, try again later" },
+    standardHeaders: true,
+    legacyHeaders: false,
+  });
+
+  const apiLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000,
+    max: 100,
+    message: { success: false, message: "Too many requests, try again later" },
+    standardHeaders: true,
+    legacyHeaders: false,
+    // Gateway webhooks are signature-checked and retried on failure, and load
+    // balancer health probes come from one address every few seconds — don't
+    // throttle either
+    skip: (req) => req.originalUrl.startsWith(PAYMENT_WEBHOOK_PATH) || req.originalUrl.startsWith("/api/health"),
+  });
+
+  app.use("/api/", apiLimiter);
+
+  // ============================================
+  // MULTER
+  // ============================================
+
+  const MAX_PRODUCT_IMAGES = 8;
+  const MAX_IMAGE_BYTES = 5 * 1024 * 1024;
+
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_IMAGE_BYTES, files: MAX_PRODUCT_IMAGES },
+    fileFilter: (req, file, cb) => {
+      if (!file.mimetype.startsWith("image/")) {
+        return cb(new Error("Only image files are allowed"));
+      }
+      cb(null, true);
+    },
+  });
+
+  // "images" is the gallery field; "image" is the original single-file field,
+  // still accepted so older admin clients keep working
+  const productImageUpload = upload.fields([
+    { name: "images", maxCount: MAX_PRODUCT_IMAGES },
+    { name: "image", maxCount: 1 },
+  ]);
+
+  // Catalog imports arrive as a single "file" field. Browsers report CSV under
+  // a few different types, so the extension counts too.
+  const csvUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: 2 * 1024 * 1024, files: 1 },
+    fileFilter: (req, file, cb) => {
+      const isCsv = ["text/csv", "application/vnd.ms-excel"].includes(file.mimetype) ||
+        file.originalname.toLowerCase().endsWith(".csv");
+      if (!isCsv) {
+        return cb(new Error("Only CSV files are allowed"));
+      }
+      cb(null, true);
+    },
+  }).single("file");
+
+  // ============================================
+  // MIDDLEWARE
+  // ============================================
+
+  // Verifies the JWT, then checks it against the user's current row: tokens
+  // from before a "log out all devices" (token_version bump) or carrying a
+  // role the user no longer has are rejected even if they haven't expired,
+  // and so is every token of a disabled account.
+  const authenticateToken = async (req, res, next) => {
+    const authHeader = req.headers.authorization;
+    const token = authHeader && authHeader.split(" ")[1];
+
+    if (!token) {
+      return res.status(401).json({ success: false, message: "Access token required" });
+    }
+
+    let payload;
+    try {
+      payload = jwt.verify(token, process.env.JWT_SECRET);
+    } catch (error) {
+      if (error.name === "TokenExpiredError") {
+        return res.status(401).json({ success: false, message: "Token expired", expired: true });
+      }
+      return res.status(403).json({ success: false, message: "Invalid token" });
+    }
+
+    try {
+      const result = await pool.query(
+        "SELECT id, email, role, token_version, email_verified_at, disabled_at FROM users WHERE id = $1",
+        [payload.id]
+      );
+      const user = result.rows[0];
+      if (!user || user.token_version !== payload.tv || user.role !== payload.role) {
+        return res.status(401).json({ success: false, message: "Session has been revoked", revoked: true });
+      }
+      if (user.disabled_at) {
+        return res.status(403).json({ success: false, message: "This account has been disabled", disabled: true });
+      }
+
+      req.user = { id: user.id, email: user.email, role: user.role, emailVerified: !!user.email_verified_at };
+      next();
+    } catch (err) {
+      req.log.error("Auth lookup error", { err });
+      res.status(500).json({ success: false, message: "Authentication failed" });
+    }
+  };
+
+  // Must run after authenticateToken — relies on req.user from the JWT
+  const authorizeRoles = (...roles) => (req, res, next) => {
+    if (!req.user || !roles.includes(req.user.role)) {
+      return res.status(403).json({ success: false, message: "Insufficient permissions" });
+    }
+    next();
+  };
+
+  const requireAdmin = [authenticateToken, authorizeRoles("admin")];
+
+  // Must run after authenticateToken — for actions that spend money or stock
+  const requireVerifiedEmail = (req, res, next) => {
+    if (!req.user?.emailVerified) {
+      return res.status(403).json({
+        success: false,
+        message: "Please verify your email address first",
+        emailVerificationRequired: true,
+      });
+    }
+    next();
+  };
+
+  // Every validation failure answers with this shape: message for clients that
+  // only show one line, errors for ones that mark up individual fields
+  const sendValidationErrors = (res, errors) =>
+    res.status(400).json({ success: false, message: `Invalid input: ${describeErrors(errors)}`, errors });
+
+  // Checks params, query and body against their schemas (see validation.js)
+  // and swaps in the cleaned values, so handlers only see typed, trimmed input.
+  // Runs after multer on multipart routes — the body doesn't exist before.
+  const validateRequest = (schemas) => (req, res, next) => {
+    const errors = [];
+    for (const part of ["params", "query", "body"]) {
+      if (!schemas[part]) continue;
+      const result = validate(schemas[part], req[part]);
+      errors.push(...result.errors);
+      req[part] = result.values;
+    }
+    if (errors.length > 0) {
+      return sendValidationErrors(res, errors);
+    }
+    next();
+  };
+
+  // ============================================
+  // HELPERS
+  // ============================================
+
+  // Thrown from inside route logic (usually a transaction) to bail out with a
+  // specific status. Route catch blocks turn it into the usual JSON response.
+  class ApiError extends Error {
+    constructor(status, message, details) {
+      super(message);
+      this.status = status;
+      this.details = details;
+    }
+  }
+
+  // Runs fn(client) inside BEGIN/COMMIT on a dedicated pool client,
+  // rolling back if it throws
+  const withTransaction = async (fn) => {
+    const client = await pool.connect();
+    try {
+      await client.query("BEGIN");
+      const result = await fn(client);
+      await client.query("COMMIT");
+      return result;
+    } catch (err) {
+      await client.query("ROLLBACK").catch(() => {});
+      throw err;
+    } finally {
+      client.release();
+    }
+  };
+
+  const parsePositiveInt = (value) => {
+    const n = Number(value);
+    return Number.isInteger(n) && n > 0 ? n : null;
+  };
+
+  // ---------- SESSIONS ----------
+
+  const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || "15m";
+  const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 14;
+
+  const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+  const signAccessToken = (user) =>
+    jwt.sign(
+      { id: user.id, email: user.email, role: user.role, tv: user.token_version },
+      process.env.JWT_SECRET,
+      { expiresIn: ACCESS_TOKEN_TTL }
+    );
+
+  // Issues an access token plus a new refresh token. Pass familyId when
+  // rotating so the new token joins the chain it replaces.
+  const issueSession = async (db, user, req, familyId = crypto.randomUUID()) => {
+    const refreshToken = crypto.randomBytes(48).toString("base64url");
+    const result = await db.query(
+      `INSERT INTO refresh_tokens (user_id, token_hash, family_id, expires_at, user_agent, ip)
+       VALUES ($1, $2, $3, NOW() + make_interval(days => $4), $5, $6)
+       RETURNING id, expires_at`,
+      [user.id, hashToken(refreshToken), familyId, REFRESH_TOKEN_TTL_DAYS, req.get("user-agent") || null, req.ip]
+    );
+
+    return {
+      id: result.rows[0].id,
+      tokens: {
+        token: signAccessToken(user),
+        refreshToken,
+        expiresIn: ACCESS_TOKEN_TTL,
+        refreshTokenExpiresAt: result.rows[0].expires_at,
+      },
+    };
+  };
+
+  // ---------- EMAILED TOKENS ----------
+
+  const USER_TOKEN_TTL_MINUTES = {
+    email_verification: 24 * 60,
+    password_reset: 60,
+  };
+
+  // Creates a single-use token for an emailed link. Any earlier unused token
+  // for the same purpose is retired so only the newest link works.
+  const createUserToken = async (db, userId, purpose) => {
+    const token = crypto.randomBytes(32).toString("base64url");
+    await db.query(
+      "UPDATE user_tokens SET used_at = NOW() WHERE user_id = $1 AND purpose = $2 AND used_at IS NULL",
+      [userId, purpose]
+    );
+    await db.query(
+      `INSERT INTO user_tokens (user_id, purpose, token_hash, expires_at)
+       VALUES ($1, $2, $3, NOW() + make_interval(mins => $4))`,
+      [userId, purpose, hashToken(token), USER_TOKEN_TTL_MINUTES[purpose]]
+    );
+    return token;
+  };
+
+  // Marks the token used and returns its user id, or null if it is unknown,
+  // expired or already used. A single UPDATE, so two requests can't both win.
+  const consumeUserToken = async (db, token, purpose) => {
+    const result = await db.query(
+      `UPDATE user_tokens SET used_at = NOW()
+       WHERE token_hash = $1 AND purpose = $2 AND used_at IS NULL AND expires_at > NOW()
+       RETURNING user_id`,
+      [hashToken(token), purpose]
+    );
+    return result.rows[0]?.user_id ?? null;
+  };
+
+  const sendVerificationEmail = async (user) => {
+    const token = await createUserToken(pool, user.id, "email_verification");
+    const link = `${APP_URL}/verify-email?token=${token}`;
+    await mailer.send({
+      to: user.email,
+      subject: "Verify your BrightNal email address",
+      text: `Welcome to BrightNal!\n\nConfirm your email address by opening this link:\n${link}\n\nThe link expires in 24 hours.`,
+      html: `<p>Welcome to BrightNal!</p><p><a href="${link}">Confirm your email address</a></p><p>The link expires in 24 hours.</p>`,
+    });
+  };
+
+  const sendPasswordResetEmail = async (user) => {
+    const token = await createUserToken(pool, user.id, "password_reset");
+    const link = `${APP_URL}/reset-password?token=${token}`;
+    await mailer.send({
+      to: user.email,
+      subject: "Reset your BrightNal password",
+      text: `Someone asked to reset the password for this account.\n\nChoose a new password here:\n${link}\n\nThe link expires in 1 hour. If this wasn't you, you can ignore this email.`,
+      html: `<p>Someone asked to reset the password for this account.</p><p><a href="${link}">Choose a new password</a></p><p>The link expires in 1 hour. If this wasn't you, you can ignore this email.</p>`,
+    });
+  };
+
+  // Kills every refresh token and, via token_version, every access token the
+  // user holds, and ends their admin event streams. The streams end before
+  // the caller commits; if it rolls back, the page just reconnects.
+  const revokeAllSessions = async (db, userId) => {
+    await db.query(
+      "UPDATE refresh_tokens SET revoked_at = NOW() WHERE user_id = $1 AND revoked_at IS NULL",
+      [userId]
+    );
+    await db.query("UPDATE users SET token_version = token_version + 1 WHERE id = $1", [userId]);
+    closeUserEventStreams(userId);
+  };
+
+  // Makes any emailed link the user hasn't followed yet stop working
+  const retireUserTokens = (db, userId) =>
+    db.query("UPDATE user_tokens SET used_at = NOW() WHERE user_id = $1 AND used_at IS NULL", [userId]);
+
+  // Resolves { url, id, width, height, placeholder }. A file that doesn't
+  // decode as an image is refused before it reaches storage.
+  const uploadImage = async (file) => {
+    let details;
+    try {
+      details = await inspectImage(file.buffer);
+    } catch (err) {
+      if (err instanceof ImageReadError) throw new ApiError(400, err.message);
+      throw err;
+    }
+
+    const endTimer = imageUploadDuration.startTimer({ storage: storage.name });
+    try {
+      const uploaded = await storage.upload(file.buffer, { mimetype: file.mimetype });
+      endTimer({ outcome: "success" });
+      return { ...uploaded, ...details };
+    } catch (err) {
+      endTimer({ outcome: "error" });
+      throw err;
+    }
+  };
+
+  const deleteImage = async (imageId) => {
+    if (!imageId) return;
+    try {
+      await storage.remove(imageId);
+    } catch (err) {
+      logger.warn("Image delete failed", { storage: storage.name, imageId, err });
+    }
+  };
+
+  // Uploads several files; if any fail, the ones that made it are deleted again
+  const uploadImages = async (files) => {
+    const results = await Promise.allSettled(files.map(uploadImage));
+    const failed = results.find((r) => r.status === "rejected");
+    if (failed) {
+      await Promise.all(
+        results.filter((r) => r.status === "fulfilled").map((r) => deleteImage(r.value.id))
+      );
+      throw failed.reason;
+    }
+    return results.map((r) => r.value);
+  };
+
+  // Loopback, private, link-local (cloud metadata lives at 169.254.169.254)
+  // and other non-public ranges — an imported image URL may point at none of them
+  const blockedAddresses = new net.BlockList();
+  for (const [network, prefix] of [
+    ["0.0.0.0", 8], ["10.0.0.0", 8], ["100.64.0.0", 10], ["127.0.0.0", 8], ["169.254.0.0", 16],
+    ["172.16.0.0", 12], ["192.0.0.0", 24], ["192.168.0.0", 16], ["198.18.0.0", 15], ["224.0.0.0", 3],
+  ]) {
+    blockedAddresses.addSubnet(network, prefix, "ipv4");
+  }
+  for (const [network, prefix] of [["::", 127], ["64:ff9b::", 96], ["fc00::", 7], ["fe80::", 10], ["ff00::", 8]]) {
+    blockedAddresses.addSubnet(network, prefix, "ipv6");
+  }
+
+  const isPublicAddress = (address) => {
+    // IPv4-mapped IPv6 (::ffff:127.0.0.1) is checked as the IPv4 address it is
+    const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+    if (mapped) return !blockedAddresses.check(mapped[1], "ipv4");
+    return !blockedAddresses.check(address, net.isIPv6(address) ? "ipv6" : "ipv4");
+  };
+
+  // dns.lookup for image downloads: fails unless every address the host
+  // resolves to is public. The request connects to what this hands back, so
+  // a host can't pass the check and then resolve somewhere else.
+  const publicLookup = (hostname, options, callback) => {
+    dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+      if (err) return callback(err);
+      if (addresses.length === 0 || !addresses.every(({ address }) => isPublicAddress(address))) {
+        return callback(new Error(`${hostname} does not point at a public address`));
+      }
+      if (options.all) return callback(null, addresses);
+      callback(null, addresses[0].address, addresses[0].family);
+    });
+  };
+
+  // Resolves the response without reading its body. IP literals never go
+  // through lookup, so they're checked here.
+  const requestRemoteImage = (url, signal) =>
+    new Promise((resolve, reject) => {
+      const { protocol, hostname } = new URL(url);
+      if (protocol !== "http:" && protocol !== "https:") {
+        throw new Error(`${url} is not an http(s) URL`);
+      }
+      const host = hostname.replace(/^\[|\]$/g, "");
+      if (net.isIP(host) && !isPublicAddress(host)) {
+        throw new Error(`${url} does not point at a public address`);
+      }
+      const client = protocol === "https:" ? https : http;
+      client.get(url, { signal, lookup: publicLookup }, resolve).on("error", reject);
+    });
+
+  const MAX_IMAGE_REDIRECTS = 3;
+
+  // Downloads an image for the CSV importer, held to the same rules as uploads.
+  // Redirects are followed by hand so every hop's host is checked, and the
+  // body is read in chunks so an oversized file is dropped at the limit.
+  const fetchRemoteImage = async (url) => {
+    const signal = AbortSignal.timeout(10_000);
+    let response;
+    let location = url;
+    for (let hop = 0; ; hop++) {
+      response = await requestRemoteImage(location, signal);
+      if (response.statusCode < 300 || response.statusCode >= 400 || !response.headers.location) break;
+      response.destroy();
+      if (hop === MAX_IMAGE_REDIRECTS) {
+        throw new Error(`${url} redirected too many times`);
+      }
+      location = new URL(response.headers.location, location).href;
+    }
+
+    const tooLarge = () => new Error(`${url} is larger than ${MAX_IMAGE_BYTES / 1024 / 1024}MB`);
+    if (response.statusCode < 200 || response.statusCode >= 300) {
+      response.destroy();
+      throw new Error(`${url} responded with ${response.statusCode}`);
+    }
+    const mimetype = (response.headers["content-type"] || "").split(";")[0].trim();
+    if (!mimetype.startsWith("image/")) {
+      response.destroy();
+      throw new Error(`${url} is not an image`);
+    }
+    if (Number(response.headers["content-length"]) > MAX_IMAGE_BYTES) {
+      response.destroy();
+      throw tooLarge();
+    }
+
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of response) {
+      size += chunk.length;
+      if (size > MAX_IMAGE_BYTES) {
+        // Leaving the loop early cancels the rest of the download
+        throw tooLarge();
+      }
+      chunks.push(chunk);
+    }
+    return { buffer: Buffer.concat(chunks), mimetype };
+  };
+
+  // Derived URLs for a stored image (see images.js). Images stored before
+  // dimensions were recorded still get them from a driver that renders on
+  // demand, just without the full size's dimensions; on local storage they
+  // were never rendered, so they get null and clients use the original URL.
+  const imageSizes = (id, width, height) =>
+    id && (width || storage.rendersOnDemand) ? describeImageSizes(storage, id, width, height) : null;
+
+  const fetchProductImages = (db, productId) =>
+    db.query(
+      `SELECT id, image_url, cloudinary_id, width, height, placeholder, position, is_primary, created_at
+       FROM product_images WHERE product_id = $1
+       ORDER BY position ASC, id ASC`,
+      [productId]
+    ).then((result) => result.rows.map((image) => ({ ...image, sizes: imageSizes(image.cloudinary_id, image.width, image.height) })));
+
+  // Flags one image as primary and mirrors it onto the products row. Cleared
+  // first — the one-primary-per-product index is checked row by row.
+  const setPrimaryImage = async (db, productId, imageId) => {
+    await db.query(
+      "UPDATE product_images SET is_primary = FALSE WHERE product_id = $1 AND is_primary",
+      [productId]
+    );
+    await db.query("UPDATE product_images SET is_primary = TRUE WHERE id = $1", [imageId]);
+    await db.query(
+      `UPDATE products p SET image_url = i.image_url, cloudinary_id = i.cloudinary_id
+       FROM product_images i
+       WHERE i.id = $2 AND p.id = $1`,
+      [productId, imageId]
+    );
+  };
+
+  // Appends uploaded images after the product's current last position
+  const insertProductImages = async (db, productId, uploads) => {
+    const last = await db.query(
+      "SELECT COALESCE(MAX(position), -1) AS position FROM product_images WHERE product_id = $1",
+      [productId]
+    );
+    const inserted = [];
+    for (const [offset, uploaded] of uploads.entries()) {
+      const result = await db.query(
+        `INSERT INTO product_images (product_id, image_url, cloudinary_id, width, height, placeholder, position)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)
+         RETURNING *`,
+        [productId, uploaded.url, uploaded.id, uploaded.width, uploaded.height, uploaded.placeholder, last.rows[0].position + 1 + offset]
+      );
+      inserted.push(result.rows[0]);
+    }
+    return inserted;
+  };
+
+  // Weighted full-text document for product search: name > brand > description.
+  // Must match the products_search_idx expression in migrations/002.
+  const PRODUCT_SEARCH_VECTOR = `(
+    setweight(to_tsvector('english', coalesce(product_name, '')), 'A') ||
+    setweight(to_tsvector('english', coalesce(brand, '')), 'B') ||
+    setweight(to_tsvector('english', coalesce(description, '')), 'C')
+  )`;
+
+  const buildVariantSku = (base, size, color) => {
+    const part = (value) => (value || "").toUpperCase().replace(/[^A-Z0-9]+/g, "");
+    return [base, part(size), part(color)].filter(Boolean).join("-");
+  };
+
+  // A sale price counts while NOW() is inside its window and it still undercuts
+  // the list price (a later price cut can overtake it). Variants with a price
+  // of their own keep it — sales are set per product.
+  const saleActiveSql = (p) => `(
+    ${p}.sale_price IS NOT NULL AND ${p}.sale_price < ${p}.price
+    AND (${p}.sale_starts_at IS NULL OR ${p}.sale_starts_at <= NOW())
+    AND (${p}.sale_ends_at IS NULL OR ${p}.sale_ends_at > NOW())
+  )`;
+
+  // What one unit costs right now, before any coupon. Listings, the cart, the
+  // wishlist and checkout all price through this, so they always agree.
+  const effectivePriceSql = (p, v = null) => {
+    const productPrice = `CASE WHEN ${saleActiveSql(p)} THEN ${p}.sale_price ELSE ${p}.price END`;
+    return v ? `COALESCE(${v}.price, ${productPrice})` : productPrice;
+  };
+
+  // Every product read goes through this so listings, single-product reads and
+  // the admin list all expose the same variant aggregates. products.stock is
+  // kept equal to the sum of variant stock for products that have variants.
+  // Rows go through presentProduct() before they're sent.
+  const PRODUCT_SELECT = `
+    SELECT p.*, pv.variant_count, pv.available_sizes, pv.available_colors,
+           ${effectivePriceSql("p")} AS effective_price, ${saleActiveSql("p")} AS on_sale,
+           (SELECT slug FROM categories WHERE id = p.category_id) AS category_slug,
+           (SELECT slug FROM brands WHERE id = p.brand_id) AS brand_slug,
+           (SELECT json_build_object('width', width, 'height', height, 'placeholder', placeholder)
+            FROM product_images WHERE product_id = p.id AND is_primary) AS primary_image
+    FROM products p
+    LEFT JOIN LATERAL (
+      SELECT COUNT(*)::INT AS variant_count,
+             COALESCE(array_agg(DISTINCT v.size) FILTER (WHERE v.size IS NOT NULL AND v.stock > 0), '{}') AS available_sizes,
+             COALESCE(array_agg(DISTINCT v.color) FILTER (WHERE v.color IS NOT NULL AND v.stock > 0), '{}') AS available_colors
+      FROM product_variants v
+      WHERE v.product_id = p.id
+    ) pv ON TRUE
+  `;
+
+  // ---------- PRODUCT CACHE ----------
+
+  // Public product reads are cached for PRODUCT_CACHE_TTL_SECONDS under keys
+  // that carry the catalog version. Product, image, variant, stock, import,
+  // order, review, category and brand writes bump the version, which retires
+  // every cached read at once. A sale window opening or closing isn't a write,
+  // so it shows up once the TTL runs out.
+  const PRODUCT_CACHE_TTL_SECONDS = parseInt(process.env.PRODUCT_CACHE_TTL_SECONDS) || 60;
+  const PRODUCT_CACHE_VERSION_KEY = "products:version";
+
+  // When the matching products last changed as a reader sees them: the newest
+  // updated_at (kept by triggers, see migrations/017) or a sale window that
+  // has opened or closed since
+  const fetchProductsLastModified = async (where = "", params = []) => {
+    const result = await pool.query(
+      `SELECT MAX(GREATEST(
+         p.updated_at,
+         CASE WHEN p.sale_starts_at <= NOW() THEN p.sale_starts_at END,
+         CASE WHEN p.sale_ends_at <= NOW() THEN p.sale_ends_at END
+       )) AS last_modified
+       FROM products p ${where}`,
+      params
+    );
+    return result.rows[0].last_modified;
+  };
+
+  // Answers a public product read from the cache, or from load() — which
+  // resolves { status, body, lastModified } — and caches it if it's a 200.
+  // Express adds the ETag and turns a matching If-None-Match or
+  // If-Modified-Since into a 304. The version is read before load() runs, so
+  // a write landing meanwhile leaves the result under the retired version.
+  // A cache that's down only costs the speed-up: reads go to the database.
+  const sendProductRead = async (req, res, key, load) => {
+    let cacheKey = null;
+    let cached = null;
+    if (cache) {
+      try {
+        const version = (await cache.get(PRODUCT_CACHE_VERSION_KEY)) || "0";
+        cacheKey = `products:v${version}:${key}`;
+        cached = await cache.get(cacheKey);
+        productCacheRequests.inc({ result: cached ? "hit" : "miss" });
+        res.set("X-Cache", cached ? "HIT" : "MISS");
+      } catch (err) {
+        cacheKey = null;
+        productCacheRequests.inc({ result: "error" });
+        req.log.warn("Product cache read failed", { err });
+      }
+    }
+
+    const read = cached ? JSON.parse(cached) : await load();
+    if (!cached && cacheKey && read.status === 200) {
+      cache.set(cacheKey, JSON.stringify(read), PRODUCT_CACHE_TTL_SECONDS).catch((err) => {
+        req.log.warn("Product cache write failed", { err });
+      });
+    }
+
+    if (read.lastModified) res.set("Last-Modified", new Date(read.lastModified).toUTCString());
+    res.set("Cache-Control", "public, no-cache");
+    res.status(read.status).json(read.body);
+  };
+
+  // Retires every cached product read. Called once a write has committed; if
+  // the cache can't be reached the write still stands and the TTL catches up.
+  const invalidateProductCache = async (log = logger) => {
+    if (!cache) return;
+    try {
+      await cache.incr(PRODUCT_CACHE_VERSION_KEY);
+    } catch (err) {
+      log.warn("Product cache invalidation failed", { err });
+    }
+  };
+
+  // Swaps the primary_image column for the image block cards render from:
+  // { url, width, height, placeholder, sizes }
+  const presentProduct = ({ primary_image: primary, ...product }) => ({
+    ...product,
+    image: {
+      url: product.image_url,
+      width: primary?.width ?? null,
+      height: primary?.height ?? null,
+      placeholder: primary?.placeholder ?? null,
+      sizes: imageSizes(product.cloudinary_id, primary?.width, primary?.height),
+    },
+  });
+
+  // ---------- ADMIN EVENTS ----------
+
+  // Product and stock changes pushed to open admin pages over
+  // /api/admin/events. Ids are <stream>-<seq>; the last ADMIN_EVENT_HISTORY
+  // events are kept so a page reconnecting with Last-Event-ID gets what it
+  // missed. Events stay in this process — with several instances running,
+  // an admin only hears about writes that went through the same one.
+  const ADMIN_EVENT_HISTORY = 200;
+  const adminEventStreamId = crypto.randomBytes(4).toString("hex");
+  // Open streams, each mapped to the id of the admin reading it
+  const adminEventStreams = new Map();
+  const recentAdminEvents = [];
+  let adminEventSeq = 0;
+
+  const formatServerSentEvent = ({ id, type, data }) => `id: ${id}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`;
+
+  const publishAdminEvent = (type, data) => {
+    adminEventSeq += 1;
+    const event = { id: `${adminEventStreamId}-${adminEventSeq}`, seq: adminEventSeq, type, data };
+    recentAdminEvents.push(event);
+    if (recentAdminEvents.length > ADMIN_EVENT_HISTORY) recentAdminEvents.shift();
+
+    const message = formatServerSentEvent(event);
+    for (const stream of adminEventStreams.keys()) stream.write(message);
+  };
+
+  // Publishes each product's current row (shaped like a listing row) as a
+  // product.created or product.updated event. Called once the write has
+  // committed; a failure here is logged, never passed on to the write.
+  const publishProductEvents = async (type, productIds, log = logger) => {
+    if (productIds.length === 0) return;
+    try {
+      const result = await pool.query(`${PRODUCT_SELECT} WHERE p.id = ANY($1::int[])`, [productIds]);
+      for (const row of result.rows) publishAdminEvent(type, { product: presentProduct(row) });
+    } catch (err) {
+      log.warn("Admin event failed", { type, err });
+    }
+  };
+
+  // stock.changed for each product, with the total the list shows
+  const publishStockEvents = async (productIds, log = logger) => {
+    if (productIds.length === 0) return;
+    try {
+      const result = await pool.query(
+        "SELECT id, stock, low_stock_threshold FROM products WHERE id = ANY($1::int[]) ORDER BY id",
+        [[...new Set(productIds)]]
+      );
+      for (const row of result.rows) {
+        publishAdminEvent("stock.changed", { productId: row.id, stock: row.stock, lowStockThreshold: row.low_stock_threshold });
+      }
+    } catch (err) {
+      log.warn("Admin event failed", { type: "stock.changed", err });
+    }
+  };
+
+  // Locks a product for the rest of the transaction. Archived products are
+  // read-only until restored, so those are a 404 like missing ones.
+  const lockActiveProduct = async (db, productId) => {
+    const result = await db.query(
+      "SELECT id, sku FROM products WHERE id = $1 AND deleted_at IS NULL FOR UPDATE",
+      [productId]
+    );
+    if (result.rows.length === 0) {
+      throw new ApiError(404, "Product not found");
+    }
+    return result.rows[0];
+  };
+
+  // Recomputes products.stock from its variants; no-op for products without any
+  const syncVariantStock = (db, productId) =>
+    db.query(
+      `UPDATE products
+       SET stock = (SELECT COALESCE(SUM(stock), 0) FROM product_variants WHERE product_id = $1)
+       WHERE id = $1 AND EXISTS (SELECT 1 FROM product_variants WHERE product_id = $1)`,
+      [productId]
+    );
+
+  // Recomputes products.rating_average / rating_count from approved reviews.
+  // Callers hold the product row lock, so concurrent reviews can't race it.
+  const syncProductRating = (db, productId) =>
+    db.query(
+      `UPDATE products p
+       SET rating_average = r.average, rating_count = r.count
+       FROM (
+         SELECT ROUND(AVG(rating), 2) AS average, COUNT(*)::INT AS count
+         FROM product_reviews
+         WHERE product_id = $1 AND status = 'approved'
+       ) r
+       WHERE p.id = $1`,
+      [productId]
+    );
+
+  // ---------- AUDIT LOG ----------
+
+  // Secrets and bookkeeping columns never make it into an entry
+  const AUDIT_HIDDEN_FIELDS = new Set(["password_hash", "token_version", "updated_at"]);
+
+  // Personal data, per entity type. The log is append-only and outlives the
+  // account, so these are recorded as changed but never with their value.
+  const AUDIT_PERSONAL_FIELDS = { user: new Set(["email", "full_name"]) };
+  const AUDIT_REDACTED = "[redacted]";
+
+  const auditValue = (entityType, key, value) =>
+    AUDIT_PERSONAL_FIELDS[entityType]?.has(key) && value !== null && value !== undefined ? AUDIT_REDACTED : value ?? null;
+
+  const auditSnapshot = (entityType, row) =>
+    row &&
+    Object.fromEntries(
+      Object.entries(row)
+        .filter(([key]) => !AUDIT_HIDDEN_FIELDS.has(key))
+        .map(([key, value]) => [key, auditValue(entityType, key, value)])
+    );
+
+  // Narrows a before/after pair down to the fields whose value changed
+  const auditDiff = (entityType, before, after) => {
+    const changed = Object.keys({ ...before, ...after }).filter(
+      (key) => !AUDIT_HIDDEN_FIELDS.has(key) && JSON.stringify(before[key]) !== JSON.stringify(after[key])
+    );
+    return {
+      before: Object.fromEntries(changed.map((key) => [key, auditValue(entityType, key, before[key])])),
+      after: Object.fromEntries(changed.map((key) => [key, auditValue(entityType, key, after[key])])),
+    };
+  };
+
+  // Appends one audit_log entry. Pass the transaction's client so the entry
+  // commits or rolls back with the change it describes. When both before and
+  // after are given only the changed fields are kept, and an update that
+  // changed nothing isn't logged. The actor is req.user unless given; req is
+  // null for background jobs, which are logged without an actor.
+  const recordAudit = async (db, req, { action, entityType, entityId = null, before = null, after = null, actor = req?.user }) => {
+    let entry = { before: auditSnapshot(entityType, before), after: auditSnapshot(entityType, after) };
+    if (before && after) {
+      entry = auditDiff(entityType, before, after);
+      if (Object.keys(entry.after).length === 0) return;
+    }
+
+    await db.query(
+      `INSERT INTO audit_log (actor_id, action, entity_type, entity_id, before, after)
+       VALUES ($1, $2, $3, $4, $5, $6)`,
+      [
+        actor?.id ?? null,
+        action,
+        entityType,
+        entityId === null ? null : String(entityId),
+        entry.before && JSON.stringify(entry.before),
+        entry.after && JSON.stringify(entry.after),
+      ]
+    );
+  };
+
+  // ---------- TRASH ----------
+
+  // Archived products stay restorable this long before the purge job takes them
+  const TRASH_RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS) || 30;
+
+  const purgeDate = (deletedAt) => new Date(deletedAt.getTime() + TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+
+  // Permanently deletes products archived for longer than TRASH_RETENTION_DAYS,
+  // then their stored images. One transaction per product; the age check is
+  // repeated in the DELETE so a product restored meanwhile is left alone.
+  // Returns how many products were purged.
+  const purgeArchivedProducts = async () => {
+    const expired = await pool.query(
+      `SELECT id FROM products
+       WHERE deleted_at < NOW() - make_interval(days => $1)
+       ORDER BY deleted_at ASC`,
+      [TRASH_RETENTION_DAYS]
+    );
+
+    let purged = 0;
+    for (const { id } of expired.rows) {
+      const imageIds = await withTransaction(async (client) => {
+        // Read before the DELETE — product_images rows go with it (CASCADE)
+        const images = await fetchProductImages(client, id);
+        const result = await client.query(
+          `DELETE FROM products
+           WHERE id = $1 AND deleted_at < NOW() - make_interval(days => $2)
+           RETURNING *`,
+          [id, TRASH_RETENTION_DAYS]
+        );
+        if (result.rows.length === 0) return null;
+
+        await recordAudit(client, null, { action: "purge", entityType: "product", entityId: id, before: result.rows[0] });
+        return [result.rows[0].cloudinary_id, ...images.map((image) => image.cloudinary_id)];
+      });
+      if (!imageIds) continue;
+
+      await Promise.all([...new Set(imageIds)].map(deleteImage));
+      purged++;
+    }
+    return purged;
+  };
+
+  // ---------- INVENTORY ----------
+
+  const LOW_STOCK_THRESHOLD = parseInt(process.env.LOW_STOCK_THRESHOLD) || 5;
+
+  const recordStockMovement = (db, { productId, variantId = null, type, delta, stockAfter, reason = null, actorId = null, orderId = null }) =>
+    db.query(
+      `INSERT INTO inventory_movements
+         (product_id, variant_id, movement_type, quantity_delta, stock_after, reason, actor_id, order_id)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+      [productId, variantId, type, delta, stockAfter, reason, actorId, orderId]
+    );
+
+  // Applies a signed stock change and writes it to the ledger. For a variant
+  // the product total moves with it. The guard in the UPDATE makes this safe
+  // without a prior SELECT: it returns null instead of going below zero.
+  const adjustStock = async (db, { productId, variantId = null, delta, ...movement }) => {
+    let stockAfter;
+
+    if (variantId) {
+      const variant = await db.query(
+        `UPDATE product_variants SET stock = stock + $1, updated_at = NOW()
+         WHERE id = $2 AND product_id = $3 AND stock + $1 >= 0
+         RETURNING stock`,
+        [delta, variantId, productId]
+      );
+      if (variant.rows.length === 0) return null;
+      await db.query("UPDATE products SET stock = stock + $1 WHERE id = $2", [delta, productId]);
+      stockAfter = variant.rows[0].stock;
+    } else {
+      const product = await db.query(
+        "UPDATE products SET stock = stock + $1 WHERE id = $2 AND stock + $1 >= 0 RETURNING stock",
+        [delta, productId]
+      );
+      if (product.rows.length === 0) return null;
+      stockAfter = product.rows[0].stock;
+    }
+
+    await recordStockMovement(db, { productId, variantId, delta, stockAfter, ...movement });
+    if (delta > 0) await notifyBackInStock(db, productId);
+    return stockAfter;
+  };
+
+  // Turns notify-me flags into stock_notifications once the product has stock
+  // again. Flags can only be set while stock is 0, so this fires on the 0 → n
+  // transition; each flag is cleared so a customer is told once.
+  const notifyBackInStock = (db, productId) =>
+    db.query(
+      `WITH flagged AS (
+         UPDATE wishlist_items w SET notify_when_in_stock = FALSE
+         FROM products p
+         WHERE w.product_id = $1 AND w.notify_when_in_stock
+           AND p.id = w.product_id AND p.stock > 0 AND p.deleted_at IS NULL
+         RETURNING w.user_id, p.stock
+       )
+       INSERT INTO stock_notifications (user_id, product_id, stock)
+       SELECT user_id, $1, stock FROM flagged`,
+      [productId]
+    );
+
+  // Puts a cancelled order's items back on the shelf and resolves the ids of
+  // the products restocked. Lines whose product (or variant) has since been
+  // deleted have nowhere to go back to.
+  const restockOrder = async (db, orderId, { reason, actorId = null }) => {
+    const items = await db.query(
+      `SELECT product_id, variant_id, quantity FROM order_items
+       WHERE order_id = $1 AND product_id IS NOT NULL
+       ORDER BY product_id, variant_id`,
+      [orderId]
+    );
+    for (const item of items.rows) {
+      await adjustStock(db, {
+        productId: item.product_id,
+        variantId: item.variant_id,
+        delta: item.quantity,
+        type: "return",
+        reason,
+        actorId,
+        orderId,
+      });
+    }
+    return items.rows.map((item) => item.product_id);
+  };
+
+  // ---------- UNPAID ORDERS ----------
+
+  // A pending order holds its stock and its coupon use until it's paid.
+  // Orders left unpaid this long are cancelled by expireUnpaidOrders().
+  const PENDING_ORDER_TTL_HOURS = parseInt(process.env.PENDING_ORDER_TTL_HOURS) || 24;
+
+  // Cancels and restocks orders still pending after PENDING_ORDER_TTL_HOURS,
+  // resolving how many were expired. An order with a payment started in the
+  // last hour is left for the next run, in case the customer is mid-checkout.
+  const expireUnpaidOrders = async () => {
+    const stale = await pool.query(
+      `SELECT o.id FROM orders o
+       WHERE o.status = 'pending' AND o.created_at < NOW() - make_interval(hours => $1)
+         AND NOT EXISTS (
+           SELECT 1 FROM payments p
+           WHERE p.order_id = o.id AND p.status = 'pending' AND p.created_at > NOW() - INTERVAL '1 hour'
+         )
+       ORDER BY o.created_at ASC`,
+      [PENDING_ORDER_TTL_HOURS]
+    );
+
+    const restocked = [];
+    for (const { id } of stale.rows) {
+      const productIds = await withTransaction(async (client) => {
+        // Order before stock — the same lock order as the admin status route
+        const result = await client.query(
+          "UPDATE orders SET status = 'cancelled', updated_at = NOW() WHERE id = $1 AND status = 'pending' RETURNING id",
+          [id]
+        );
+        if (result.rows.length === 0) return null;
+
+        const ids = await restockOrder(client, id, { reason: "Order expired unpaid" });
+        await recordAudit(client, null, {
+          action: "expire",
+          entityType: "order",
+          entityId: id,
+          before: { status: "pending" },
+          after: { status: "cancelled" },
+        });
+        return ids;
+      });
+      if (productIds) restocked.push(productIds);
+    }
+
+    if (restocked.length > 0) {
+      await invalidateProductCache();
+      await publishStockEvents(restocked.flat());
+    }
+    return restocked.length;
+  };
+
+  // ---------- CATEGORIES & BRANDS ----------
+
+  const slugify = (value) =>
+    value
+      .normalize("NFKD")
+      .replace(/[\u0300-\u036f]/g, "")
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, "-")
+      .replace(/^-+|-+$/g, "");
+
+  // What products.category / products.brand hold when nothing is referenced
+  const TAXONOMIES = {
+    category: { table: "categories", placeholder: "Uncategorized" },
+    brand: { table: "brands", placeholder: "Unknown" },
+  };
+
+  // First free slug out of base, base-2, base-3, ... — table is always one of
+  // the TAXONOMIES tables, never user input.
+  const uniqueSlug = async (db, table, base, excludeId = null) => {
+    const result = await db.query(
+      `SELECT slug FROM ${table} WHERE (slug = $1 OR slug LIKE $1 || '-%') AND id IS DISTINCT FROM $2`,
+      [base, excludeId]
+    );
+    const taken = new Set(result.rows.map((row) => row.slug));
+    let slug = base;
+    for (let n = 2; taken.has(slug); n++) slug = `${base}-${n}`;
+    return slug;
+  };
+
+  // Resolves the category or brand a product write points at. An id wins;
+  // otherwise a name is matched case-insensitively and created (top level) if
+  // it's new, so the admin form and CSV import can keep sending plain names.
+  // Returns { id, name } or null for none; bad references throw ApiError.
+  const resolveTaxonomy = async (db, kind, { id, name }) => {
+    const { table, placeholder } = TAXONOMIES[kind];
+
+    if (id !== undefined && id !== null && id !== "") {
+      const refId = parsePositiveInt(id);
+      if (!refId) throw new ApiError(400, `Invalid ${kind} ID`);
+      const found = await db.query(`SELECT id, name FROM ${table} WHERE id = $1`, [refId]);
+      if (found.rows.length === 0) throw new ApiError(400, `The ${kind} does not exist`);
+      return found.rows[0];
+    }
+
+    const trimmed = typeof name === "string" ? name.trim() : "";
+    if (!trimmed || trimmed.toLowerCase() === placeholder.toLowerCase()) return null;
+
+    const matches = await db.query(`SELECT id, name FROM ${table} WHERE LOWER(name) = LOWER($1)`, [trimmed]);
+    if (matches.rows.length > 1) {
+      throw new ApiError(400, `"${trimmed}" matches several ${table} — choose one by ${kind}Id`);
+    }
+    if (matches.rows.length === 1) return matches.rows[0];
+
+    const inserted = await db.query(
+      `INSERT INTO ${table} (name, slug) VALUES ($1, $2)
+       ON CONFLICT DO NOTHING
+       RETURNING id, name`,
+      [trimmed, await uniqueSlug(db, table, slugify(trimmed) || kind)]
+    );
+    if (inserted.rows.length > 0) return inserted.rows[0];
+
+    // Another request created it between our SELECT and INSERT
+    const raced = await db.query(`SELECT id, name FROM ${table} WHERE LOWER(name) = LOWER($1) LIMIT 1`, [trimmed]);
+    if (raced.rows.length === 0) throw new ApiError(409, `Could not create ${kind} "${trimmed}" — try again`);
+    return raced.rows[0];
+  };
+
+  // Text for the products.category / products.brand mirror columns
+  const taxonomyName = (kind, ref) => ref?.name ?? TAXONOMIES[kind].placeholder;
+
+  const PRODUCT_SORTS = {
+    newest:     "created_at DESC, id DESC",
+    oldest:     "created_at ASC, id ASC",
+    price_asc:  `${effectivePriceSql("p")} ASC, id ASC`,
+    price_desc: `${effectivePriceSql("p")} DESC, id DESC`,
+    name_asc:   "LOWER(product_name) ASC, id ASC",
+    name_desc:  "LOWER(product_name) DESC, id DESC",
+    rating:     "rating_average DESC NULLS LAST, rating_count DESC, id DESC",
+  };
+
+  // Turns the validated listing query (productListQuery) into a WHERE clause
+  // + params. Returns { error } for the one rule the schema can't express.
+  const buildProductQuery = (query) => {
+    const conditions = ["deleted_at IS NULL"];
+    const params = [];
+    const addParam = (value) => {
+      params.push(value);
+      return `$${params.length}`;
+    };
+
+    const { page, limit, q } = query;
+    const sort = query.sort || (q ? "relevance" : "newest");
+    if (sort === "relevance" && !q) {
+      return { error: { field: "sort", message: "relevance requires a search query (q)" } };
+    }
+
+    // category and brand take a slug or a name; a category slug also matches
+    // everything filed under its subcategories
+    const filterValue = (param) => (query[param] ? addParam(query[param]) : null);
+
+    const category = filterValue("category");
+    if (category) {
+      conditions.push(`(LOWER(category) = LOWER(${category}) OR category_id IN (
+        WITH RECURSIVE subtree AS (
+          SELECT id FROM categories WHERE slug = ${category}
+          UNION ALL
+          SELECT c.id FROM categories c JOIN subtree s ON c.parent_id = s.id
+        )
+        SELECT id FROM subtree
+      ))`);
+    }
+
+    const brand = filterValue("brand");
+    if (brand) {
+      conditions.push(`(LOWER(brand) = LOWER(${brand}) OR brand_id = (SELECT id FROM brands WHERE slug = ${brand}))`);
+    }
+
+    const productClass = filterValue("product_class");
+    if (productClass) {
+      conditions.push(`LOWER(product_class) = LOWER(${productClass})`);
+    }
+
+    // Price filters and sorts go by what the customer pays today, sales included
+    if (query.min_price !== undefined) {
+      conditions.push(`${effectivePriceSql("p")} >= ${addParam(query.min_price)}`);
+    }
+    if (query.max_price !== undefined) {
+      conditions.push(`${effectivePriceSql("p")} <= ${addParam(query.max_price)}`);
+    }
+
+    if (query.in_stock) {
+      conditions.push("stock > 0");
+    }
+
+    let tsQuery = null;
+    if (q) {
+      tsQuery = addParam(q);
+      conditions.push(`${PRODUCT_SEARCH_VECTOR} @@ websearch_to_tsquery('english', ${tsQuery})`);
+    }
+
+    const orderBy = sort === "relevance"
+      ? `ts_rank(${PRODUCT_SEARCH_VECTOR}, websearch_to_tsquery('english', ${tsQuery})) DESC, id DESC`
+      : PRODUCT_SORTS[sort];
+
+    return {
+      where: `WHERE ${conditions.join(" AND ")}`,
+      params,
+      orderBy,
+      page,
+      limit,
+      sort,
+    };
+  };
+
+  // ============================================
+  // AUTH ROUTES
+  // ============================================
+  //
+  //  POST /api/auth/register    — create a new account
+  //  POST /api/auth/login       — login, returns access + refresh tokens
+  //  POST /api/auth/refresh     — swap a refresh token for a new pair (rotation)
+  //  POST /api/auth/logout      — revoke the presented refresh token's session
+  //  POST /api/auth/logout-all  — revoke every session of the current user
+  //  GET  /api/auth/me          — verify token, returns current user
+  //
+  //  POST /api/auth/verify-email          — consume an email verification token
+  //  POST /api/auth/verify-email/resend   — email a fresh verification link
+  //  POST /api/auth/forgot-password       — email a password reset link
+  //  POST /api/auth/reset-password        — set a new password with a reset token
+  //
+  // ============================================
+
+  app.post("/api/auth/register", authLimiter, validateRequest({ body: registerSchema }), async (req, res) => {
+    try {
+      const { email, full_name, password } = req.body;
+
+      const existing = await pool.query("SELECT id FROM users WHERE email = $1", [email]);
+      if (existing.rows.length > 0) {
+        return res.status(409).json({ success: false, message: "Email already registered" });
+      }
+
+      const password_hash = await bcrypt.hash(password, 12);
+      const result = await withTransaction(async (client) => {
+        const inserted = await client.query(
+          `INSERT INTO users (email, full_name, password_hash)
+           VALUES ($1, $2, $3)
+           RETURNING id, email, full_name, role, token_version, email_verified_at, created_at`,
+          [email, full_name || null, password_hash]
+        );
+        const created = inserted.rows[0];
+        await recordAudit(client, req, { action: "create", entityType: "user", entityId: created.id, after: created, actor: created });
+        return inserted;
+      });
+
+      const { token_version, ...user } = result.rows[0];
+      const { tokens } = await issueSession(pool, result.rows[0], req);
+
+      // A mail outage shouldn't fail the signup — the user can ask for a resend
+      await sendVerificationEmail(user).catch((err) => {
+        req.log.warn("Verification email failed", { err });
+      });
+
+      res.status(201).json({ success: true, message: "Account created successfully", user, ...tokens });
+    } catch (err) {
+      req.log.error("Register error", { err });
+      res.status(500).json({ success: false, message: "Registration failed" });
+    }
+  });
+
+  app.post("/api/auth/login", authLimiter, validateRequest({ body: loginSchema }), async (req, res) => {
+    try {
+      const { email, password } = req.body;
+
+      const result = await pool.query(
+        "SELECT id, email, full_name, password_hash, role, token_version, disabled_at FROM users WHERE email = $1",
+        [email]
+      );
+
+      const dummyHash = "$2b$12$invalidhashinvalidhashinvalidhashinvalidhashinvalidhashXX";
+      const user = result.rows[0];
+      const isValid = await bcrypt.compare(password, user ? user.password_hash : dummyHash);
+
+      if (!user || !isValid) {
+        return res.status(401).json({ success: false, message: "Invalid email or password" });
+      }
+      // Only after the password check, so this can't be used to probe accounts
+      if (user.disabled_at) {
+        return res.status(403).json({ success: false, message: "This account has been disabled", disabled: true });
+      }
+
+      const { tokens } = await issueSession(pool, user, req);
+
+      res.status(200).json({
+        success: true,
+        message: "Login successful",
+        user: { id: user.id, email: user.email, full_name: user.full_name, role: user.role },
+        ...tokens,
+      });
+    } catch (err) {
+      req.log.error("Login error", { err });
+      res.status(500).json({ success: false, message: "Login failed" });
+    }
+  });
+
+  // Each refresh token works once. Presenting one that was already rotated
+  // means it leaked (or a client misbehaved), so the whole family is revoked.
+  app.post("/api/auth/refresh", authLimiter, validateRequest({ body: refreshTokenSchema }), async (req, res) => {
+    try {
+      const { refreshToken } = req.body;
+
+      const outcome = await withTransaction(async (client) => {
+        const result = await client.query(
+          `SELECT rt.*, u.email, u.role, u.token_version, u.disabled_at
+           FROM refresh_tokens rt JOIN users u ON u.id = rt.user_id
+           WHERE rt.token_hash = $1
+           FOR UPDATE OF rt`,
+          [hashToken(refreshToken)]
+        );
+        const stored = result.rows[0];
+
+        if (!stored) return { error: "Invalid refresh token" };
+        // Checked before reuse: disabling revoked these tokens on purpose
+        if (stored.disabled_at) return { error: "This account has been disabled" };
+
+        if (stored.revoked_at) {
+          await client.query(
+            "UPDATE refresh_tokens SET revoked_at = NOW() WHERE family_id = $1 AND revoked_at IS NULL",
+            [stored.family_id]
+          );
+          req.log.warn("Refresh token reuse detected — family revoked", { userId: stored.user_id, familyId: stored.family_id });
+          return { error: "Refresh token has been revoked" };
+        }
+
+        if (new Date(stored.expires_at) <= new Date()) {
+          return { error: "Refresh token expired" };
+        }
+
+        const user = { id: stored.user_id, email: stored.email, role: stored.role, token_version: stored.token_version };
+        const session = await issueSession(client, user, req, stored.family_id);
+        await client.query(
+          "UPDATE refresh_tokens SET revoked_at = NOW(), replaced_by = $1 WHERE id = $2",
+          [session.id, stored.id]
+        );
+        return { tokens: session.tokens };
+      });
+
+      if (outcome.error) {
+        return res.status(401).json({ success: false, message: outcome.error });
+      }
+      res.status(200).json({ success: true, ...outcome.tokens });
+    } catch (err) {
+      req.log.error("Refresh error", { err });
+      res.status(500).json({ success: false, message: "Token refresh failed" });
+    }
+  });
+
+  // Ends this device's session. Works with an expired access token — holding
+  // the refresh token is proof enough — and succeeds even if it's already gone.
+  app.post("/api/auth/logout", validateRequest({ body: refreshTokenSchema }), async (req, res) => {
+    try {
+      const { refreshToken } = req.body;
+
+      await pool.query(
+        `UPDATE refresh_tokens SET revoked_at = NOW()
+         WHERE revoked_at IS NULL
+           AND family_id = (SELECT family_id FROM refresh_tokens WHERE token_hash = $1)`,
+        [hashToken(refreshToken)]
+      );
+      res.status(200).json({ success: true, message: "Logged out" });
+    } catch (err) {
+      req.log.error("Logout error", { err });
+      res.status(500).json({ success: false, message: "Logout failed" });
+    }
+  });
+
+  app.post("/api/auth/logout-all", authenticateToken, async (req, res) => {
+    try {
+      await withTransaction((client) => revokeAllSessions(client, req.user.id));
+      res.status(200).json({ success: true, message: "Logged out of all devices" });
+    } catch (err) {
+      req.log.error("Logout-all error", { err });
+      res.status(500).json({ success: false, message: "Logout failed" });
+    }
+  });
+
+  app.get("/api/auth/me", authenticateToken, async (req, res) => {
+    try {
+      const result = await pool.query(
+        "SELECT id, email, full_name, role, email_verified_at, created_at FROM users WHERE id = $1",
+        [req.user.id]
+      );
+      if (result.rows.length === 0) {
+        return res.status(404).json({ success: false, message: "User not found" });
+      }
+      res.status(200).json({ success: true, user: result.rows[0] });
+    } catch (err) {
+      req.log.error("Auth/me error", { err });
+      res.status(500).json({ success: false, message: "Failed to fetch user" });
+    }
+  });
+
+  app.post("/api/auth/verify-email", validateRequest({ body: verifyEmailSchema }), async (req, res) => {
+    try {
+      const { token } = req.body;
+
+      const verified = await withTransaction(async (client) => {
+        const userId = await consumeUserToken(client, token, "email_verification");
+        if (!userId) return false;
+
+        const result = await client.query(
+          `UPDATE users SET email_verified_at = COALESCE(email_verified_at, NOW()), updated_at = NOW()
+           WHERE id = $1
+           RETURNING id, email, email_verified_at`,
+          [userId]
+        );
+        const user = result.rows[0];
+        await recordAudit(client, req, {
+          action: "verify_email",
+          entityType: "user",
+          entityId: userId,
+          after: { email_verified_at: user.email_verified_at },
+          actor: user,
+        });
+        return true;
+      });
+
+      if (!verified) {
+        return res.status(400).json({ success: false, message: "Verification link is invalid or has expired" });
+      }
+      res.status(200).json({ success: true, message: "Email verified" });
+    } catch (err) {
+      req.log.error("Verify email error", { err });
+      res.status(500).json({ success: false, message: "Email verification failed" });
+    }
+  });
+
+  app.post("/api/auth/verify-email/resend", authLimiter, authenticateToken, async (req, res) => {
+    try {
+      if (req.user.emailVerified) {
+        return res.status(409).json({ success: false, message: "Email is already verified" });
+      }
+
+      await sendVerificationEmail(req.user);
+      res.status(200).json({ success: true, message: "Verification email sent" });
+    } catch (err) {
+      req.log.error("Resend verification error", { err });
+      res.status(500).json({ success: false, message: "Failed to send verification email" });
+    }
+  });
+
+  // Same response whether or not the address has an account, so this can't be
+  // used to find out who is registered
+  app.post("/api/auth/forgot-password", authLimiter, validateRequest({ body: forgotPasswordSchema }), async (req, res) => {
+    try {
+      const { email } = req.body;
+
+      const result = await pool.query(
+        "SELECT id, email FROM users WHERE email = $1 AND disabled_at IS NULL AND deleted_at IS NULL",
+        [email]
+      );
+      // Not awaited — a slow or failing mailer would otherwise show which
+      // addresses have an account
+      if (result.rows[0]) {
+        sendPasswordResetEmail(result.rows[0]).catch((err) => req.log.error("Password reset email failed", { err }));
+      }
+
+      res.status(200).json({
+        success: true,
+        message: "If that email is registered, a reset link is on its way",
+      });
+    } catch (err) {
+      req.log.error("Forgot password error", { err });
+      res.status(500).json({ success: false, message: "Failed to start password reset" });
+    }
+  });
+
+  // A successful reset signs the account out everywhere — whoever had the old
+  // password may still hold a session
+  app.post("/api/auth/reset-password", authLimiter, validateRequest({ body: resetPasswordSchema }), async (req, res) => {
+    try {
+      const { token, password } = req.body;
+
+      const password_hash = await bcrypt.hash(password, 12);
+      const reset = await withTransaction(async (client) => {
+        const userId = await consumeUserToken(client, token, "password_reset");
+        if (!userId) return false;
+
+        // Following the emailed link proves the address works too
+        const result = await client.query(
+          `UPDATE users
+           SET password_hash = $1, email_verified_at = COALESCE(email_verified_at, NOW()), updated_at = NOW()
+           WHERE id = $2
+           RETURNING id, email`,
+          [password_hash, userId]
+        );
+        await revokeAllSessions(client, userId);
+        await recordAudit(client, req, { action: "reset_password", entityType: "user", entityId: userId, actor: result.rows[0] });
+        return true;
+      });
+
+      if (!reset) {
+        return res.status(400).json({ success: false, message: "Reset link is invalid or has expired" });
+      }
+      res.status(200).json({ success: true, message: "Password has been reset. Please log in." });
+    } catch (err) {
+      req.log.error("Reset password error", { err });
+      res.status(500).json({ success: false, message: "Password reset failed" });
+    }
+  });
+
+  // ============================================
+  // ACCOUNT ROUTES
+  // ============================================
+  //
+  //  PUT    /api/account/profile    — update your own full_name
+  //  PUT    /api/account/password   — change your password ({ currentPassword, newPassword })
+  //  DELETE /api/account            — delete your account ({ password })
+  //
+  //  GET    /api/admin/users             — users, paginated (?q, ?role, ?status)   [admin]
+  //  GET    /api/admin/users/:id         — a single user                          [admin]
+  //  PUT    /api/admin/users/:id/role    — make someone a customer or an admin    [admin]
+  //  PUT    /api/admin/users/:id/status  — disable or re-enable an account        [admin]
+  //
+  //  Role changes and disabling sign the user out everywhere. Admins can't
+  //  change their own role or status, so there is always an admin left.
+  //
+  // ============================================
+
+  app.put("/api/account/profile", authenticateToken, validateRequest({ body: profileSchema }), async (req, res) => {
+    try {
+      const user = await withTransaction(async (client) => {
+        const existing = await client.query("SELECT id, full_name FROM users WHERE id = $1 FOR UPDATE", [req.user.id]);
+        const result = await client.query(
+          `UPDATE users SET full_name = $1, updated_at = NOW()
+           WHERE id = $2
+           RETURNING id, email, full_name, role, email_verified_at, created_at, updated_at`,
+          [req.body.full_name, req.user.id]
+        );
+        await recordAudit(client, req, {
+          action: "update_profile",
+          entityType: "user",
+          entityId: req.user.id,
+          before: { full_name: existing.rows[0].full_name },
+          after: { full_name: result.rows[0].full_name },
+        });
+        return result.rows[0];
+      });
+
+      res.status(200).json({ success: true, user, message: "Profile updated" });
+    } catch (err) {
+      req.log.error("Update profile error", { err });
+      res.status(500).json({ success: false, message: "Failed to update profile" });
+    }
+  });
+
+  // Signs every other device out, like a reset does, and hands this one a
+  // fresh token pair so it stays logged in
+  app.put("/api/account/password", authLimiter, authenticateToken, validateRequest({ body: changePasswordSchema }), async (req, res) => {
+    try {
+      const { currentPassword, newPassword } = req.body;
+
+      const result = await pool.query("SELECT password_hash FROM users WHERE id = $1", [req.user.id]);
+      if (!(await bcrypt.compare(currentPassword, result.rows[0].password_hash))) {
+        return sendValidationErrors(res, [{ field: "currentPassword", message: "is incorrect" }]);
+      }
+      if (currentPassword === newPassword) {
+        return sendValidationErrors(res, [{ field: "newPassword", message: "must be different from the current password" }]);
+      }
+
+      const password_hash = await bcrypt.hash(newPassword, 12);
+      const tokens = await withTransaction(async (client) => {
+        await revokeAllSessions(client, req.user.id);
+        const updated = await client.query(
+          `UPDATE users SET password_hash = $1, updated_at = NOW()
+           WHERE id = $2
+           RETURNING id, email, role, token_version`,
+          [password_hash, req.user.id]
+        );
+        await retireUserTokens(client, req.user.id);
+        await recordAudit(client, req, { action: "change_password", entityType: "user", entityId: req.user.id });
+        const session = await issueSession(client, updated.rows[0], req);
+        return session.tokens;
+      });
+
+      res.status(200).json({ success: true, message: "Password changed. Other devices have been signed out.", ...tokens });
+    } catch (err) {
+      req.log.error("Change password error", { err });
+      res.status(500).json({ success: false, message: "Failed to change password" });
+    }
+  });
+
+  // The row stays — orders and reviews still point at it — but everything that
+  // identifies the person goes: email and name are replaced, the password can
+  // never match again, and sessions, emailed links, cart, wishlist and
+  // notifications are deleted. Reviews stay up without a name. Admins have to
+  // be made customers first so the store can't lose its last admin this way.
+  app.delete("/api/account", authLimiter, authenticateToken, validateRequest({ body: deleteAccountSchema }), async (req, res) => {
+    try {
+      if (req.user.role === "admin") {
+        return res.status(409).json({
+          success: false,
+          message: "Admin accounts can't be deleted — ask another admin to change your role first",
+        });
+      }
+
+      const result = await pool.query("SELECT password_hash FROM users WHERE id = $1", [req.user.id]);
+      if (!(await bcrypt.compare(req.body.password, result.rows[0].password_hash))) {
+        return sendValidationErrors(res, [{ field: "password", message: "is incorrect" }]);
+      }
+
+      const unusableHash = await bcrypt.hash(crypto.randomBytes(32).toString("hex"), 12);
+      await withTransaction(async (client) => {
+        const id = req.user.id;
+        await client.query("DELETE FROM refresh_tokens WHERE user_id = $1", [id]);
+        await client.query("DELETE FROM user_tokens WHERE user_id = $1", [id]);
+        await client.query("DELETE FROM carts WHERE user_id = $1", [id]);
+        await client.query("DELETE FROM wishlist_items WHERE user_id = $1", [id]);
+        await client.query("DELETE FROM stock_notifications WHERE user_id = $1", [id]);
+        await client.query(
+          `UPDATE users
+           SET email = 'deleted-' || id || '@deleted.invalid', full_name = NULL, password_hash = $1,
+               token_version = token_version + 1, deleted_at = NOW(), updated_at = NOW()
+           WHERE id = $2`,
+          [unusableHash, id]
+        );
+        await recordAudit(client, req, { action: "delete_account", entityType: "user", entityId: id, actor: { id } });
+      });
+
+      res.status(200).json({ success: true, message: "Your account has been deleted" });
+    } catch (err) {
+      req.log.error("Delete account error", { err });
+      res.status(500).json({ success: false, message: "Failed to delete account" });
+    }
+  });
+
+  // ---------- ADMIN ----------
+
+  const USER_SELECT = `
+    SELECT u.id, u.email, u.full_name, u.role, u.email_verified_at, u.disabled_at, u.disabled_by,
+           u.deleted_at, u.created_at, u.updated_at,
+           (SELECT COUNT(*)::INT FROM orders WHERE user_id = u.id) AS order_count
+    FROM users u
+  `;
+
+  const USER_STATUS_CONDITIONS = {
+    active:   "u.disabled_at IS NULL AND u.deleted_at IS NULL",
+    disabled: "u.disabled_at IS NOT NULL AND u.deleted_at IS NULL",
+    deleted:  "u.deleted_at IS NOT NULL",
+  };
+
+  // Locks the target row for a role/status change. Admins can't act on
+  // themselves and deleted accounts can't be changed — throws ApiError.
+  const lockManagedUser = async (db, req, id, what) => {
+    if (id === req.user.id) {
+      throw new ApiError(409, `You can't change your own ${what}`);
+    }
+    const result = await db.query(
+      "SELECT id, email, role, disabled_at, deleted_at FROM users WHERE id = $1 FOR UPDATE",
+      [id]
+    );
+    const user = result.rows[0];
+    if (!user) {
+      throw new ApiError(404, "User not found");
+    }
+    if (user.deleted_at) {
+      throw new ApiError(409, "This account has been deleted");
+    }
+    return user;
+  };
+
+  app.get("/api/admin/users", requireAdmin, validateRequest({ query: userListQuery }), async (req, res) => {
+    try {
+      const { page, limit, q, role, status } = req.query;
+      const conditions = [];
+      const params = [];
+      const addParam = (value) => {
+        params.push(value);
+        return `$${params.length}`;
+      };
+
+      if (q) {
+        // q is matched literally — % and _ typed into the search box are not wildcards
+        const pattern = addParam(`%${q.replace(/[\\%_]/g, "\\$&")}%`);
+        conditions.push(`(u.email ILIKE ${pattern} OR u.full_name ILIKE ${pattern})`);
+      }
+      if (role) {
+        conditions.push(`u.role = ${addParam(role)}`);
+      }
+      if (status) {
+        conditions.push(USER_STATUS_CONDITIONS[status]);
+      }
+
+      const where = conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : "";
+      const offset = (page - 1) * limit;
+
+      const [rowsResult, countResult] = await Promise.all([
+        pool.query(
+          `${USER_SELECT} ${where}
+           ORDER BY u.created_at DESC, u.id DESC
+           LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+          [...params, limit, offset]
+        ),
+        pool.query(`SELECT COUNT(*) FROM users u ${where}`, params),
+      ]);
+
+      const total = parseInt(countResult.rows[0].count);
+
+      res.status(200).json({
+        success: true,
+        users: rowsResult.rows,
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages: Math.ceil(total / limit),
+          hasNextPage: offset + rowsResult.rows.length < total,
+          hasPrevPage: page > 1,
+        },
+      });
+    } catch (err) {
+      req.log.error("Fetch users error", { err });
+      res.status(500).json({ success: false, message: "Failed to fetch users" });
+    }
+  });
+
+  app.get("/api/admin/users/:id", requireAdmin, validateRequest({ params: idParams }), async (req, res) => {
+    try {
+      const result = await pool.query(`${USER_SELECT} WHERE u.id = $1`, [req.params.id]);
+      if (result.rows.length === 0) {
+        return res.status(404).json({ success: false, message: "User not found" });
+      }
+      res.status(200).json({ success: true, user: result.rows[0] });
+    } catch (err) {
+      req.log.error("Fetch user error", { err });
+      res.status(500).json({ success: false, message: "Failed to fetch user" });
+    }
+  });
+
+  // Tokens carry the role they were issued with, so the user's sessions are
+  // revoked and they log in again under the new one
+  app.put("/api/admin/users/:id/role", requireAdmin, validateRequest({ params: idParams, body: userRoleSchema }), async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { role } = req.body;
+
+      const changed = await withTransaction(async (client) => {
+        const user = await lockManagedUser(client, req, id, "role");
+        if (user.role === role) return false;
+
+        await client.query("UPDATE users SET role = $1, updated_at = NOW() WHERE id = $2", [role, id]);
+        await revokeAllSessions(client, id);
+        await recordAudit(client, req, {
+          action: "change_role",
+          entityType: "user",
+          entityId: id,
+          before: { role: user.role },
+          after: { role },
+        });
+        return true;
+      });
+
+      const user = (await pool.query(`${USER_SELECT} WHERE u.id = $1`, [id])).rows[0];
+      const label = role === "admin" ? "an admin" : "a customer";
+      res.status(200).json({
+        success: true,
+        user,
+        message: changed ? `User is now ${label}` : `User is already ${label}`,
+      });
+    } catch (err) {
+      if (err instanceof ApiError) {
+        return res.status(err.status).json({ success: false, message: err.message });
+      }
+      req.log.error("Change role error", { err });
+      res.status(500).json({ success: false, message: "Failed to change role" });
+    }
+  });
+
+  // Disabling signs the user out everywhere and voids their emailed links;
+  // enabling lets them log in again with their existing password
+  app.put("/api/admin/users/:id/status", requireAdmin, validateRequest({ params: idParams, body: userStatusSchema }), async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { disabled } = req.body;
+
+      const changed = await withTransaction(async (client) => {
+        const user = await lockManagedUser(client, req, id, "status");
+        if (!!user.disabled_at === disabled) return false;
+
+        if (disabled) {
+          await client.query(
+            "UPDATE users SET disabled_at = NOW(), disabled_by = $1, updated_at = NOW() WHERE id = $2",
+            [req.user.id, id]
+          );
+          await revokeAllSessions(client, id);
+          await retireUserTokens(client, id);
+        } else {
+          await client.query(
+            "UPDATE users SET disabled_at = NULL, disabled_by = NULL, updated_at = NOW() WHERE id = $1",
+            [id]
+          );
+        }
+        await recordAudit(client, req, { action: disabled ? "disable" : "enable", entityType: "user", entityId: id });
+        return true;
+      });
+
+      const user = (await pool.query(`${USER_SELECT} WHERE u.id = $1`, [id])).rows[0];
+      const state = disabled ? "disabled" : "enabled";
+      res.status(200).json({
+        success: true,
+        user,
+        message: changed ? `Account ${state}` : `Account is already ${state}`,
+      });
+    } catch (err) {
+      if (err instanceof ApiError) {
+        return res.status(err.status).json({ success: false, message: err.message });
+      }
+      req.log.error("Change account status error", { err });
+      res.status(500).json({ success: false, message: "Failed to change account status" });
+    }
+  });
+
+  // ============================================
+  // PRODUCT ROUTES
+  // ============================================
+  //
+  //  GET  /api/products            — paginated listing with filters, sort and search
+  //  GET  /api/products/all        — get every product, unpaginated
+  //  GET  /api/products/count      — get total number of products
+  //  GET  /api/products/export     — whole catalog as CSV                       [admin]
+  //  POST /api/products/import     — create/update products from CSV ("file")  [admin]
+  //  GET  /api/products/:id        — get a single product by ID
+  //  POST /api/products            — create a new product (with image upload)   [admin]
+  //  PUT  /api/products/:id        — update a product (image optional)          [admin]
+  //  DELETE /api/products/:id      — archive a product (moves it to the trash)  [admin]
+  //
+  //  GET  /api/admin/products/trash   — archived products, newest first     [admin]
+  //  POST /api/products/:id/restore   — bring an archived product back      [admin]
+  //
+  //  Archived products are hidden from every storefront route and can't be
+  //  edited. After TRASH_RETENTION_DAYS a background job deletes them and
+  //  their stored images for good.
+  //
+  //  GET    /api/products/:id/variants              — list a product's variants
+  //  POST   /api/products/:id/variants              — add a size/color variant  [admin]
+  //  PUT    /api/products/:id/variants/:variantId   — update a variant          [admin]
+  //  DELETE /api/products/:id/variants/:variantId   — remove a variant          [admin]
+  //
+  //  GET    /api/products/:id/images                  — list a product's images in order
+  //  POST   /api/products/:id/images                  — add gallery images ("images")   [admin]
+  //  PUT    /api/products/:id/images/order            — reorder images                  [admin]
+  //  PUT    /api/products/:id/images/:imageId/primary — choose the primary image        [admin]
+  //  DELETE /api/products/:id/images/:imageId         — delete one image                [admin]
+  //
+  //  POST /api/products/:id/stock-adjustments — apply a signed stock change       [admin]
+  //  GET  /api/products/:id/stock-movements   — stock movement history            [admin]
+  //  GET  /api/admin/inventory/low-stock      — products at or below reorder point [admin]
+  //
+  //  Products come with an image block for their primary image ({ url, width,
+  //  height, placeholder, sizes }) and gallery images carry the same fields;
+  //  sizes holds the thumbnail / card / full URLs described in images.js.
+  //
+  //  The public reads (listing, all, count, single product) are served through
+  //  the product cache and answer with ETag and Last-Modified, so browsers and
+  //  CDNs revalidating with If-None-Match / If-Modified-Since get a 304.
+  //
+  // ============================================
+
+  // GET products — paginated, filterable, sortable listing used by the storefront
+  // and the admin page. The homepage "latest" strip is just ?limit=4.
+  //
+  //  ?page, ?limit                    — pagination (limit max 100, default 20)
+  //  ?category, ?brand, ?product_class — exact match, case-insensitive
+  //  ?min_price, ?max_price           — price range, inclusive (sale prices count)
+  //  ?in_stock=true                   — only products with stock > 0
+  //  ?q                               — full-text search over name, brand, description
+  //  ?sort                            — newest | oldest | price_asc | price_desc |
+  //                                     name_asc | name_desc | rating (best rated first) |
+  //                                     relevance (default when q is set)
+  app.get("/api/products", validateRequest({ query: productListQuery }), async (req, res) => {
+    try {
+      const listing = buildProductQuery(req.query);
+      if (listing.error) {
+        return sendValidationErrors(res, [listing.error]);
+      }
+
+      const { where, params, orderBy, page, limit, sort } = listing;
+      const offset = (page - 1) * limit;
+
+      // req.query is the validated copy, so equivalent URLs share a key
+      await sendProductRead(req, res, `list:${JSON.stringify(req.query)}`, async () => {
+        const [rowsResult, countResult, lastModified] = await Promise.all([
+          pool.query(
+            `${PRODUCT_SELECT} ${where}
+             ORDER BY ${orderBy}
+             LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+            [...params, limit, offset]
+          ),
+          pool.query(`SELECT COUNT(*) FROM products p ${where}`, params),
+          fetchProductsLastModified(),
+        ]);
+
+        const total = parseInt(countResult.rows[0].count);
+
+        return {
+          status: 200,
+          lastModified,
+          body: {
+            success: true,
+            products: rowsResult.rows.map(presentProduct),
+            pagination: {
+              page,
+              limit,
+              total,
+              totalPages: Math.ceil(total / limit),
+              hasNextPage: offset + rowsResult.rows.length < total,
+              hasPrevPage: page > 1,
+            },
+            sort,
+          },
+        };
+      });
+    } catch (err) {
+      req.log.error("Fetch products error", { err });
+      res.status(500).json({ success: false, message: "Failed to fetch products" });
+    }
+  });
+
+  // GET all products — for the admin page, no limit
+  app.get("/api/products/all", async (req, res) => {
+    try {
+      await sendProductRead(req, res, "all", async () => {
+        const [result, lastModified] = await Promise.all([
+          pool.query(`${PRODUCT_SELECT} WHERE p.deleted_at IS NULL ORDER BY p.created_at DESC`),
+          fetchProductsLastModified(),
+        ]);
+        return {
+          status: 200,
+          lastModified,
+          body: {
+            success: true,
+            products: result.rows.map(presentProduct),
+            total: result.rows.length,
+          },
+        };
+      });
+    } catch (err) {
+      req.log.error("Fetch all products error", { err });
+      res.status(500).json({ success: false, message: "Failed to fetch products" });
+    }
+  });
+
+  // GET product count — just the number, nothing else
+  app.get("/api/products/count", async (req, res) => {
+    try {
+      await sendProductRead(req, res, "count", async () => {
+        const [result, lastModified] = await Promise.all([
+          pool.query("SELECT COUNT(*) FROM products WHERE deleted_at IS NULL"),
+          fetchProductsLastModified(),
+        ]);
+        return {
+          status: 200,
+          lastModified,
+          body: {
+            success: true,
+            count: parseInt(result.rows[0].count),
+          },
+        };
+      });
+    } catch (err) {
+      req.log.error("Count error", { err });
+      res.status(500).json({ success: false, message: "Failed to get product count" });
+    }
+  });
+
+  // ---------- CSV IMPORT / EXPORT ----------
+
+  const CSV_COLUMNS = [
+    "sku", "product_name", "category", "brand", "price", "stock", "product_class",
+    "sizes", "colors", "description", "low_stock_threshold", "image_urls",
+  ];
+  const MAX_IMPORT_ROWS = 1000;
+
+  // Serialises imports so two uploads of the same sheet can't both create a SKU
+  const PRODUCT_IMPORT_LOCK_KEY = 7700_2025;
+
+  // CSV column → productSchema field, so rows are held to the same rules as
+  // the admin form. image_urls is handled separately.
+  const IMPORT_COLUMN_FIELDS = {
+    sku: "sku",
+    product_name: "productName",
+    category: "category",
+    brand: "brand",
+    price: "price",
+    stock: "stock",
+    product_class: "productClass",
+    sizes: "sizes",
+    colors: "colors",
+    description: "description",
+    low_stock_threshold: "lowStockThreshold",
+  };
+
+  // Validates one CSV record. Blank cells come back undefined (null for
+  // low_stock_threshold): a new product gets the create route's defaults, an
+  // existing one keeps its current value.
+  const parseImportRow = (record) => {
+    const input = {};
+    for (const [column, field] of Object.entries(IMPORT_COLUMN_FIELDS)) {
+      input[field] = record[column];
+    }
+    const { values, errors: fieldErrors } = validate(productUpdateSchema, input);
+    const columnOf = (field) => Object.keys(IMPORT_COLUMN_FIELDS).find((column) => IMPORT_COLUMN_FIELDS[column] === field);
+    const errors = fieldErrors.map((error) => `${columnOf(error.field)} ${error.message}`);
+
+    const fields = {
+      ...values,
+      imageUrls: [...new Set((record.image_urls || "").split("|").map((url) => url.trim()).filter(Boolean))],
+    };
+
+    for (const url of fields.imageUrls) {
+      let parsed;
+      try {
+        parsed = new URL(url);
+      } catch {
+        parsed = null;
+      }
+      if (!parsed || !["http:", "https:"].includes(parsed.protocol)) {
+        errors.push(`"${url}" is not an http(s) image URL`);
+      }
+    }
+    if (fields.imageUrls.length > MAX_PRODUCT_IMAGES) {
+      errors.push(`A product can have at most ${MAX_PRODUCT_IMAGES} images`);
+    }
+
+    return { fields, errors };
+  };
+
+  // GET the whole catalog as CSV — the same columns the importer reads, so an
+  // exported sheet can be edited and imported straight back. image_urls lists
+  // the gallery primary first, separated by "|".
+  app.get("/api/products/export", requireAdmin, async (req, res) => {
+    try {
+      const result = await pool.query(
+        `SELECT p.*, gallery.image_urls
+         FROM products p
+         LEFT JOIN LATERAL (
+           SELECT string_agg(i.image_url, '|' ORDER BY i.is_primary DESC, i.position, i.id) AS image_urls
+           FROM product_images i WHERE i.product_id = p.id
+         ) gallery ON TRUE
+         WHERE p.deleted_at IS NULL
+         ORDER BY p.id`
+      );
+
+      const date = new Date().toISOString().slice(0, 10);
+      res.setHeader("Content-Type", "text/csv; charset=utf-8");
+      res.setHeader("Content-Disposition", `attachment; filename="brightnal-products-${date}.csv"`);
+      res.status(200).send(toCsv(CSV_COLUMNS, result.rows));
+    } catch (err) {
+      req.log.error("Export products error", { err });
+      res.status(500).json({ success: false, message: "Failed to export products" });
+    }
+  });
+
+  // POST a CSV ("file") to create or update products, matched by SKU. Every
+  // row is validated and images are fetched before anything is written; one bad
+  // row rejects the whole file with a per-row report. ?dryRun=true stops after
+  // validation and reports what would be created or updated.
+  app.post("/api/products/import", requireAdmin, csvUpload, validateRequest({ query: importQuery }), async (req, res) => {
+    let uploads = [];
+
+    try {
+      if (!req.file) {
+        return res.status(400).json({ success: false, message: 'CSV file is required (field "file")' });
+      }
+      const { dryRun } = req.query;
+
+      let table;
+      try {
+        table = parseCsv(req.file.buffer.toString("utf8"));
+      } catch (err) {
+        if (err instanceof CsvParseError) {
+          return res.status(400).json({ success: false, message: `Invalid CSV: ${err.message}` });
+        }
+        throw err;
+      }
+
+      const [header = [], ...records] = table;
+      const columns = header.map((name) => name.trim().toLowerCase());
+      const unknown = columns.filter((name) => !CSV_COLUMNS.includes(name));
+      if (unknown.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: `Unknown columns: ${unknown.join(", ")}. Expected: ${CSV_COLUMNS.join(", ")}`,
+        });
+      }
+      if (!columns.includes("product_name")) {
+        return res.status(400).json({ success: false, message: "The product_name column is required" });
+      }
+      if (records.length === 0) {
+        return res.status(400).json({ success: false, message: "The CSV has no product rows" });
+      }
+      if (records.length > MAX_IMPORT_ROWS) {
+        return res.status(400).json({ success: false, message: `At most ${MAX_IMPORT_ROWS} rows per import` });
+      }
+
+      // Row numbers match the spreadsheet: the header is row 1
+      const rows = records.map((cells, index) => {
+        const record = Object.fromEntries(columns.map((name, i) => [name, cells[i]]));
+        return { row: index + 2, ...parseImportRow(record), warnings: [] };
+      });
+
+      const skus = rows.map((r) => r.fields.sku).filter(Boolean);
+      const existing = await pool.query(
+        `SELECT p.id, p.sku, p.stock, p.deleted_at,
+                EXISTS (SELECT 1 FROM product_variants v WHERE v.product_id = p.id) AS has_variants,
+                COALESCE((SELECT array_agg(i.image_url) FROM product_images i WHERE i.product_id = p.id), '{}') AS image_urls
+         FROM products p WHERE p.sku = ANY($1)`,
+        [skus]
+      );
+      const bySku = new Map();
+      for (const product of existing.rows) {
+        bySku.set(product.sku, [...(bySku.get(product.sku) || []), product]);
+      }
+
+      const seen = new Set();
+      for (const r of rows) {
+        const { fields, errors } = r;
+        const matches = fields.sku ? bySku.get(fields.sku) || [] : [];
+
+        if (fields.sku && seen.has(fields.sku)) {
+          errors.push(`SKU ${fields.sku} appears more than once in this file`);
+        }
+        if (fields.sku) seen.add(fields.sku);
+
+        if (matches.length > 1) {
+          errors.push(`SKU ${fields.sku} matches ${matches.length} existing products — fix the duplicates first`);
+        } else if (matches[0]?.deleted_at) {
+          errors.push(`SKU ${fields.sku} belongs to an archived product — restore it first`);
+        } else if (matches.length === 1) {
+          r.action = "update";
+          r.product = matches[0];
+          if (fields.stock !== undefined && r.product.has_variants && fields.stock !== r.product.stock) {
+            r.warnings.push("stock ignored — this product's stock is managed per variant");
+          }
+        } else {
+          r.action = "create";
+          if (!fields.productName) errors.push("product_name is required for new products");
+          if (fields.imageUrls.length === 0) errors.push("image_urls is required for new products");
+        }
+      }
+
+      const report = () => ({
+        total: rows.length,
+        created: rows.filter((r) => r.action === "create" && r.errors.length === 0).length,
+        updated: rows.filter((r) => r.action === "update" && r.errors.length === 0).length,
+        failed: rows.filter((r) => r.errors.length > 0).length,
+      });
+      const rowReport = () => rows.map((r) => ({
+        row: r.row,
+        sku: r.fields.sku || null,
+        productName: r.fields.productName || null,
+        action: r.action || null,
+        errors: r.errors,
+        warnings: r.warnings,
+      }));
+      const rejectWithReport = () => {
+        const summary = report();
+        return res.status(400).json({
+          success: false,
+          dryRun,
+          message: `${summary.failed} row(s) have errors — nothing was imported`,
+          summary,
+          rows: rowReport(),
+        });
+      };
+
+      if (rows.some((r) => r.errors.length > 0)) {
+        return rejectWithReport();
+      }
+      if (dryRun) {
+        return res.status(200).json({
+          success: true,
+          dryRun,
+          message: "Dry run — no changes were made",
+          summary: report(),
+          rows: rowReport(),
+        });
+      }
+
+      // Images already in a product's gallery are kept as they are; only new
+      // URLs are downloaded. One at a time to go easy on the remote hosts.
+      for (const r of rows) {
+        const known = new Set(r.product?.image_urls || []);
+        r.uploads = new Map();
+        for (const url of r.fields.imageUrls) {
+          if (known.has(url) || r.uploads.has(url)) continue;
+          try {
+            const image = await fetchRemoteImage(url);
+            const uploaded = await uploadImage(image);
+            uploads.push(uploaded);
+            r.uploads.set(url, uploaded);
+          } catch (err) {
+            r.errors.push(`Image download failed: ${err.message}`);
+          }
+        }
+      }
+      if (rows.some((r) => r.errors.length > 0)) {
+        await Promise.all(uploads.map((u) => deleteImage(u.id)));
+        uploads = [];
+        return rejectWithReport();
+      }
+
+      const replacedImages = await withTransaction(async (client) => {
+        await client.query("SELECT pg_advisory_xact_lock($1)", [PRODUCT_IMPORT_LOCK_KEY]);
+        const removed = [];
+
+        for (const r of rows) {
+          const { fields } = r;
+
+          // Blank cells stay undefined so an existing product keeps its value
+          const resolveCell = async (kind) => {
+            if (fields[kind] === undefined) return undefined;
+            try {
+              return await resolveTaxonomy(client, kind, { name: fields[kind] });
+            } catch (err) {
+              if (err instanceof ApiError) err.message = `Row ${r.row}: ${err.message}`;
+              throw err;
+            }
+          };
+          const categoryRef = await resolveCell("category");
+          const brandRef = await resolveCell("brand");
+
+          if (r.action === "create") {
+            const taken = fields.sku && await client.query("SELECT 1 FROM products WHERE sku = $1", [fields.sku]);
+            if (taken?.rows.length > 0) {
+              throw new ApiError(409, `SKU ${fields.sku} was created while this import ran — run it again`);
+            }
+
+            const created = (await client.query(
+              `INSERT INTO products
+                (product_name, category, brand, price, stock, sku, product_class,
+                 sizes, colors, description, image_url, cloudinary_id, created_by,
+                 low_stock_threshold, category_id, brand_id)
+               VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15,$16)
+               RETURNING *`,
+              [
+                fields.productName,
+                taxonomyName("category", categoryRef),
+                taxonomyName("brand", brandRef),
+                fields.price ?? 0,
+                fields.stock ?? 0,
+                fields.sku || `SKU-${Date.now()}-${r.row}`,
+                fields.productClass || "Standard",
+                fields.sizes || "N/A",
+                fields.colors || "N/A",
+                fields.description || "No description",
+                r.uploads.get(fields.imageUrls[0]).url,
+                r.uploads.get(fields.imageUrls[0]).id,
+                req.user.id,
+                fields.lowStockThreshold ?? null,
+                categoryRef?.id ?? null,
+                brandRef?.id ?? null,
+              ]
+            )).rows[0];
+            r.productId = created.id;
+
+            if (created.stock > 0) {
+              await recordStockMovement(client, {
+                productId: created.id,
+                type: "restock",
+                delta: created.stock,
+                stockAfter: created.stock,
+                reason: "Initial stock (CSV import)",
+                actorId: req.user.id,
+              });
+            }
+
+            const images = await insertProductImages(client, created.id, [...r.uploads.values()]);
+            await client.query("UPDATE product_images SET is_primary = TRUE WHERE id = $1", [images[0].id]);
+            await recordAudit(client, req, { action: "create", entityType: "product", entityId: created.id, after: created });
+            continue;
+          }
+
+          const id = r.product.id;
+          r.productId = id;
+          const current = await client.query(
+            "SELECT * FROM products WHERE id = $1 AND sku = $2 AND deleted_at IS NULL FOR UPDATE",
+            [id, fields.sku]
+          );
+          if (current.rows.length === 0) {
+            throw new ApiError(409, `Product with SKU ${fields.sku} changed while this import ran — run it again`);
+          }
+
+          await client.query(
+            `UPDATE products
+             SET product_name = COALESCE($1, product_name), price = COALESCE($2, price),
+                 product_class = COALESCE($3, product_class), sizes = COALESCE($4, sizes),
+                 colors = COALESCE($5, colors), description = COALESCE($6, description),
+                 low_stock_threshold = COALESCE($7, low_stock_threshold),
+                 category = CASE WHEN $9 THEN $10 ELSE category END,
+                 category_id = CASE WHEN $9 THEN $11 ELSE category_id END,
+                 brand = CASE WHEN $12 THEN $13 ELSE brand END,
+                 brand_id = CASE WHEN $12 THEN $14 ELSE brand_id END
+             WHERE id = $8`,
+            [
+              fields.productName, fields.price ?? null,
+              fields.productClass, fields.sizes, fields.colors, fields.description,
+              fields.lowStockThreshold ?? null, id,
+              categoryRef !== undefined, taxonomyName("category", categoryRef), categoryRef?.id ?? null,
+              brandRef !== undefined, taxonomyName("brand", brandRef), brandRef?.id ?? null,
+            ]
+          );
+
+          if (fields.stock !== undefined && !r.product.has_variants && fields.stock !== current.rows[0].stock) {
+            await adjustStock(client, {
+              productId: id,
+              delta: fields.stock - current.rows[0].stock,
+              type: "correction",
+              reason: "CSV import",
+              actorId: req.user.id,
+            });
+          }
+
+          // A non-empty image_urls cell is the full gallery, in order
+          if (fields.imageUrls.length > 0) {
+            const gallery = await client.query(
+              "SELECT * FROM product_images WHERE product_id = $1 FOR UPDATE",
+              [id]
+            );
+            const dropped = gallery.rows.filter((image) => !fields.imageUrls.includes(image.image_url));
+            await client.query("DELETE FROM product_images WHERE id = ANY($1)", [dropped.map((image) => image.id)]);
+            removed.push(...dropped.map((image) => image.cloudinary_id));
+
+            await insertProductImages(client, id, [...r.uploads.values()]);
+            const images = await fetchProductImages(client, id);
+            for (const [position, url] of fields.imageUrls.entries()) {
+              const image = images.find((candidate) => candidate.image_url === url);
+              await client.query("UPDATE product_images SET position = $1 WHERE id = $2", [position, image.id]);
+            }
+            await setPrimaryImage(client, id, images.find((image) => image.image_url === fields.imageUrls[0]).id);
+          }
+
+          const updated = await client.query("SELECT * FROM products WHERE id = $1", [id]);
+          await recordAudit(client, req, {
+            action: "update",
+            entityType: "product",
+            entityId: id,
+            before: current.rows[0],
+            after: updated.rows[0],
+          });
+        }
+
+        return removed;
+      });
+      uploads = [];
+      await invalidateProductCache(req.log);
+      await publishProductEvents("product.created", rows.filter((r) => r.action === "create").map((r) => r.productId), req.log);
+      await publishProductEvents("product.updated", rows.filter((r) => r.action === "update").map((r) => r.productId), req.log);
+
+      await Promise.all(replacedImages.map(deleteImage));
+
+      const summary = report();
+      res.status(200).json({
+        success: true,
+        dryRun,
+        message: `Imported ${summary.total} products (${summary.created} created, ${summary.updated} updated)`,
+        summary,
+        rows: rowReport().map((row, i) => ({ ...row, productId: rows[i].productId })),
+      });
+    } catch (err) {
+      await Promise.all(uploads.map((u) => deleteImage(u.id)));
+      if (err instanceof ApiError) {
+        return res.status(err.status).json({ success: false, message: err.message });
+      }
+      req.log.error("Import products error", { err });
+      res.status(500).json({ success: false, message: "Failed to import products" });
+    }
+  });
+
+  // GET single product by ID
+  app.get("/api/products/:id", validateRequest({ params: idParams }), async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      await sendProductRead(req, res, `product:${id}`, async () => {
+        const result = await pool.query(`${PRODUCT_SELECT} WHERE p.id = $1 AND p.deleted_at IS NULL`, [id]);
+        if (result.rows.length === 0) {
+          return { status: 404, body: { success: false, message: "Product not found" } };
+        }
+
+        const variants = await pool.query(
+          "SELECT * FROM product_variants WHERE product_id = $1 ORDER BY id ASC",
+          [id]
+        );
+
+        const images = await fetchProductImages(pool, id);
+        const lastModified = await fetchProductsLastModified("WHERE p.id = $1", [id]);
+
+        return {
+          status: 200,
+          lastModified,
+          body: {
+            success: true,
+            product: { ...presentProduct(result.rows[0]), variants: variants.rows, images },
+          },
+        };
+      });
+    } catch (err) {
+      req.log.error("Fetch product error", { err });
+      res.status(500).json({ success: false, message: "Failed to fetch product" });
+    }
+  });
+
+  // Sale rules that span fields, checked against the merged row on update
+  const saleRuleErrors = ({ price, sale_price, sale_starts_at, sale_ends_at }) => {
+    const errors = [];
+    if (sale_price !== null && Number(sale_price) >= Number(price)) {
+      errors.push({ field: "salePrice", message: "must be less than price" });
+    }
+    if (sale_starts_at && sale_ends_at && sale_ends_at <= sale_starts_at) {
+      errors.push({ field: "saleEndsAt", message: "must be after saleStartsAt" });
+    }
+    return errors;
+  };
+
+  // CREATE a new product — first uploaded image becomes the primary one
+  app.post("/api/products", requireAdmin, productImageUpload, validateRequest({ body: productSchema }), async (req, res) => {
+    let uploads = [];
+
+    try {
+      const files = [...(req.files?.image || []), ...(req.files?.images || [])];
+      if (files.length === 0) {
+        return res.status(400).json({ success: false, message: "Product image is required" });
+      }
+      if (files.length > MAX_PRODUCT_IMAGES) {
+        return res.status(400).json({ success: false, message: `A product can have at most ${MAX_PRODUCT_IMAGES} images` });
+      }
+
+      const {
+        productName, category, categoryId, brand, brandId, price, stock, sku,
+        productClass, sizes, colors, description, lowStockThreshold,
+        salePrice, saleStartsAt, saleEndsAt,
+      } = req.body;
+
+      const sale = {
+        price: price ?? 0,
+        sale_price: salePrice ?? null,
+        sale_starts_at: saleStartsAt ?? null,
+        sale_ends_at: saleEndsAt ?? null,
+      };
+      const saleErrors = saleRuleErrors(sale);
+      if (saleErrors.length > 0) {
+        return sendValidationErrors(res, saleErrors);
+      }
+
+      uploads = await uploadImages(files);
+
+      const product = await withTransaction(async (client) => {
+        const categoryRef = await resolveTaxonomy(client, "category", { id: categoryId, name: category });
+        const brandRef = await resolveTaxonomy(client, "brand", { id: brandId, name: brand });
+
+        const result = await client.query(
+          `INSERT INTO products
+            (product_name, category, brand, price, stock, sku, product_class,
+             sizes, colors, description, image_url, cloudinary_id, created_by,
+             low_stock_threshold, category_id, brand_id, sale_price, sale_starts_at, sale_ends_at)
+           VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15,$16,$17,$18,$19)
+           RETURNING *`,
+          [
+            productName,
+            taxonomyName("category", categoryRef),
+            taxonomyName("brand", brandRef),
+            price ?? 0,
+            stock ?? 0,
+            sku || `SKU-${Date.now()}`,
+            productClass || "Standard",
+            sizes || "N/A",
+            colors || "N/A",
+            description || "No description",
+            uploads[0].url,
+            uploads[0].id,
+            req.user.id,
+            lowStockThreshold ?? null,
+            categoryRef?.id ?? null,
+            brandRef?.id ?? null,
+            sale.sale_price,
+            sale.sale_starts_at,
+            sale.sale_ends_at,
+          ]
+        );
+        const created = result.rows[0];
+
+        if (created.stock > 0) {
+          await recordStockMovement(client, {
+            productId: created.id,
+            type: "restock",
+            delta: created.stock,
+            stockAfter: created.stock,
+            reason: "Initial stock",
+            actorId: req.user.id,
+          });
+        }
+
+        const images = await insertProductImages(client, created.id, uploads);
+        await client.query("UPDATE product_images SET is_primary = TRUE WHERE id = $1", [images[0].id]);
+        await recordAudit(client, req, { action: "create", entityType: "product", entityId: created.id, after: created });
+        return { ...created, images: await fetchProductImages(client, created.id) };
+      });
+      await invalidateProductCache(req.log);
+      await publishProductEvents("product.created", [product.id], req.log);
+
+      res.status(201).json({ success: true, product, message: "Product created successfully" });
+    } catch (err) {
+      await Promise.all(uploads.map((u) => deleteImage(u.id)));
+      if (err instanceof ApiError) {
+        return res.status(err.status).json({ success: false, message: err.message });
+      }
+      req.log.error("Create product error", { err });
+      res.status(500).json({ success: false, message: "Failed to create product" });
+    }
+  });
+
+  // UPDATE a product. Files sent as "images" are added to the gallery; a file
+  // sent as "image" replaces the primary image, as this route always did.
+  app.put("/api/products/:id", requireAdmin, productImageUpload, validateRequest({ params: idParams, body: productUpdateSchema }), async (req, res) => {
+    let uploads = [];
+
+    try {
+      const { id } = req.params;
+
+      const existing = await pool.query("SELECT * FROM products WHERE id = $1 AND deleted_at IS NULL", [id]);
+      if (existing.rows.length === 0) {
+        return res.status(404).json({ success: false, message: "Product not found" });
+      }
+
+      const product = existing.rows[0];
+      // Fields left blank keep their current value. lowStockThreshold is the
+      // exception: sent blank it comes through as null and clears the
+      // per-product override, so the global LOW_STOCK_THRESHOLD applies again.
+      // The sale fields work the same way — a blank salePrice ends the sale.
+      const {
+        productName, category, categoryId, brand, brandId, price, stock, sku,
+        productClass, sizes, colors, description, lowStockThreshold,
+        salePrice, saleStartsAt, saleEndsAt,
+      } = req.body;
+
+      const keep = (value, current) => (value === undefined ? current : value);
+      const sale = {
+        price: price ?? product.price,
+        sale_price: keep(salePrice, product.sale_price),
+        sale_starts_at: keep(saleStartsAt, product.sale_starts_at),
+        sale_ends_at: keep(saleEndsAt, product.sale_ends_at),
+      };
+      const saleErrors = saleRuleErrors(sale);
+      if (saleErrors.length > 0) {
+        return sendValidationErrors(res, saleErrors);
+      }
+
+      // Stock for products with variants is the sum of variant stock — manage it per variant
+      const variantCount = await pool.query(
+        "SELECT COUNT(*)::INT AS count FROM product_variants WHERE product_id = $1",
+        [id]
+      );
+      const hasVariants = variantCount.rows[0].count > 0;
+
+      const replacement = req.files?.image?.[0];
+      const additions = req.files?.images || [];
+
+      const imageCount = await pool.query(
+        "SELECT COUNT(*)::INT AS count FROM product_images WHERE product_id = $1",
+        [id]
+      );
+      if (imageCount.rows[0].count + additions.length > MAX_PRODUCT_IMAGES) {
+        return res.status(400).json({ success: false, message: `A product can have at most ${MAX_PRODUCT_IMAGES} images` });
+      }
+
+      uploads = await uploadImages(replacement ? [replacement, ...additions] : additions);
+      const replacementUpload = replacement ? uploads[0] : null;
+      const additionUploads = replacement ? uploads.slice(1) : uploads;
+
+      const updated = await withTransaction(async (client) => {
+        if (replacementUpload) {
+          await client.query(
+            `UPDATE product_images SET image_url = $1, cloudinary_id = $2, width = $3, height = $4, placeholder = $5
+             WHERE product_id = $6 AND is_primary`,
+            [replacementUpload.url, replacementUpload.id, replacementUpload.width, replacementUpload.height, replacementUpload.placeholder, id]
+          );
+        }
+        await insertProductImages(client, id, additionUploads);
+
+        // A stock number typed into the product form is recorded as a manual
+        // correction against the current (locked) level, not a blind overwrite
+        if (!hasVariants && stock !== undefined) {
+          const current = await client.query("SELECT stock FROM products WHERE id = $1 FOR UPDATE", [id]);
+          const delta = stock - current.rows[0].stock;
+          if (delta !== 0) {
+            await adjustStock(client, {
+              productId: id,
+              delta,
+              type: "correction",
+              reason: "Edited in product form",
+              actorId: req.user.id,
+            });
+          }
+        }
+
+        // Left alone unless an id or a name was sent
+        const taxonomyUpdate = async (kind, refId, name) => {
+          if (refId === undefined && name === undefined) {
+            return { id: product[`${kind}_id`], name: product[kind] };
+          }
+          const ref = await resolveTaxonomy(client, kind, { id: refId, name });
+          return { id: ref?.id ?? null, name: taxonomyName(kind, ref) };
+        };
+        const categoryRef = await taxonomyUpdate("category", categoryId, category);
+        const brandRef = await taxonomyUpdate("brand", brandId, brand);
+
+        const result = await client.query(
+          `UPDATE products
+           SET product_name = $1, category = $2, brand = $3, price = $4,
+               low_stock_threshold = $5, sku = $6, product_class = $7, sizes = $8,
+               colors = $9, description = $10, image_url = $11,
+               cloudinary_id = $12, category_id = $14, brand_id = $15,
+               sale_price = $16, sale_starts_at = $17, sale_ends_at = $18
+           WHERE id = $13
+           RETURNING *`,
+          [
+            productName ?? product.product_name,
+            categoryRef.name,
+            brandRef.name,
+            sale.price,
+            lowStockThreshold === undefined ? product.low_stock_threshold : lowStockThreshold,
+            sku ?? product.sku,
+            productClass ?? product.product_class,
+            sizes ?? product.sizes,
+            colors ?? product.colors,
+            description ?? product.description,
+            replacementUpload?.url || product.image_url,
+            replacementUpload?.id || product.cloudinary_id,
+            id,
+            categoryRef.id,
+            brandRef.id,
+            sale.sale_price,
+            sale.sale_starts_at,
+            sale.sale_ends_at,
+          ]
+        );
+        await recordAudit(client, req, { action: "update", entityType: "product", entityId: id, before: product, after: result.rows[0] });
+        if (additionUploads.length > 0) {
+          await recordAudit(client, req, {
+            action: "add_images",
+            entityType: "product",
+            entityId: id,
+            after: { images: additionUploads.map((u) => u.url) },
+          });
+        }
+        return { ...result.rows[0], images: await fetchProductImages(client, id) };
+      });
+      await invalidateProductCache(req.log);
+      await publishProductEvents("product.updated", [id], req.log);
+
+      // Only drop the old primary once the database points at the new one
+      if (replacementUpload) await deleteImage(product.cloudinary_id);
+
+      res.status(200).json({ success: true, product: updated, message: "Product updated successfully" });
+    } catch (err) {
+      await Promise.all(uploads.map((u) => deleteImage(u.id)));
+      if (err instanceof ApiError) {
+        return res.status(err.status).json({ success: false, message: err.message });
+      }
+      req.log.error("Update product error", { err });
+      res.status(500).json({ success: false, message: "Failed to update product" });
+    }
+  });
+
+  // DELETE archives a product: it leaves the storefront but keeps its row and
+  // images, so a mis-click can be undone from the trash
+  app.delete("/api/products/:id", requireAdmin, validateRequest({ params: idParams }), async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      const product = await withTransaction(async (client) => {
+        const result = await client.query(
+          `UPDATE products SET deleted_at = NOW(), deleted_by = $2
+           WHERE id = $1 AND deleted_at IS NULL
+           RETURNING *`,
+          [id, req.user.id]
+        );
+        if (result.rows.length === 0) {
+          throw new ApiError(404, "Product not found");
+        }
+        await recordAudit(client, req, {
+          action: "archive",
+          entityType: "product",
+          entityId: id,
+          after: { deleted_at: result.rows[0].deleted_at },
+        });
+        return result.rows[0];
+      });
+      await invalidateProductCache(req.log);
+      publishAdminEvent("product.deleted", { id });
+
+      res.status(200).json({
+        success: true,
+        message: "Product moved to trash",
+        purgeAt: purgeDate(product.deleted_at),
+      });
+    } catch (err) {
+      if (err instanceof ApiError) {
+        return res.status(err.status).json({ success: false, message: err.message });
+      }
+      req.log.error("Delete product error", { err });
+      res.status(500).json({ success: false, message: "Failed to delete product" });
+    }
+  });
+
+  // ---------- TRASH ----------
+
+  app.get("/api/admin/products/trash", requireAdmin, validateRequest({ query: pageQuery }), async (req, res) => {
+    try {
+      const { page, limit } = req.query;
+
+      const [rowsResult, countResult] = await Promise.all([
+        pool.query(
+          `${PRODUCT_SELECT} WHERE p.deleted_at IS NOT NULL
+           ORDER BY p.deleted_at DESC, p.id DESC
+           LIMIT $1 OFFSET $2`,
+          [limit, (page - 1) * limit]
+        ),
+        pool.query("SELECT COUNT(*) FROM products WHERE deleted_at IS NOT NULL"),
+      ]);
+
+      const total = parseInt(countResult.rows[0].count);
+      const totalPages = Math.ceil(total / limit);
+      res.status(200).json({
+        success: true,
+        products: rowsResult.rows.map((product) => ({ ...presentProduct(product), purge_at: purgeDate(product.deleted_at) })),
+        retentionDays: TRASH_RETENTION_DAYS,
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages,
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1,
+        },
+      });
+    } catch (err) {
+      req.log.error("Fetch trash error", { err });
+      res.status(500).json({ success: false, message: "Failed to fetch archived products" });
+    }
+  });
+
+  app.post("/api/products/:id/restore", requireAdmin, validateRequest({ params: idParams }), async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      const product = await withTransaction(async (client) => {
+        const result = await client.query(
+          `UPDATE products SET deleted_at = NULL, deleted_by = NULL
+           WHERE id = $1 AND deleted_at IS NOT NULL
+           RETURNING *`,
+          [id]
+        );
+        if (result.rows.length === 0) {
+          throw new ApiError(404, "No archived product with that ID");
+        }
+        await recordAudit(client, req, { action: "restore", entityType: "product", entityId: id });
+        return result.rows[0];
+      });
+      await invalidateProductCache(req.log);
+      // Back on the list, as far as an open admin page is concerned
+      await publishProductEvents("product.created", [id], req.log);
+
+      res.status(200).json({ success: true, product, message: "Product restored" });
+    } catch (err) {
+      if (err instanceof ApiError) {
+        return res.status(err.status).json({ success: false, message: err.message });
+      }
+      req.log.error("Restore product error", { err });
+      res.status(500).json({ success: false, message: "Failed to restore product" });
+    }
+  });
+
+  // ---------- IMAGES ----------
+
+  app.get("/api/products/:id/images", validateRequest({ params: idParams }), async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      const product = await pool.query("SELECT id FROM products WHERE id = $1 AND deleted_at IS NULL", [id]);
+      if (product.rows.length === 0) {
+        return res.status(404).json({ success: false, message: "Product not found" });
+      }
+
+      res.status(200).json({ success: true, images: await fetchProductImages(pool, id) });
+    } catch (err) {
+      req.log.error("Fetch images error", { err });
+      res.status(500).json({ success: false, message: "Failed to fetch images" });
+    }
+  });
+
+  app.post("/api/products/:id/images", requireAdmin, upload.array("images", MAX_PRODUCT_IMAGES), validateRequest({ params: idParams }), async (req, res) => {
+    let uploads = [];
+
+    try {
+      const { id } = req.params;
+      if (!req.files?.length) {
+        return res.status(400).json({ success: false, message: "At least one image is required" });
+      }
+
+      const product = await pool.query("SELECT id FROM products WHERE id = $1 AND deleted_at IS NULL", [id]);
+      if (product.rows.length === 0) {
+        return res.status(404).json({ success: false, message: "Product not found" });
+      }
+
+      const imageCount = await pool.query(
+        "SELECT COUNT(*)::INT AS count FROM product_images WHERE product_id = $1",
+        [id]
+      );
+      if (imageCount.rows[0].count + req.files.length > MAX_PRODUCT_IMAGES) {
+        return res.status(400).json({ success: false, message: `A product can have at most ${MAX_PRODUCT_IMAGES} images` });
+      }
+
+      uploads = await uploadImages(req.files);
+      const images = await withTransaction(async (client) => {
+        await lockActiveProduct(client, id);
+        await insertProductImages(client, id, uploads);
+        await recordAudit(client, req, {
+          action: "add_images",
+          entityType: "product",
+          entityId: id,
+          after: { images: uploads.map((u) => u.url) },
+        });
+        return fetchProductImages(client, id);
+      });
+      await invalidateProductCache(req.log);
+      await publishProductEvents("product.updated", [id], req.log);
+
+      res.status(201).json({ success: true, images, message: "Images added successfully" });
+    } catch (err) {
+      await Promise.all(uploads.map((u) => deleteImage(u.id)));
+      if (err instanceof ApiError) {
+        return res.status(err.status).json({ success: false, message: err.message });
+      }
+      req.log.error("Add images error", { err });
+      res.status(500).json({ success: false, message: "Failed to add images" });
+    }
+  });
+
+  // Body: { imageIds: [...] } — every image of the product, in the new order
+  app.put("/api/products/:id/images/order", requireAdmin, validateRequest({ params: idParams, body: imageOrderSchema }), async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { imageIds } = req.body;
+
+      const images = await withTransaction(async (client) => {
+        await lockActiveProduct(client, id);
+        const current = await client.query(
+          "SELECT id FROM product_images WHERE product_id = $1 ORDER BY position ASC, id ASC FOR UPDATE",
+          [id]
+        );
+        const previousOrder = current.rows.map((row) => row.id);
+        const currentIds = current.rows.map((row) => row.id).sort((a, b) => a - b);
+        const requestedIds = [...imageIds].sort((a, b) => a - b);
+
+        if (currentIds.length === 0) {
+          throw new ApiError(404, "Product not found");
+        }
+        if (currentIds.join(",") !== requestedIds.join(",")) {
+          throw new ApiError(400, "imageIds must list every image of this product exactly once");
+        }
+
+        for (const [position, imageId] of imageIds.entries()) {
+          await client.query(
+            "UPDATE product_images SET position = $1 WHERE id = $2",
+            [position, imageId]
+          );
+        }
+        await recordAudit(client, req, {
+          action: "reorder_images",
+          entityType: "product",
+          entityId: id,
+          before: { image_ids: previousOrder },
+          after: { image_ids: imageIds },
+        });
+        return fetchProductImages(client, id);
+      });
+      await invalidateProductCache(req.log);
+      await publishProductEvents("product.updated", [id], req.log);
+
+      res.status(200).json({ success: true, images, message: "Images reordered" });
+    } catch (err) {
+      if (err instanceof ApiError) {
+        return res.status(err.status).json({ success: false, message: err.message });
+      }
+      req.log.error("Reorder images error", { err });
+      res.status(500).json({ success: false, message: "Failed to reorder images" });
+    }
+  });
+
+  app.put("/api/products/:id/images/:imageId/primary", requireAdmin, validateRequest({ params: imageParams }), async (req, res) => {
+    try {
+      const { id, imageId } = req.params;
+
+      const images = await withTransaction(async (client) => {
+        await lockActiveProduct(client, id);
+        const image = await client.query(
+          "SELECT id FROM product_images WHERE id = $1 AND product_id = $2",
+          [imageId, id]
+        );
+        if (image.rows.length === 0) {
+          throw new ApiError(404, "Image not found");
+        }
+        const previous = await client.query(
+          "SELECT id FROM product_images WHERE product_id = $1 AND is_primary",
+          [id]
+        );
+        await setPrimaryImage(client, id, imageId);
+        await recordAudit(client, req, {
+          action: "set_primary_image",
+          entityType: "product",
+          entityId: id,
+          before: { primary_image_id: previous.rows[0]?.id ?? null },
+          after: { primary_image_id: imageId },
+        });
+        return fetchProductImages(client, id);
+      });
+      await invalidateProductCache(req.log);
+      await publishProductEvents("product.updated", [id], req.log);
+
+      res.status(200).json({ success: true, images, message: "Primary image updated" });
+    } catch (err) {
+      if (err instanceof ApiError) {
+        return res.status(err.status).json({ success: false, message: err.message });
+      }
+      req.log.error("Set primary image error", { err });
+      res.status(500).json({ success: false, message: "Failed to set primary image" });
+    }
+  });
+
+  // Deleting the primary image promotes the next one; the last image can't go
+  app.delete("/api/products/:id/images/:imageId", requireAdmin, validateRequest({ params: imageParams }), async (req, res) => {
+    try {
+      const { id, imageId } = req.params;
+
+      const { removed, images } = await withTransaction(async (client) => {
+        await lockActiveProduct(client, id);
+        const all = await client.query(
+          "SELECT * FROM product_images WHERE product_id = $1 ORDER BY position ASC, id ASC FOR UPDATE",
+          [id]
+        );
+        const target = all.rows.find((image) => image.id === imageId);
+        if (!target) {
+          throw new ApiError(404, "Image not found");
+        }
+        if (all.rows.length === 1) {
+          throw new ApiError(409, "A product must keep at least one image");
+        }
+
+        await client.query("DELETE FROM product_images WHERE id = $1", [imageId]);
+        if (target.is_primary) {
+          const next = all.rows.find((image) => image.id !== imageId);
+          await setPrimaryImage(client, id, next.id);
+        }
+        await recordAudit(client, req, { action: "delete_image", entityType: "product", entityId: id, before: target });
+        return { removed: target, images: await fetchProductImages(client, id) };
+      });
+      await invalidateProductCache(req.log);
+      await publishProductEvents("product.updated", [id], req.log);
+
+      await deleteImage(removed.cloudinary_id);
+      res.status(200).json({ success: true, images, message: "Image deleted successfully" });
+    } catch (err) {
+      if (err instanceof ApiError) {
+        return res.status(err.status).json({ success: false, message: err.message });
+      }
+      req.log.error("Delete image error", { err });
+      res.status(500).json({ success: false, message: "Failed to delete image" });
+    }
+  });
+
+  // ---------- VARIANTS ----------
+
+  const isUniqueViolation = (err) => err.code === "23505";
+
+  app.get("/api/products/:id/variants", validateRequest({ params: idParams }), async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      const product = await pool.query("SELECT id FROM products WHERE id = $1 AND deleted_at IS NULL", [id]);
+      if (product.rows.length === 0) {
+        return res.status(404).json({ success: false, message: "Product not found" });
+      }
+
+      const result = await pool.query(
+        "SELECT * FROM product_variants WHERE product_id = $1 ORDER BY id ASC",
+        [id]
+      );
+      res.status(200).json({ success: true, variants: result.rows });
+    } catch (err) {
+      req.log.error("Fetch variants error", { err });
+      res.status(500).json({ success: false, message: "Failed to fetch variants" });
+    }
+  });
+
+  app.post("/api/products/:id/variants", requireAdmin, validateRequest({ params: idParams, body: variantSchema }), async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      const fields = req.body;
+      if (!fields.size && !fields.color) {
+        return sendValidationErrors(res, [{ field: "size", message: "or color is required" }]);
+      }
+
+      const variant = await withTransaction(async (client) => {
+        const product = await lockActiveProduct(client, id);
+
+        const result = await client.query(
+          `INSERT INTO product_variants (product_id, size, color, sku, price, stock)
+           VALUES ($1, $2, $3, $4, $5, $6)
+           RETURNING *`,
+          [
+            id,
+            fields.size ?? null,
+            fields.color ?? null,
+            fields.sku || buildVariantSku(product.sku || `SKU-${id}`, fields.size, fields.color),
+            fields.price ?? null,
+            fields.stock,
+          ]
+        );
+        await syncVariantStock(client, id);
+        await notifyBackInStock(client, id);
+
+        const created = result.rows[0];
+        if (created.stock > 0) {
+          await recordStockMovement(client, {
+            productId: id,
+            variantId: created.id,
+            type: "restock",
+            delta: created.stock,
+            stockAfter: created.stock,
+            reason: "Initial variant stock",
+            actorId: req.user.id,
+          });
+        }
+        await recordAudit(client, req, { action: "create", entityType: "product_variant", entityId: created.id, after: created });
+        return created;
+      });
+      await invalidateProductCache(req.log);
+      await publishProductEvents("product.updated", [id], req.log);
+
+      res.status(201).json({ success: true, variant, message: "Variant created successfully" });
+    } catch (err) {
+      if (err instanceof ApiError) {
+        return res.status(err.status).json({ success: false, message: err.message });
+      }
+      if (isUniqueViolation(err)) {
+        return res.status(409).json({ success: false, message: "A variant with this SKU or size/color already exists" });
+      }
+      req.log.error("Create variant error", { err });
+      res.status(500).json({ success: false, message: "Failed to create variant" });
+    }
+  });
+
+  app.put("/api/products/:id/variants/:variantId", requireAdmin, validateRequest({ params: variantParams, body: variantUpdateSchema }), async (req, res) => {
+    try {
+      const { id, variantId } = req.params;
+      const fields = req.body;
+
+      const variant = await withTransaction(async (client) => {
+        // Product before variant — same lock order as checkout
+        await lockActiveProduct(client, id);
+        const existing = await client.query(
+          "SELECT * FROM product_variants WHERE id = $1 AND product_id = $2 FOR UPDATE",
+          [variantId, id]
+        );
+        if (existing.rows.length === 0) {
+          throw new ApiError(404, "Variant not found");
+        }
+
+        const merged = { ...existing.rows[0], ...fields };
+        if (!merged.size && !merged.color) {
+          throw new ApiError(400, "A variant needs a size or a color");
+        }
+
+        const result = await client.query(
+          `UPDATE product_variants
+           SET size = $1, color = $2, sku = $3, price = $4, stock = $5, updated_at = NOW()
+           WHERE id = $6
+           RETURNING *`,
+          [merged.size, merged.color, merged.sku || existing.rows[0].sku, merged.price, merged.stock, variantId]
+        );
+        await syncVariantStock(client, id);
+        await notifyBackInStock(client, id);
+
+        const delta = merged.stock - existing.rows[0].stock;
+        if (delta !== 0) {
+          await recordStockMovement(client, {
+            productId: id,
+            variantId,
+            type: "correction",
+            delta,
+            stockAfter: merged.stock,
+            reason: "Edited variant",
+            actorId: req.user.id,
+          });
+        }
+        await recordAudit(client, req, {
+          action: "update",
+          entityType: "product_variant",
+          entityId: variantId,
+          before: existing.rows[0],
+          after: result.rows[0],
+        });
+        return result.rows[0];
+      });
+      await invalidateProductCache(req.log);
+      await publishProductEvents("product.updated", [id], req.log);
+
+      res.status(200).json({ success: true, variant, message: "Variant updated successfully" });
+    } catch (err) {
+      if (err instanceof ApiError) {
+        return res.status(err.status).json({ success: false, message: err.message });
+      }
+      if (isUniqueViolation(err)) {
+        return res.status(409).json({ success: false, message: "A variant with this SKU or size/color already exists" });
+      }
+      req.log.error("Update variant error", { err });
+      res.status(500).json({ success: false, message: "Failed to update variant" });
+    }
+  });
+
+  app.delete("/api/products/:id/variants/:variantId", requireAdmin, validateRequest({ params: variantParams }), async (req, res) => {
+    try {
+      const { id, variantId } = req.params;
+
+      await withTransaction(async (client) => {
+        await lockActiveProduct(client, id);
+        const result = await client.query(
+          "DELETE FROM product_variants WHERE id = $1 AND product_id = $2 RETURNING *",
+          [variantId, id]
+        );
+        if (result.rowCount === 0) {
+          throw new ApiError(404, "Variant not found");
+        }
+
+        const removed = result.rows[0];
+        await recordAudit(client, req, { action: "delete", entityType: "product_variant", entityId: variantId, before: removed });
+
+        // Removing the last variant leaves a plain product with nothing on hand
+        const remaining = await client.query(
+          "SELECT 1 FROM product_variants WHERE product_id = $1 LIMIT 1",
+          [id]
+        );
+        if (remaining.rows.length === 0) {
+          await client.query("UPDATE products SET stock = 0 WHERE id = $1", [id]);
+        } else {
+          await syncVariantStock(client, id);
+        }
+
+        if (removed.stock > 0) {
+          const product = await client.query("SELECT stock FROM products WHERE id = $1", [id]);
+          // Logged without variant_id — the row it would point at is gone —
+          // so stockAfter is the product's total, like other product-level rows
+          await recordStockMovement(client, {
+            productId: id,
+            type: "correction",
+            delta: -removed.stock,
+            stockAfter: product.rows[0].stock,
+            reason: `Variant ${[removed.size, removed.color].filter(Boolean).join(" / ")} (${removed.sku}) deleted`,
+            actorId: req.user.id,
+          });
+        }
+      });
+      await invalidateProductCache(req.log);
+      await publishProductEvents("product.updated", [id], req.log);
+
+      res.status(200).json({ success: true, message: "Variant deleted successfully" });
+    } catch (err) {
+      if (err instanceof ApiError) {
+        return res.status(err.status).json({ success: false, message: err.message });
+      }
+      req.log.error("Delete variant error", { err });
+      res.status(500).json({ success: false, message: "Failed to delete variant" });
+    }
+  });
+
+  // ---------- INVENTORY ----------
+
+  // Body: { delta, type, reason, variantId? } — delta is signed. Stock never
+  // goes below zero; a delta that would do that is rejected with 409.
+  app.post("/api/products/:id/stock-adjustments", requireAdmin, validateRequest({ params: idParams, body: stockAdjustmentSchema }), async (req, res) => {
+    const { id } = req.params;
+    const { delta, type, reason } = req.body;
+    const variantId = req.body.variantId ?? null;
+
+    try {
+      const stockAfter = await withTransaction(async (client) => {
+        await lockActiveProduct(client, id);
+
+        // Products with variants keep their stock per variant
+        if (!variantId) {
+          const variants = await client.query(
+            "SELECT 1 FROM product_variants WHERE product_id = $1 LIMIT 1",
+            [id]
+          );
+          if (variants.rows.length > 0) {
+            throw new ApiError(400, "This product has variants — adjust a variant's stock instead");
+          }
+        } else {
+          const variant = await client.query(
+            "SELECT id FROM product_variants WHERE id = $1 AND product_id = $2 FOR UPDATE",
+            [variantId, id]
+          );
+          if (variant.rows.length === 0) {
+            throw new ApiError(404, "Variant not found");
+          }
+        }
+
+        const after = await adjustStock(client, {
+          productId: id,
+          variantId,
+          delta,
+          type,
+          reason,
+          actorId: req.user.id,
+        });
+        if (after === null) {
+          throw new ApiError(409, "Not enough stock for this adjustment");
+        }
+        await recordAudit(client, req, {
+          action: "adjust_stock",
+          entityType: variantId ? "product_variant" : "product",
+          entityId: variantId || id,
+          after: { delta, type, reason, stock_after: after },
+        });
+        return after;
+      });
+      await invalidateProductCache(req.log);
+      await publishStockEvents([id], req.log);
+
+      res.status(201).json({ success: true, stock: stockAfter, message: "Stock adjusted successfully" });
+    } catch (err) {
+      if (err instanceof ApiError) {
+        return res.status(err.status).json({ success: false, message: err.message });
+      }
+      req.log.error("Adjust stock error", { err });
+      res.status(500).json({ success: false, message: "Failed to adjust stock" });
+    }
+  });
+
+  // Newest first, paginated with ?page= and ?limit=
+  app.get("/api/products/:id/stock-movements", requireAdmin, validateRequest({ params: idParams, query: pageQuery }), async (req, res) => {
+    const { id } = req.params;
+    const { page, limit } = req.query;
+
+    try {
+      const product = await pool.query("SELECT id FROM products WHERE id = $1 AND deleted_at IS NULL", [id]);
+      if (product.rows.length === 0) {
+        return res.status(404).json({ success: false, message: "Product not found" });
+      }
+
+      const [movements, count] = await Promise.all([
+        pool.query(
+          `SELECT m.id, m.variant_id, v.size, v.color, v.sku AS variant_sku,
+                  m.movement_type, m.quantity_delta, m.stock_after, m.reason,
+                  m.order_id, m.actor_id, u.email AS actor_email, m.created_at
+           FROM inventory_movements m
+           LEFT JOIN product_variants v ON v.id = m.variant_id
+           LEFT JOIN users u ON u.id = m.actor_id
+           WHERE m.product_id = $1
+           ORDER BY m.created_at DESC, m.id DESC
+           LIMIT $2 OFFSET $3`,
+          [id, limit, (page - 1) * limit]
+        ),
+        pool.query("SELECT COUNT(*) FROM inventory_movements WHERE product_id = $1", [id]),
+      ]);
+
+      const total = parseInt(count.rows[0].count);
+      const totalPages = Math.ceil(total / limit);
+      res.status(200).json({
+        success: true,
+        movements: movements.rows,
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages,
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1,
+        },
+      });
+    } catch (err) {
+      req.log.error("Fetch stock movements error", { err });
+      res.status(500).json({ success: false, message: "Failed to fetch stock movements" });
+    }
+  });
+
+  // Products at or below their reorder point — the per-product
+  // low_stock_threshold, else LOW_STOCK_THRESHOLD. ?threshold= overrides both.
+  app.get("/api/admin/inventory/low-stock", requireAdmin, validateRequest({ query: lowStockQuery }), async (req, res) => {
+    const threshold = req.query.threshold ?? null;
+
+    try {
+      const result = await pool.query(
+        `SELECT id, product_name, sku, category, brand, stock,
+                COALESCE($1, low_stock_threshold, $2) AS threshold
+         FROM products
+         WHERE deleted_at IS NULL AND stock <= COALESCE($1, low_stock_threshold, $2)
+         ORDER BY stock ASC, product_name ASC`,
+        [threshold, LOW_STOCK_THRESHOLD]
+      );
+      res.status(200).json({
+        success: true,
+        products: result.rows,
+        total: result.rows.length,
+        defaultThreshold: LOW_STOCK_THRESHOLD,
+      });
+    } catch (err) {
+      req.log.error("Low stock report error", { err });
+      res.status(500).json({ success: false, message: "Failed to fetch low-stock products" });
+    }
+  });
+
+  // ============================================
+  // ADMIN EVENT ROUTES
+  // ============================================
+  //
+  //  GET /api/admin/events  — Server-Sent Events stream of catalog changes [admin]
+  //
+  //  Events (data is JSON):
+  //    product.created  { product }  — created, imported or restored from trash
+  //    product.updated  { product }  — fields, images or variants changed
+  //    product.deleted  { id }       — moved to trash
+  //    stock.changed    { productId, stock, lowStockThreshold }
+  //                                  — adjustment, checkout or order cancellation
+  //    resync           {}           — events were missed; refetch instead
+  //
+  //  product is shaped like a /api/products/all row. Send Last-Event-ID when
+  //  reconnecting to replay what was missed; if that's no longer possible
+  //  the stream opens with resync. The stream ends when the access token
+  //  expires, so the client reconnects with a fresh one, and as soon as the
+  //  admin's sessions are revoked (logout everywhere, demotion, suspension).
+  //
+  // ============================================
+
+  const ADMIN_EVENT_RETRY_MS = 5000;
+  const ADMIN_EVENT_HEARTBEAT_MS = 25 * 1000;
+
+  app.get("/api/admin/events", requireAdmin, (req, res) => {
+    try {
+      res.status(200).set({
+        "Content-Type": "text/event-stream",
+        "Cache-Control": "no-cache, no-transform",
+        // Tells nginx not to buffer the stream
+        "X-Accel-Buffering": "no",
+      });
+      res.flushHeaders();
+      res.write(`retry: ${ADMIN_EVENT_RETRY_MS}\n\n`);
+
+      const lastEventId = req.get("Last-Event-ID");
+      if (lastEventId) {
+        const [streamId, seq] = lastEventId.split("-");
+        const oldest = recentAdminEvents.length > 0 ? recentAdminEvents[0].seq : adminEventSeq + 1;
+        // Events from before a restart, or older than the history, are gone
+        if (streamId !== adminEventStreamId || !(Number(seq) >= oldest - 1 && Number(seq) <= adminEventSeq)) {
+          res.write(formatServerSentEvent({ id: `${adminEventStreamId}-${adminEventSeq}`, type: "resync", data: {} }));
+        } else {
+          for (const event of recentAdminEvents) {
+            if (event.seq > Number(seq)) res.write(formatServerSentEvent(event));
+          }
+        }
+      }
+
+      adminEventStreams.set(res, req.user.id);
+      const heartbeat = setInterval(() => res.write(": ping\n\n"), ADMIN_EVENT_HEARTBEAT_MS);
+      // authenticateToken only checks the token once, so don't outlive it
+      const { exp } = jwt.decode(req.headers.authorization.split(" ")[1]);
+      const expiry = exp ? setTimeout(() => res.end(), Math.max(0, exp * 1000 - Date.now())) : null;
+
+      res.on("close", () => {
+        adminEventStreams.delete(res);
+        clearInterval(heartbeat);
+        clearTimeout(expiry);
+      });
+    } catch (err) {
+      req.log.error("Admin event stream error", { err });
+      if (!res.headersSent) {
+        return res.status(500).json({ success: false, message: "Failed to open event stream" });
+      }
+      res.end();
+    }
+  });
+
+  // Ends every open stream, so a graceful shutdown isn't held up by them
+  const closeEventStreams = () => {
+    for (const stream of adminEventStreams.keys()) stream.end();
+    adminEventStreams.clear();
+  };
+
+  // Ends the streams one user has open, once their sessions are revoked
+  const closeUserEventStreams = (userId) => {
+    for (const [stream, streamUserId] of adminEventStreams) {
+      if (streamUserId !== userId) continue;
+      stream.end();
+      adminEventStreams.delete(stream);
+    }
+  };
+
+  // ============================================
+  // CATEGORY & BRAND ROUTES
+  // ============================================
+  //
+  //  GET    /api/categories       — category tree with product counts
+  //  POST   /api/categories       — create a category                  [admin]
+  //  PUT    /api/categories/:id   — rename, re-slug or move a category [admin]
+  //  DELETE /api/categories/:id   — delete an empty category           [admin]
+  //
+  //  GET    /api/brands           — brands with product counts
+  //  POST   /api/brands           — create a brand                     [admin]
+  //  PUT    /api/brands/:id       — rename or re-slug a brand          [admin]
+  //  DELETE /api/brands/:id       — delete an unused brand             [admin]
+  //
+  //  Renaming keeps the slug (and so existing URLs) unless a new slug is sent.
+  //
+  // ============================================
+
+  // A product or subcategory still points at the row being deleted —
+  // 23001 is what ON DELETE RESTRICT raises, 23503 the NO ACTION flavour
+  const isForeignKeyViolation = (err) => err.code === "23001" || err.code === "23503";
+
+  app.get("/api/categories", async (req, res) => {
+    try {
+      const result = await pool.query(
+        `SELECT c.id, c.name, c.slug, c.parent_id, COUNT(p.id)::INT AS product_count
+         FROM categories c
+         LEFT JOIN products p ON p.category_id = c.id AND p.deleted_at IS NULL
+         GROUP BY c.id
+         ORDER BY LOWER(c.name)`
+      );
+
+      const nodes = new Map(result.rows.map((row) => [row.id, { ...row, children: [] }]));
+      const roots = [];
+      for (const node of nodes.values()) {
+        const parent = nodes.get(node.parent_id);
+        (parent ? parent.children : roots).push(node);
+      }
+
+      // total_product_count includes everything filed under subcategories
+      const total = (node) =>
+        (node.total_product_count = node.children.reduce((sum, child) => sum + total(child), node.product_count));
+      roots.forEach(total);
+
+      res.status(200).json({ success: true, categories: roots });
+    } catch (err) {
+      req.log.error("Fetch categories error", { err });
+      res.status(500).json({ success: false, message: "Failed to fetch categories" });
+    }
+  });
+
+  app.post("/api/categories", requireAdmin, validateRequest({ body: categorySchema }), async (req, res) => {
+    const fields = req.body;
+
+    try {
+      const category = await withTransaction(async (client) => {
+        let base = slugify(fields.name) || "category";
+        if (fields.parentId) {
+          const parent = await client.query("SELECT slug FROM categories WHERE id = $1", [fields.parentId]);
+          if (parent.rows.length === 0) {
+            throw new ApiError(400, "Parent category not found");
+          }
+          base = `${parent.rows[0].slug}-${base}`;
+        }
+
+        const result = await client.query(
+          `INSERT INTO categories (name, slug, parent_id)
+           VALUES ($1, $2, $3)
+           RETURNING *`,
+          [fields.name, fields.slug || await uniqueSlug(client, "categories", base), fields.parentId ?? null]
+        );
+        await recordAudit(client, req, { action: "create", entityType: "category", entityId: result.rows[0].id, after: result.rows[0] });
+        return result.rows[0];
+      });
+
+      res.status(201).json({ success: true, category, message: "Category created successfully" });
+    } catch (err) {
+      if (err instanceof ApiError) {
+        return res.status(err.status).json({ success: false, message: err.message });
+      }
+      if (isUniqueViolation(err)) {
+        return res.status(409).json({ success: false, message: "A category with that name or slug already exists here" });
+      }
+      req.log.error("Create category error", { err });
+      res.status(500).json({ success: false, message: "Failed to create category" });
+    }
+  });
+
+  app.put("/api/categories/:id", requireAdmin, validateRequest({ params: idParams, body: categoryUpdateSchema }), async (req, res) => {
+    const { id } = req.params;
+
+    // parentId: undefined leaves the category where it is, null moves it to the top
+    const fields = req.body;
+    if (Object.keys(fields).length === 0) {
+      return res.status(400).json({ success: false, message: "Nothing to update" });
+    }
+
+    try {
+      const category = await withTransaction(async (client) => {
+        // Moves are serialised so two concurrent ones can't close a loop
+        if (fields.parentId !== undefined) {
+          await client.query("LOCK TABLE categories IN SHARE ROW EXCLUSIVE MODE");
+        }
+
+        const existing = await client.query("SELECT * FROM categories WHERE id = $1 FOR UPDATE", [id]);
+        if (existing.rows.length === 0) {
+          throw new ApiError(404, "Category not found");
+        }
+
+        if (fields.parentId) {
+          const loop = await client.query(
+            `WITH RECURSIVE ancestors AS (
+               SELECT id, parent_id FROM categories WHERE id = $1
+               UNION ALL
+               SELECT c.id, c.parent_id FROM categories c JOIN ancestors a ON c.id = a.parent_id
+             )
+             SELECT
+               EXISTS (SELECT 1 FROM categories WHERE id = $1) AS parent_exists,
+               EXISTS (SELECT 1 FROM ancestors WHERE id = $2) AS creates_loop`,
+            [fields.parentId, id]
+          );
+          if (!loop.rows[0].parent_exists) {
+            throw new ApiError(400, "Parent category not found");
+          }
+          if (loop.rows[0].creates_loop) {
+            throw new ApiError(400, "A category can't be moved under itself or one of its subcategories");
+          }
+        }
+
+        const merged = { ...existing.rows[0], ...fields };
+        const result = await client.query(
+          `UPDATE categories SET name = $1, slug = $2, parent_id = $3, updated_at = NOW()
+           WHERE id = $4
+           RETURNING *`,
+          [merged.name, merged.slug, fields.parentId !== undefined ? fields.parentId : merged.parent_id, id]
+        );
+        await client.query("UPDATE products SET category = $1 WHERE category_id = $2", [merged.name, id]);
+        await recordAudit(client, req, { action: "update", entityType: "category", entityId: id, before: existing.rows[0], after: result.rows[0] });
+        return result.rows[0];
+      });
+      await invalidateProductCache(req.log);
+
+      res.status(200).json({ success: true, category, message: "Category updated successfully" });
+    } catch (err) {
+      if (err instanceof ApiError) {
+        return res.status(err.status).json({ success: false, message: err.message });
+      }
+      if (isUniqueViolation(err)) {
+        return res.status(409).json({ success: false, message: "A category with that name or slug already exists here" });
+      }
+      req.log.error("Update category error", { err });
+      res.status(500).json({ success: false, message: "Failed to update category" });
+    }
+  });
+
+  app.delete("/api/categories/:id", requireAdmin, validateRequest({ params: idParams }), async (req, res) => {
+    const { id } = req.params;
+
+    try {
+      const usage = await pool.query(
+        `SELECT
+           (SELECT COUNT(*)::INT FROM categories WHERE parent_id = $1) AS children,
+           (SELECT COUNT(*)::INT FROM products WHERE category_id = $1) AS products`,
+        [id]
+      );
+      const { children, products } = usage.rows[0];
+      if (children > 0) {
+        return res.status(409).json({ success: false, message: "Move or delete its subcategories first" });
+      }
+      if (products > 0) {
+        return res.status(409).json({ success: false, message: `${products} product(s) are in this category — move them first` });
+      }
+
+      const deleted = await withTransaction(async (client) => {
+        const result = await client.query("DELETE FROM categories WHERE id = $1 RETURNING *", [id]);
+        if (result.rows.length > 0) {
+          await recordAudit(client, req, { action: "delete", entityType: "category", entityId: id, before: result.rows[0] });
+        }
+        return result.rows.length > 0;
+      });
+      if (!deleted) {
+        return res.status(404).json({ success: false, message: "Category not found" });
+      }
+
+      res.status(200).json({ success: true, message: "Category deleted successfully" });
+    } catch (err) {
+      // Something was filed under it between the check and the delete
+      if (isForeignKeyViolation(err)) {
+        return res.status(409).json({ success: false, message: "This category is still in use" });
+      }
+      req.log.error("Delete category error", { err });
+      res.status(500).json({ success: false, message: "Failed to delete category" });
+    }
+  });
+
+  // ---------- BRANDS ----------
+
+  app.get("/api/brands", async (req, res) => {
+    try {
+      const result = await pool.query(
+        `SELECT b.id, b.name, b.slug, COUNT(p.id)::INT AS product_count
+         FROM brands b
+         LEFT JOIN products p ON p.brand_id = b.id AND p.deleted_at IS NULL
+         GROUP BY b.id
+         ORDER BY LOWER(b.name)`
+      );
+      res.status(200).json({ success: true, brands: result.rows });
+    } catch (err) {
+      req.log.error("Fetch brands error", { err });
+      res.status(500).json({ success: false, message: "Failed to fetch brands" });
+    }
+  });
+
+  app.post("/api/brands", requireAdmin, validateRequest({ body: brandSchema }), async (req, res) => {
+    const fields = req.body;
+
+    try {
+      const brand = await withTransaction(async (client) => {
+        const slug = fields.slug || await uniqueSlug(client, "brands", slugify(fields.name) || "brand");
+        const result = await client.query(
+          "INSERT INTO brands (name, slug) VALUES ($1, $2) RETURNING *",
+          [fields.name, slug]
+        );
+        await recordAudit(client, req, { action: "create", entityType: "brand", entityId: result.rows[0].id, after: result.rows[0] });
+        return result.rows[0];
+      });
+      res.status(201).json({ success: true, brand, message: "Brand created successfully" });
+    } catch (err) {
+      if (isUniqueViolation(err)) {
+        return res.status(409).json({ success: false, message: "A brand with that name or slug already exists" });
+      }
+      req.log.error("Create brand error", { err });
+      res.status(500).json({ success: false, message: "Failed to create brand" });
+    }
+  });
+
+  app.put("/api/brands/:id", requireAdmin, validateRequest({ params: idParams, body: brandUpdateSchema }), async (req, res) => {
+    const { id } = req.params;
+
+    const fields = req.body;
+    if (Object.keys(fields).length === 0) {
+      return res.status(400).json({ success: false, message: "Nothing to update" });
+    }
+
+    try {
+      const brand = await withTransaction(async (client) => {
+        const existing = await client.query("SELECT * FROM brands WHERE id = $1 FOR UPDATE", [id]);
+        if (existing.rows.length === 0) {
+          throw new ApiError(404, "Brand not found");
+        }
+
+        const result = await client.query(
+          `UPDATE brands SET name = COALESCE($1, name), slug = COALESCE($2, slug), updated_at = NOW()
+           WHERE id = $3
+           RETURNING *`,
+          [fields.name ?? null, fields.slug ?? null, id]
+        );
+        await client.query("UPDATE products SET brand = $1 WHERE brand_id = $2", [result.rows[0].name, id]);
+        await recordAudit(client, req, { action: "update", entityType: "brand", entityId: id, before: existing.rows[0], after: result.rows[0] });
+        return result.rows[0];
+      });
+      await invalidateProductCache(req.log);
+
+      res.status(200).json({ success: true, brand, message: "Brand updated successfully" });
+    } catch (err) {
+      if (err instanceof ApiError) {
+        return res.status(err.status).json({ success: false, message: err.message });
+      }
+      if (isUniqueViolation(err)) {
+        return res.status(409).json({ success: false, message: "A brand with that name or slug already exists" });
+      }
+      req.log.error("Update brand error", { err });
+      res.status(500).json({ success: false, message: "Failed to update brand" });
+    }
+  });
+
+  app.delete("/api/brands/:id", requireAdmin, validateRequest({ params: idParams }), async (req, res) => {
+    const { id } = req.params;
+
+    try {
+      const deleted = await withTransaction(async (client) => {
+        const result = await client.query("DELETE FROM brands WHERE id = $1 RETURNING *", [id]);
+        if (result.rows.length > 0) {
+          await recordAudit(client, req, { action: "delete", entityType: "brand", entityId: id, before: result.rows[0] });
+        }
+        return result.rows.length > 0;
+      });
+      if (!deleted) {
+        return res.status(404).json({ success: false, message: "Brand not found" });
+      }
+      res.status(200).json({ success: true, message: "Brand deleted successfully" });
+    } catch (err) {
+      if (isForeignKeyViolation(err)) {
+        return res.status(409).json({ success: false, message: "Products still use this brand — move them first" });
+      }
+      req.log.error("Delete brand error", { err });
+      res.status(500).json({ success: false, message: "Failed to delete brand" });
+    }
+  });
+
+  // ============================================
+  // REVIEW ROUTES
+  // ============================================
+  //
+  //  GET    /api/products/:id/reviews   — approved reviews + rating summary
+  //  POST   /api/products/:id/reviews   — review a product (one per customer) [auth]
+  //  PUT    /api/reviews/:reviewId      — edit your own review                [auth]
+  //  DELETE /api/reviews/:reviewId      — delete your own review (or any, as admin) [auth]
+  //
+  //  GET    /api/admin/reviews                   — moderation list (?status=, ?productId=) [admin]
+  //  PUT    /api/admin/reviews/:reviewId/status  — approve or hide a review               [admin]
+  //
+  //  Reviews go live straight away; moderation is after the fact. Only
+  //  customers with a paid order for the product can review it, unless
+  //  REVIEWS_REQUIRE_PURCHASE=false. products.rating_average / rating_count
+  //  (in every product response, and ?sort=rating) cover approved reviews.
+  //
+  // ============================================
+
+  const REVIEWS_REQUIRE_PURCHASE = process.env.REVIEWS_REQUIRE_PURCHASE !== "false";
+
+  const REVIEW_SORTS = {
+    newest:  "r.created_at DESC, r.id DESC",
+    oldest:  "r.created_at ASC, r.id ASC",
+    highest: "r.rating DESC, r.created_at DESC, r.id DESC",
+    lowest:  "r.rating ASC, r.created_at DESC, r.id DESC",
+  };
+
+  // Reviewers are shown by name only — never by email
+  const REVIEW_SELECT = `
+    SELECT r.id, r.product_id, r.rating, r.title, r.body, r.status, r.verified_purchase,
+           r.created_at, r.updated_at, COALESCE(NULLIF(u.full_name, ''), 'Customer') AS reviewer_name
+    FROM product_reviews r
+    JOIN users u ON u.id = r.user_id
+  `;
+
+  const hasPurchasedProduct = async (db, userId, productId) => {
+    const result = await db.query(
+      `SELECT 1 FROM orders o
+       JOIN order_items oi ON oi.order_id = o.id
+       WHERE o.user_id = $1 AND oi.product_id = $2 AND o.status IN ('paid', 'shipped', 'delivered')
+       LIMIT 1`,
+      [userId, productId]
+    );
+    return result.rows.length > 0;
+  };
+
+  // Locks the review's product before the review itself — the same order as
+  // review creation — and returns the review row. Throws 404 if it's gone.
+  const lockReview = async (db, reviewId) => {
+    const found = await db.query("SELECT product_id FROM product_reviews WHERE id = $1", [reviewId]);
+    if (found.rows.length === 0) {
+      throw new ApiError(404, "Review not found");
+    }
+    await db.query("SELECT id FROM products WHERE id = $1 FOR UPDATE", [found.rows[0].product_id]);
+
+    const review = await db.query("SELECT * FROM product_reviews WHERE id = $1 FOR UPDATE", [reviewId]);
+    if (review.rows.length === 0) {
+      throw new ApiError(404, "Review not found");
+    }
+    return review.rows[0];
+  };
+
+  app.get("/api/products/:id/reviews", validateRequest({ params: idParams, query: reviewListQuery }), async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { page, limit, sort } = req.query;
+
+      const product = await pool.query(
+        "SELECT rating_average, rating_count FROM products WHERE id = $1 AND deleted_at IS NULL",
+        [id]
+      );
+      if (product.rows.length === 0) {
+        return res.status(404).json({ success: false, message: "Product not found" });
+      }
+
+      const [reviews, distribution] = await Promise.all([
+        pool.query(
+          `${REVIEW_SELECT}
+           WHERE r.product_id = $1 AND r.status = 'approved'
+           ORDER BY ${REVIEW_SORTS[sort]}
+           LIMIT $2 OFFSET $3`,
+          [id, limit, (page - 1) * limit]
+        ),
+        pool.query(
+          `SELECT rating, COUNT(*)::INT AS count FROM product_reviews
+           WHERE product_id = $1 AND status = 'approved'
+           GROUP BY rating`,
+          [id]
+        ),
+      ]);
+
+      const { rating_average: average, rating_count: total } = product.rows[0];
+      const totalPages = Math.ceil(total / limit);
+      res.status(200).json({
+        success: true,
+        reviews: reviews.rows,
+        summary: {
+          average,
+          count: total,
+          // { "1": n, ..., "5": n } with every star present
+          distribution: Object.fromEntries(
+            [1, 2, 3, 4, 5].map((stars) => [stars, distribution.rows.find((row) => row.rating === stars)?.count ?? 0])
+          ),
+        },
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages,
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1,
+        },
+      });
+    } catch (err) {
+      req.log.error("Fetch reviews error", { err });
+      res.status(500).json({ success: false, message: "Failed to fetch reviews" });
+    }
+  });
+
+  app.post("/api/products/:id/reviews", authenticateToken, requireVerifiedEmail, validateRequest({ params: idParams, body: reviewSchema }), async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { rating, title, body } = req.body;
+
+      const review = await withTransaction(async (client) => {
+        const product = await client.query(
+          "SELECT id FROM products WHERE id = $1 AND deleted_at IS NULL FOR UPDATE",
+          [id]
+        );
+        if (product.rows.length === 0) {
+          throw new ApiError(404, "Product not found");
+        }
+
+        const purchased = await hasPurchasedProduct(client, req.user.id, id);
+        if (REVIEWS_REQUIRE_PURCHASE && !purchased) {
+          throw new ApiError(403, "Only customers who bought this product can review it");
+        }
+
+        const result = await client.query(
+          `INSERT INTO product_reviews (product_id, user_id, rating, title, body, verified_purchase)
+           VALUES ($1, $2, $3, $4, $5, $6)
+           RETURNING *`,
+          [id, req.user.id, rating, title ?? null, body ?? null, purchased]
+        );
+        await syncProductRating(client, id);
+        return result.rows[0];
+      });
+      await invalidateProductCache(req.log);
+
+      res.status(201).json({ success: true, review, message: "Review posted" });
+    } catch (err) {
+      if (err instanceof ApiError) {
+        return res.status(err.status).json({ success: false, message: err.message });
+      }
+      if (isUniqueViolation(err)) {
+        return res.status(409).json({ success: false, message: "You have already reviewed this product — edit your review instead" });
+      }
+      req.log.error("Create review error", { err });
+      res.status(500).json({ success: false, message: "Failed to post review" });
+    }
+  });
+
+  app.put("/api/reviews/:reviewId", authenticateToken, validateRequest({ params: reviewParams, body: reviewUpdateSchema }), async (req, res) => {
+    const { reviewId } = req.params;
+    const fields = req.body;
+    if (Object.keys(fields).length === 0) {
+      return res.status(400).json({ success: false, message: "Nothing to update" });
+    }
+
+    try {
+      const review = await withTransaction(async (client) => {
+        const existing = await lockReview(client, reviewId);
+        // Someone else's review is "not found" rather than forbidden
+        if (existing.user_id !== req.user.id) {
+          throw new ApiError(404, "Review not found");
+        }
+
+        const merged = { ...existing, ...fields };
+        const result = await client.query(
+          `UPDATE product_reviews SET rating = $1, title = $2, body = $3, updated_at = NOW()
+           WHERE id = $4
+           RETURNING *`,
+          [merged.rating, merged.title, merged.body, reviewId]
+        );
+        await syncProductRating(client, existing.product_id);
+        return result.rows[0];
+      });
+      await invalidateProductCache(req.log);
+
+      res.status(200).json({ success: true, review, message: "Review updated" });
+    } catch (err) {
+      if (err instanceof ApiError) {
+        return res.status(err.status).json({ success: false, message: err.message });
+      }
+      req.log.error("Update review error", { err });
+      res.status(500).json({ success: false, message: "Failed to update review" });
+    }
+  });
+
+  app.delete("/api/reviews/:reviewId", authenticateToken, validateRequest({ params: reviewParams }), async (req, res) => {
+    try {
+      const { reviewId } = req.params;
+
+      await withTransaction(async (client) => {
+        const existing = await lockReview(client, reviewId);
+        const isOwn = existing.user_id === req.user.id;
+        if (!isOwn && req.user.role !== "admin") {
+          throw new ApiError(404, "Review not found");
+        }
+
+        await client.query("DELETE FROM product_reviews WHERE id = $1", [reviewId]);
+        await syncProductRating(client, existing.product_id);
+        if (!isOwn) {
+          await recordAudit(client, req, { action: "delete", entityType: "review", entityId: reviewId, before: existing });
+        }
+      });
+      await invalidateProductCache(req.log);
+
+      res.status(200).json({ success: true, message: "Review deleted" });
+    } catch (err) {
+      if (err instanceof ApiError) {
+        return res.status(err.status).json({ success: false, message: err.message });
+      }
+      req.log.error("Delete review error", { err });
+      res.status(500).json({ success: false, message: "Failed to delete review" });
+    }
+  });
+
+  // ---------- MODERATION ----------
+
+  app.get("/api/admin/reviews", requireAdmin, validateRequest({ query: reviewModerationQuery }), async (req, res) => {
+    const { page, limit, status, productId } = req.query;
+
+    const conditions = [];
+    const params = [];
+    if (status) {
+      params.push(status);
+      conditions.push(`r.status = $${params.length}`);
+    }
+    if (productId) {
+      params.push(productId);
+      conditions.push(`r.product_id = $${params.length}`);
+    }
+    const where = conditions.length ? `WHERE ${conditions.join(" AND ")}` : "";
+
+    try {
+      const [reviews, count] = await Promise.all([
+        pool.query(
+          `SELECT r.*, u.email AS user_email, p.product_name
+           FROM product_reviews r
+           JOIN users u ON u.id = r.user_id
+           JOIN products p ON p.id = r.product_id
+           ${where}
+           ORDER BY r.created_at DESC, r.id DESC
+           LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+          [...params, limit, (page - 1) * limit]
+        ),
+        pool.query(`SELECT COUNT(*) FROM product_reviews r ${where}`, params),
+      ]);
+
+      const total = parseInt(count.rows[0].count);
+      const totalPages = Math.ceil(total / limit);
+      res.status(200).json({
+        success: true,
+        reviews: reviews.rows,
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages,
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1,
+        },
+      });
+    } catch (err) {
+      req.log.error("Fetch reviews for moderation error", { err });
+      res.status(500).json({ success: false, message: "Failed to fetch reviews" });
+    }
+  });
+
+  app.put("/api/admin/reviews/:reviewId/status", requireAdmin, validateRequest({ params: reviewParams, body: reviewStatusSchema }), async (req, res) => {
+    try {
+      const { reviewId } = req.params;
+      const { status } = req.body;
+
+      const review = await withTransaction(async (client) => {
+        const existing = await lockReview(client, reviewId);
+        const result = await client.query(
+          `UPDATE product_reviews SET status = $1, moderated_by = $2, moderated_at = NOW()
+           WHERE id = $3
+           RETURNING *`,
+          [status, req.user.id, reviewId]
+        );
+        await syncProductRating(client, existing.product_id);
+        await recordAudit(client, req, {
+          action: "moderate",
+          entityType: "review",
+          entityId: reviewId,
+          before: { status: existing.status },
+          after: { status },
+        });
+        return result.rows[0];
+      });
+      await invalidateProductCache(req.log);
+
+      res.status(200).json({ success: true, review, message: `Review ${status}` });
+    } catch (err) {
+      if (err instanceof ApiError) {
+        return res.status(err.status).json({ success: false, message: err.message });
+      }
+      req.log.error("Moderate review error", { err });
+      res.status(500).json({ success: false, message: "Failed to update review status" });
+    }
+  });
+
+  // ============================================
+  // AUDIT LOG ROUTES
+  // ============================================
+  //
+  //  GET /api/admin/audit-log  — newest first, paginated            [admin]
+  //
+  //  Filters: ?entityType= &entityId= (e.g. product / 12), ?actorId=,
+  //  ?action=, and ?from= / ?to= dates (a bare "to" date includes that day).
+  //  Entries are written by recordAudit in the same transaction as the
+  //  change they describe; the table rejects edits and deletes. Personal
+  //  data stays out of entries (see AUDIT_PERSONAL_FIELDS); actor_email is
+  //  joined in from users when they're read.
+  //
+  // ============================================
+
+  app.get("/api/admin/audit-log", requireAdmin, validateRequest({ query: auditLogQuery }), async (req, res) => {
+    const { page, limit, entityType, entityId, actorId, action, from, to } = req.query;
+    if (from && to && from > to) {
+      return sendValidationErrors(res, [{ field: "to", message: "must not be before from" }]);
+    }
+
+    const conditions = [];
+    const params = [];
+    const addCondition = (column, operator, value) => {
+      if (value === undefined) return;
+      params.push(value);
+      conditions.push(`${column} ${operator} $${params.length}`);
+    };
+    addCondition("a.entity_type", "=", entityType);
+    addCondition("a.entity_id", "=", entityId);
+    addCondition("a.actor_id", "=", actorId);
+    addCondition("a.action", "=", action);
+    addCondition("a.created_at", ">=", from);
+    addCondition("a.created_at", "<=", to);
+    const where = conditions.length ? `WHERE ${conditions.join(" AND ")}` : "";
+
+    try {
+      const [entries, count] = await Promise.all([
+        pool.query(
+          // The actor's current email — a deleted account shows its anonymised one
+          `SELECT a.*, u.email AS actor_email
+           FROM audit_log a LEFT JOIN users u ON u.id = a.actor_id
+           ${where}
+           ORDER BY a.created_at DESC, a.id DESC
+           LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+          [...params, limit, (page - 1) * limit]
+        ),
+        pool.query(`SELECT COUNT(*) FROM audit_log a ${where}`, params),
+      ]);
+
+      const total = parseInt(count.rows[0].count);
+      const totalPages = Math.ceil(total / limit);
+      res.status(200).json({
+        success: true,
+        entries: entries.rows,
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages,
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1,
+        },
+      });
+    } catch (err) {
+      req.log.error("Fetch audit log error", { err });
+      res.status(500).json({ success: false, message: "Failed to fetch audit log" });
+    }
+  });
+
+  // ============================================
+  // CART ROUTES
+  // ============================================
+  //
+  //  GET    /api/cart                     — current user's cart with line totals
+  //  POST   /api/cart/items               — add a product/variant (adds to existing quantity)
+  //  PUT    /api/cart/items/:productId    — set quantity for a line (?variantId= for variants)
+  //  DELETE /api/cart/items/:productId    — remove a line (?variantId= for variants)
+  //  DELETE /api/cart                     — empty the cart
+  //
+  // ============================================
+
+  const getOrCreateCartId = async (db, userId) => {
+    const result = await db.query(
+      `INSERT INTO carts (user_id) VALUES ($1)
+       ON CONFLICT (user_id) DO UPDATE SET updated_at = NOW()
+       RETURNING id`,
+      [userId]
+    );
+    return result.rows[0].id;
+  };
+
+  const fetchCart = async (db, userId) => {
+    const result = await db.query(
+      `SELECT ci.product_id, ci.variant_id, ci.quantity, ci.added_at,
+              p.product_name, p.image_url, v.size, v.color,
+              COALESCE(v.price, p.price) AS list_price,
+              ${effectivePriceSql("p", "v")} AS price,
+              (v.price IS NULL AND ${saleActiveSql("p")}) AS on_sale,
+              CASE WHEN p.deleted_at IS NULL THEN COALESCE(v.stock, p.stock) ELSE 0 END AS stock,
+              (${effectivePriceSql("p", "v")} * ci.quantity)::NUMERIC(12,2) AS line_total
+       FROM carts c
+       JOIN cart_items ci ON ci.cart_id = c.id
+       JOIN products p ON p.id = ci.product_id
+       LEFT JOIN product_variants v ON v.id = ci.variant_id
+       WHERE c.user_id = $1
+       ORDER BY ci.added_at ASC, ci.id ASC`,
+      [userId]
+    );
+
+    const items = result.rows;
+    const subtotal = items.reduce((sum, item) => sum + Number(item.line_total), 0);
+    return { items, subtotal: Number(subtotal.toFixed(2)), itemCount: items.reduce((n, i) => n + i.quantity, 0) };
+  };
+
+  // Resolves what a cart line points at and how many are on hand. Products with
+  // variants must be bought as a specific variant. Returns { error, status } on failure.
+  const resolveCartLine = async (productId, variantId) => {
+    const product = await pool.query("SELECT id, stock FROM products WHERE id = $1 AND deleted_at IS NULL", [productId]);
+    if (product.rows.length === 0) {
+      return { status: 404, error: "Product not found" };
+    }
+
+    if (variantId) {
+      const variant = await pool.query(
+        "SELECT stock FROM product_variants WHERE id = $1 AND product_id = $2",
+        [variantId, productId]
+      );
+      if (variant.rows.length === 0) {
+        return { status: 404, error: "Variant not found" };
+      }
+      return { stock: variant.rows[0].stock };
+    }
+
+    const variants = await pool.query("SELECT 1 FROM product_variants WHERE product_id = $1 LIMIT 1", [productId]);
+    if (variants.rows.length > 0) {
+      return { status: 400, error: "Please choose a size/color for this product" };
+    }
+    return { stock: product.rows[0].stock };
+  };
+
+  const parseOptionalVariantId = (value) =>
+    value === undefined || value === null || value === "" ? { variantId: null } : { variantId: parsePositiveInt(value), given: true };
+
+  app.get("/api/cart", authenticateToken, async (req, res) => {
+    try {
+      const cart = await fetchCart(pool, req.user.id);
+      res.status(200).json({ success: true, cart });
+    } catch (err) {
+      req.log.error("Fetch cart error", { err });
+      res.status(500).json({ success: false, message: "Failed to fetch cart" });
+    }
+  });
+
+  app.post("/api/cart/items", authenticateToken, async (req, res) => {
+    try {
+      const productId = parsePositiveInt(req.body.productId);
+      const { variantId, given } = parseOptionalVariantId(req.body.variantId);
+      const quantity = req.body.quantity === undefined ? 1 : parsePositiveInt(req.body.quantity);
+
+      if (!productId) {
+        return res.status(400).json({ success: false, message: "Valid productId is required" });
+      }
+      if (given && !variantId) {
+        return res.status(400).json({ success: false, message: "Invalid variantId" });
+      }
+      if (!quantity) {
+        return res.status(400).json({ success: false, message: "Quantity must be a positive integer" });
+      }
+
+      const line = await resolveCartLine(productId, variantId);
+      if (line.error) {
+        return res.status(line.status).json({ success: false, message: line.error });
+      }
+
+      const cartId = await getOrCreateCartId(pool, req.user.id);
+      const existing = await pool.query(
+        `SELECT quantity FROM cart_items
+         WHERE cart_id = $1 AND product_id = $2 AND variant_id IS NOT DISTINCT FROM $3`,
+        [cartId, productId, variantId]
+      );
+      const newQuantity = (existing.rows[0]?.quantity || 0) + quantity;
+
+      if (newQuantity > line.stock) {
+        return res.status(409).json({
+          success: false,
+          message: "Not enough stock",
+          available: line.stock,
+        });
+      }
+
+      await pool.query(
+        `INSERT INTO cart_items (cart_id, product_id, variant_id, quantity)
+         VALUES ($1, $2, $3, $4)
+         ON CONFLICT (cart_id, product_id, COALESCE(variant_id, 0))
+         DO UPDATE SET quantity = EXCLUDED.quantity`,
+        [cartId, productId, variantId, newQuantity]
+      );
+
+      const cart = await fetchCart(pool, req.user.id);
+      res.status(200).json({ success: true, cart, message: "Item added to cart" });
+    } catch (err) {
+      req.log.error("Add to cart error", { err });
+      res.status(500).json({ success: false, message: "Failed to add item to cart" });
+    }
+  });
+
+  app.put("/api/cart/items/:productId", authenticateToken, async (req, res) => {
+    try {
+      const productId = parsePositiveInt(req.params.productId);
+      const { variantId, given } = parseOptionalVariantId(req.query.variantId);
+      const quantity = parsePositiveInt(req.body.quantity);
+
+      if (!productId || (given && !variantId)) {
+        return res.status(400).json({ success: false, message: "Invalid product or variant ID" });
+      }
+      if (!quantity) {
+        return res.status(400).json({ success: false, message: "Quantity must be a positive integer" });
+      }
+
+      const line = await resolveCartLine(productId, variantId);
+      if (line.error) {
+        return res.status(line.status).json({ success: false, message: line.error });
+      }
+      if (quantity > line.stock) {
+        return res.status(409).json({
+          success: false,
+          message: "Not enough stock",
+          available: line.stock,
+        });
+      }
+
+      const result = await pool.query(
+        `UPDATE cart_items ci SET quantity = $1
+         FROM carts c
+         WHERE ci.cart_id = c.id AND c.user_id = $2 AND ci.product_id = $3
+           AND ci.variant_id IS NOT DISTINCT FROM $4`,
+        [quantity, req.user.id, productId, variantId]
+      );
+      if (result.rowCount === 0) {
+        return res.status(404).json({ success: false, message: "Item not in cart" });
+      }
+
+      const cart = await fetchCart(pool, req.user.id);
+      res.status(200).json({ success: true, cart, message: "Cart updated" });
+    } catch (err) {
+      req.log.error("Update cart error", { err });
+      res.status(500).json({ success: false, message: "Failed to update cart" });
+    }
+  });
+
+  app.delete("/api/cart/items/:productId", authenticateToken, async (req, res) => {
+    try {
+      const productId = parsePositiveInt(req.params.productId);
+      const { variantId, given } = parseOptionalVariantId(req.query.variantId);
+      if (!productId || (given && !variantId)) {
+        return res.status(400).json({ success: false, message: "Invalid product or variant ID" });
+      }
+
+      const result = await pool.query(
+        `DELETE FROM cart_items ci
+         USING carts c
+         WHERE ci.cart_id = c.id AND c.user_id = $1 AND ci.product_id = $2
+           AND ci.variant_id IS NOT DISTINCT FROM $3`,
+        [req.user.id, productId, variantId]
+      );
+      if (result.rowCount === 0) {
+        return res.status(404).json({ success: false, message: "Item not in cart" });
+      }
+
+      const cart = await fetchCart(pool, req.user.id);
+      res.status(200).json({ success: true, cart, message: "Item removed from cart" });
+    } catch (err) {
+      req.log.error("Remove from cart error", { err });
+      res.status(500).json({ success: false, message: "Failed to remove item from cart" });
+    }
+  });
+
+  app.delete("/api/cart", authenticateToken, async (req, res) => {
+    try {
+      await pool.query(
+        "DELETE FROM cart_items WHERE cart_id IN (SELECT id FROM carts WHERE user_id = $1)",
+        [req.user.id]
+      );
+      res.status(200).json({ success: true, message: "Cart cleared" });
+    } catch (err) {
+      req.log.error("Clear cart error", { err });
+      res.status(500).json({ success: false, message: "Failed to clear cart" });
+    }
+  });
+
+  // ============================================
+  // WISHLIST ROUTES
+  // ============================================
+  //
+  //  GET    /api/wishlist                     — saved products with current price and stock
+  //  POST   /api/wishlist/items               — save a product ({ productId, notifyWhenInStock? })
+  //  PUT    /api/wishlist/items/:productId    — turn the notify-me flag on or off
+  //  DELETE /api/wishlist/items/:productId    — remove a product
+  //
+  //  GET    /api/notifications                        — back-in-stock notifications (?unread=true)
+  //  PUT    /api/notifications/:notificationId/read   — mark one as read
+  //  PUT    /api/notifications/read-all               — mark all as read
+  //
+  //  All routes act on the logged-in user's own data. Notify-me can only be
+  //  switched on for out-of-stock products; see notifyBackInStock.
+  //
+  // ============================================
+
+  app.get("/api/wishlist", authenticateToken, async (req, res) => {
+    try {
+      const result = await pool.query(
+        `SELECT w.product_id, w.notify_when_in_stock, w.added_at,
+                p.product_name, p.image_url, p.price, p.stock, p.stock > 0 AS in_stock,
+                ${effectivePriceSql("p")} AS effective_price, ${saleActiveSql("p")} AS on_sale,
+                p.rating_average, p.rating_count
+         FROM wishlist_items w
+         JOIN products p ON p.id = w.product_id
+         WHERE w.user_id = $1 AND p.deleted_at IS NULL
+         ORDER BY w.added_at DESC, w.id DESC`,
+        [req.user.id]
+      );
+      res.status(200).json({ success: true, items: result.rows, total: result.rows.length });
+    } catch (err) {
+      req.log.error("Fetch wishlist error", { err });
+      res.status(500).json({ success: false, message: "Failed to fetch wishlist" });
+    }
+  });
+
+  // Saving a product twice is not an error; the flag is updated instead
+  app.post("/api/wishlist/items", authenticateToken, validateRequest({ body: wishlistItemSchema }), async (req, res) => {
+    try {
+      const { productId, notifyWhenInStock } = req.body;
+
+      const item = await withTransaction(async (client) => {
+        // FOR SHARE waits out a restock in flight, so a flag can't slip in
+        // just after the notifications for it went out
+        const product = await client.query(
+          "SELECT stock FROM products WHERE id = $1 AND deleted_at IS NULL FOR SHARE",
+          [productId]
+        );
+        if (product.rows.length === 0) {
+          throw new ApiError(404, "Product not found");
+        }
+        if (notifyWhenInStock && product.rows[0].stock > 0) {
+          throw new ApiError(409, "This product is in stock — notify-me is for out-of-stock items");
+        }
+
+        const result = await client.query(
+          `INSERT INTO wishlist_items (user_id, product_id, notify_when_in_stock)
+           VALUES ($1, $2, $3)
+           ON CONFLICT (user_id, product_id) DO UPDATE SET notify_when_in_stock = EXCLUDED.notify_when_in_stock
+           RETURNING *`,
+          [req.user.id, productId, notifyWhenInStock]
+        );
+        return result.rows[0];
+      });
+
+      res.status(201).json({ success: true, item, message: "Saved to wishlist" });
+    } catch (err) {
+      if (err instanceof ApiError) {
+        return res.status(err.status).json({ success: false, message: err.message });
+      }
+      req.log.error("Add to wishlist error", { err });
+      res.status(500).json({ success: false, message: "Failed to save to wishlist" });
+    }
+  });
+
+  app.put("/api/wishlist/items/:productId", authenticateToken, validateRequest({ params: wishlistParams, body: wishlistUpdateSchema }), async (req, res) => {
+    try {
+      const { productId } = req.params;
+      const { notifyWhenInStock } = req.body;
+
+      const item = await withTransaction(async (client) => {
+        const product = await client.query(
+          "SELECT stock FROM products WHERE id = $1 AND deleted_at IS NULL FOR SHARE",
+          [productId]
+        );
+        if (product.rows.length === 0) {
+          throw new ApiError(404, "Product not found");
+        }
+        if (notifyWhenInStock && product.rows[0].stock > 0) {
+          throw new ApiError(409, "This product is in stock — notify-me is for out-of-stock items");
+        }
+
+        const result = await client.query(
+          `UPDATE wishlist_items SET notify_when_in_stock = $1
+           WHERE user_id = $2 AND product_id = $3
+           RETURNING *`,
+          [notifyWhenInStock, req.user.id, productId]
+        );
+        if (result.rows.length === 0) {
+          throw new ApiError(404, "This product is not in your wishlist");
+        }
+        return result.rows[0];
+      });
+
+      res.status(200).json({ success: true, item, message: "Wishlist updated" });
+    } catch (err) {
+      if (err instanceof ApiError) {
+        return res.status(err.status).json({ success: false, message: err.message });
+      }
+      req.log.error("Update wishlist error", { err });
+      res.status(500).json({ success: false, message: "Failed to update wishlist" });
+    }
+  });
+
+  app.delete("/api/wishlist/items/:productId", authenticateToken, validateRequest({ params: wishlistParams }), async (req, res) => {
+    try {
+      const { productId } = req.params;
+
+      const result = await pool.query(
+        "DELETE FROM wishlist_items WHERE user_id = $1 AND product_id = $2",
+        [req.user.id, productId]
+      );
+      if (result.rowCount === 0) {
+        return res.status(404).json({ success: false, message: "This product is not in your wishlist" });
+      }
+      res.status(200).json({ success: true, message: "Removed from wishlist" });
+    } catch (err) {
+      req.log.error("Remove from wishlist error", { err });
+      res.status(500).json({ success: false, message: "Failed to remove from wishlist" });
+    }
+  });
+
+  // ---------- NOTIFICATIONS ----------
+
+  app.get("/api/notifications", authenticateToken, validateRequest({ query: notificationQuery }), async (req, res) => {
+    try {
+      const { page, limit, unread } = req.query;
+      const unreadOnly = unread ? "AND n.read_at IS NULL" : "";
+
+      const [notifications, counts] = await Promise.all([
+        pool.query(
+          `SELECT n.id, n.product_id, n.stock, n.read_at, n.created_at,
+                  p.product_name, p.image_url, p.price, p.stock AS current_stock
+           FROM stock_notifications n
+           JOIN products p ON p.id = n.product_id
+           WHERE n.user_id = $1 ${unreadOnly}
+           ORDER BY n.created_at DESC, n.id DESC
+           LIMIT $2 OFFSET $3`,
+          [req.user.id, limit, (page - 1) * limit]
+        ),
+        pool.query(
+          `SELECT COUNT(*)::INT AS total, (COUNT(*) FILTER (WHERE n.read_at IS NULL))::INT AS unread
+           FROM stock_notifications n
+           WHERE n.user_id = $1 ${unreadOnly}`,
+          [req.user.id]
+        ),
+      ]);
+
+      const { total, unread: unreadCount } = counts.rows[0];
+      const totalPages = Math.ceil(total / limit);
+      res.status(200).json({
+        success: true,
+        notifications: notifications.rows,
+        unreadCount,
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages,
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1,
+        },
+      });
+    } catch (err) {
+      req.log.error("Fetch notifications error", { err });
+      res.status(500).json({ success: false, message: "Failed to fetch notifications" });
+    }
+  });
+
+  app.put("/api/notifications/read-all", authenticateToken, async (req, res) => {
+    try {
+      const result = await pool.query(
+        "UPDATE stock_notifications SET read_at = NOW() WHERE user_id = $1 AND read_at IS NULL",
+        [req.user.id]
+      );
+      res.status(200).json({ success: true, updated: result.rowCount, message: "All notifications marked as read" });
+    } catch (err) {
+      req.log.error("Mark notifications read error", { err });
+      res.status(500).json({ success: false, message: "Failed to update notifications" });
+    }
+  });
+
+  app.put("/api/notifications/:notificationId/read", authenticateToken, validateRequest({ params: notificationParams }), async (req, res) => {
+    try {
+      const { notificationId } = req.params;
+
+      const result = await pool.query(
+        `UPDATE stock_notifications SET read_at = COALESCE(read_at, NOW())
+         WHERE id = $1 AND user_id = $2
+         RETURNING *`,
+        [notificationId, req.user.id]
+      );
+      if (result.rows.length === 0) {
+        return res.status(404).json({ success: false, message: "Notification not found" });
+      }
+      res.status(200).json({ success: true, notification: result.rows[0], message: "Notification marked as read" });
+    } catch (err) {
+      req.log.error("Mark notification read error", { err });
+      res.status(500).json({ success: false, message: "Failed to update notification" });
+    }
+  });
+
+  // ============================================
+  // PRICING & PROMOTION ROUTES
+  // ============================================
+  //
+  //  POST   /api/pricing/quote            — price breakdown for { items?, couponCode? }
+  //                                         (the current cart when items is left out)
+  //
+  //  GET    /api/admin/promotions         — coupons, paginated (?active=true|false)   [admin]
+  //  GET    /api/admin/promotions/:id     — one coupon with its targets and usage     [admin]
+  //  POST   /api/admin/promotions         — create a coupon                           [admin]
+  //  PUT    /api/admin/promotions/:id     — update a coupon                           [admin]
+  //  DELETE /api/admin/promotions/:id     — delete a coupon that was never used       [admin]
+  //
+  //  A line's unit price is its sale price while the product's sale runs (see
+  //  effectivePriceSql); a coupon then takes its discount off the lines it
+  //  targets. Checkout prices orders through the same buildQuote.
+  //
+  // ============================================
+
+  const roundMoney = (value) => Number(value.toFixed(2));
+
+  // Prices [{ productId, variantId, quantity }] at today's prices, in order.
+  // Returns { lines } or { status, error } for an unknown product or variant.
+  const priceItems = async (db, items) => {
+    const result = await db.query(
+      `SELECT i.position, p.id AS product_id, v.id AS variant_id, p.product_name, v.size, v.color,
+              COALESCE(v.price, p.price) AS list_price,
+              ${effectivePriceSql("p", "v")} AS unit_price,
+              (v.price IS NULL AND ${saleActiveSql("p")}) AS on_sale,
+              p.sale_ends_at
+       FROM unnest($1::int[], $2::int[]) WITH ORDINALITY AS i(product_id, variant_id, position)
+       JOIN products p ON p.id = i.product_id AND p.deleted_at IS NULL
+       LEFT JOIN product_variants v ON v.id = i.variant_id AND v.product_id = p.id`,
+      [items.map((item) => item.productId), items.map((item) => item.variantId ?? null)]
+    );
+    const rowsByPosition = new Map(result.rows.map((row) => [Number(row.position), row]));
+
+    const lines = [];
+    for (const [index, item] of items.entries()) {
+      const row = rowsByPosition.get(index + 1);
+      if (!row) {
+        return { status: 404, error: `Product ${item.productId} not found` };
+      }
+      if (item.variantId && !row.variant_id) {
+        return { status: 404, error: `Variant ${item.variantId} not found` };
+      }
+
+      const unitPrice = Number(row.unit_price);
+      lines.push({
+        productId: row.product_id,
+        variantId: row.variant_id,
+        productName: row.product_name,
+        variantLabel: [row.size, row.color].filter(Boolean).join(" / ") || null,
+        quantity: item.quantity,
+        listPrice: Number(row.list_price),
+        unitPrice,
+        onSale: row.on_sale,
+        saleEndsAt: row.on_sale ? row.sale_ends_at : null,
+        lineTotal: roundMoney(unitPrice * item.quantity),
+      });
+    }
+    return { lines };
+  };
+
+  // Redemptions of cancelled orders (expired unpaid ones included) don't
+  // count towards the limits
+  const PROMOTION_USES = `
+    SELECT COUNT(*)::INT FROM promotion_redemptions r
+    JOIN orders o ON o.id = r.order_id
+    WHERE r.promotion_id = pr.id AND o.status <> 'cancelled'
+  `;
+
+  // Checks a coupon against priced lines and works out its discount. Returns
+  // { promotion, discount, eligibleSubtotal } or { status, error }. Checkout
+  // passes lock so two orders can't both take a coupon's last use.
+  const applyCoupon = async (db, code, { userId, lines, subtotal, lock = false }) => {
+    const found = await db.query(
+      `SELECT pr.*, pr.starts_at > NOW() AS not_started, pr.ends_at <= NOW() AS expired
+       FROM promotions pr
+       WHERE UPPER(pr.code) = UPPER($1)
+       ${lock ? "FOR UPDATE" : ""}`,
+      [code]
+    );
+    const promotion = found.rows[0];
+    if (!promotion) {
+      return { status: 404, error: "Coupon code not found" };
+    }
+    if (!promotion.is_active) {
+      return { status: 400, error: "This coupon is no longer active" };
+    }
+    if (promotion.not_started) {
+      return { status: 400, error: "This coupon is not valid yet" };
+    }
+    if (promotion.expired) {
+      return { status: 400, error: "This coupon has expired" };
+    }
+    if (subtotal < Number(promotion.min_order_amount)) {
+      return { status: 400, error: `This coupon needs an order of at least ${promotion.min_order_amount}` };
+    }
+
+    const usage = await db.query(
+      `SELECT (${PROMOTION_USES}) AS total,
+              (${PROMOTION_USES} AND r.user_id = $2) AS mine
+       FROM promotions pr WHERE pr.id = $1`,
+      [promotion.id, userId]
+    );
+    const { total, mine } = usage.rows[0];
+    if (promotion.max_uses !== null && total >= promotion.max_uses) {
+      return { status: 409, error: "This coupon has been fully redeemed" };
+    }
+    if (promotion.max_uses_per_user !== null && mine >= promotion.max_uses_per_user) {
+      return { status: 409, error: "You have already used this coupon the maximum number of times" };
+    }
+
+    // No targets means the whole order; a category also covers its subcategories
+    const eligible = await db.query(
+      `WITH RECURSIVE targets AS (
+         SELECT category_id AS id FROM promotion_categories WHERE promotion_id = $1
+         UNION
+         SELECT c.id FROM categories c JOIN targets t ON c.parent_id = t.id
+       )
+       SELECT p.id FROM products p
+       WHERE p.id = ANY($2::int[])
+         AND (
+           (NOT EXISTS (SELECT 1 FROM promotion_products WHERE promotion_id = $1)
+            AND NOT EXISTS (SELECT 1 FROM promotion_categories WHERE promotion_id = $1))
+           OR p.id IN (SELECT product_id FROM promotion_products WHERE promotion_id = $1)
+           OR p.category_id IN (SELECT id FROM targets)
+         )`,
+      [promotion.id, [...new Set(lines.map((line) => line.productId))]]
+    );
+    const eligibleIds = new Set(eligible.rows.map((row) => row.id));
+    const eligibleLines = lines.filter((line) => eligibleIds.has(line.productId));
+    if (eligibleLines.length === 0) {
+      return { status: 400, error: "This coupon doesn't apply to any item in your order" };
+    }
+
+    const eligibleSubtotal = roundMoney(eligibleLines.reduce((sum, line) => sum + line.lineTotal, 0));
+    const value = Number(promotion.discount_value);
+    const discount = promotion.discount_type === "percentage"
+      ? roundMoney((eligibleSubtotal * value) / 100)
+      : Math.min(value, eligibleSubtotal);
+
+    return { promotion, discount, eligibleSubtotal };
+  };
+
+  // The full breakdown for a set of items: list vs. unit price per line, sale
+  // savings, the coupon discount and the total. Returns { quote, couponError }
+  // or { status, error }. A coupon that doesn't apply leaves the quote at full
+  // price with coupon.applied = false; couponError says why, for checkout.
+  const buildQuote = async (db, items, { couponCode, userId, lock = false }) => {
+    const priced = await priceItems(db, items);
+    if (priced.error) return priced;
+
+    const { lines } = priced;
+    const subtotal = roundMoney(lines.reduce((sum, line) => sum + line.lineTotal, 0));
+    const saleSavings = roundMoney(
+      lines.reduce((sum, line) => sum + (line.listPrice - line.unitPrice) * line.quantity, 0)
+    );
+
+    let coupon = null;
+    let couponError = null;
+    let discount = 0;
+    if (couponCode) {
+      const applied = await applyCoupon(db, couponCode, { userId, lines, subtotal, lock });
+      if (applied.error) {
+        couponError = applied;
+        coupon = { code: couponCode, applied: false, message: applied.error };
+      } else {
+        const { promotion } = applied;
+        discount = applied.discount;
+        coupon = {
+          code: promotion.code,
+          applied: true,
+          promotionId: promotion.id,
+          description: promotion.description,
+          discountType: promotion.discount_type,
+          discountValue: Number(promotion.discount_value),
+          eligibleSubtotal: applied.eligibleSubtotal,
+          discount,
+        };
+      }
+    }
+
+    return {
+      quote: {
+        lines,
+        itemCount: lines.reduce((n, line) => n + line.quantity, 0),
+        subtotal,
+        saleSavings,
+        discount,
+        total: roundMoney(subtotal - discount),
+        coupon,
+      },
+      couponError,
+    };
+  };
+
+  const fetchCartItems = async (db, userId) => {
+    const result = await db.query(
+      `SELECT ci.product_id, ci.variant_id, ci.quantity
+       FROM carts c JOIN cart_items ci ON ci.cart_id = c.id
+       WHERE c.user_id = $1
+       ORDER BY ci.product_id, ci.variant_id`,
+      [userId]
+    );
+    return result.rows.map((item) => ({ productId: item.product_id, variantId: item.variant_id, quantity: item.quantity }));
+  };
+
+  app.post("/api/pricing/quote", authenticateToken, validateRequest({ body: quoteSchema }), async (req, res) => {
+    try {
+      const items = req.body.items || (await fetchCartItems(pool, req.user.id));
+      if (items.length === 0) {
+        return res.status(400).json({ success: false, message: "Cart is empty" });
+      }
+
+      const result = await buildQuote(pool, items, { couponCode: req.body.couponCode, userId: req.user.id });
+      if (result.error) {
+        return res.status(result.status).json({ success: false, message: result.error });
+      }
+      res.status(200).json({ success: true, quote: result.quote });
+    } catch (err) {
+      req.log.error("Price quote error", { err });
+      res.status(500).json({ success: false, message: "Failed to calculate prices" });
+    }
+  });
+
+  // ---------- ADMIN ----------
+
+  const PROMOTION_SELECT = `
+    SELECT pr.*,
+           COALESCE((SELECT array_agg(product_id ORDER BY product_id) FROM promotion_products WHERE promotion_id = pr.id), '{}') AS product_ids,
+           COALESCE((SELECT array_agg(category_id ORDER BY category_id) FROM promotion_categories WHERE promotion_id = pr.id), '{}') AS category_ids,
+           (${PROMOTION_USES}) AS uses
+    FROM promotions pr
+  `;
+
+  const PROMOTION_RUNNING = "(pr.is_active AND (pr.starts_at IS NULL OR pr.starts_at <= NOW()) AND (pr.ends_at IS NULL OR pr.ends_at > NOW()))";
+
+  const fetchPromotion = async (db, id) => {
+    const result = await db.query(`${PROMOTION_SELECT} WHERE pr.id = $1`, [id]);
+    return result.rows[0] || null;
+  };
+
+  // Rules that span fields, checked against the merged row on update
+  const promotionRuleErrors = ({ discount_type, discount_value, starts_at, ends_at }) => {
+    const errors = [];
+    if (discount_type === "percentage" && Number(discount_value) > 100) {
+      errors.push({ field: "discountValue", message: "must be 100 or less for a percentage discount" });
+    }
+    if (starts_at && ends_at && ends_at <= starts_at) {
+      errors.push({ field: "endsAt", message: "must be after startsAt" });
+    }
+    return errors;
+  };
+
+  // Replaces whichever target lists were sent; ids that don't exist are a 400
+  const setPromotionTargets = async (db, promotionId, { productIds, categoryIds }) => {
+    if (productIds !== undefined) {
+      const found = await db.query(
+        "SELECT COUNT(*)::INT AS count FROM products WHERE id = ANY($1::int[]) AND deleted_at IS NULL",
+        [productIds]
+      );
+      if (found.rows[0].count !== productIds.length) {
+        throw new ApiError(400, "productIds contains a product that doesn't exist");
+      }
+      await db.query("DELETE FROM promotion_products WHERE promotion_id = $1", [promotionId]);
+      await db.query(
+        "INSERT INTO promotion_products (promotion_id, product_id) SELECT $1, unnest($2::int[])",
+        [promotionId, productIds]
+      );
+    }
+
+    if (categoryIds !== undefined) {
+      const found = await db.query("SELECT COUNT(*)::INT AS count FROM categories WHERE id = ANY($1::int[])", [categoryIds]);
+      if (found.rows[0].count !== categoryIds.length) {
+        throw new ApiError(400, "categoryIds contains a category that doesn't exist");
+      }
+      await db.query("DELETE FROM promotion_categories WHERE promotion_id = $1", [promotionId]);
+      await db.query(
+        "INSERT INTO promotion_categories (promotion_id, category_id) SELECT $1, unnest($2::int[])",
+        [promotionId, categoryIds]
+      );
+    }
+  };
+
+  app.get("/api/admin/promotions", requireAdmin, validateRequest({ query: promotionListQuery }), async (req, res) => {
+    try {
+      const { page, limit, active } = req.query;
+      const offset = (page - 1) * limit;
+      const where = active === undefined ? "" : `WHERE ${active ? "" : "NOT "}${PROMOTION_RUNNING}`;
+
+      const [rowsResult, countResult] = await Promise.all([
+        pool.query(
+          `${PROMOTION_SELECT} ${where}
+           ORDER BY pr.created_at DESC, pr.id DESC
+           LIMIT $1 OFFSET $2`,
+          [limit, offset]
+        ),
+        pool.query(`SELECT COUNT(*) FROM promotions pr ${where}`),
+      ]);
+
+      const total = parseInt(countResult.rows[0].count);
+
+      res.status(200).json({
+        success: true,
+        promotions: rowsResult.rows,
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages: Math.ceil(total / limit),
+          hasNextPage: offset + rowsResult.rows.length < total,
+          hasPrevPage: page > 1,
+        },
+      });
+    } catch (err) {
+      req.log.error("Fetch promotions error", { err });
+      res.status(500).json({ success: false, message: "Failed to fetch promotions" });
+    }
+  });
+
+  app.get("/api/admin/promotions/:id", requireAdmin, validateRequest({ params: idParams }), async (req, res) => {
+    try {
+      const promotion = await fetchPromotion(pool, req.params.id);
+      if (!promotion) {
+        return res.status(404).json({ success: false, message: "Promotion not found" });
+      }
+      res.status(200).json({ success: true, promotion });
+    } catch (err) {
+      req.log.error("Fetch promotion error", { err });
+      res.status(500).json({ success: false, message: "Failed to fetch promotion" });
+    }
+  });
+
+  app.post("/api/admin/promotions", requireAdmin, validateRequest({ body: promotionSchema }), async (req, res) => {
+    try {
+      const {
+        code, description, discountType, discountValue, minOrderAmount,
+        maxUses, maxUsesPerUser, startsAt, endsAt, isActive, productIds, categoryIds,
+      } = req.body;
+
+      const errors = promotionRuleErrors({
+        discount_type: discountType,
+        discount_value: discountValue,
+        starts_at: startsAt,
+        ends_at: endsAt,
+      });
+      if (errors.length > 0) {
+        return sendValidationErrors(res, errors);
+      }
+
+      const promotion = await withTransaction(async (client) => {
+        const result = await client.query(
+          `INSERT INTO promotions
+            (code, description, discount_type, discount_value, min_order_amount,
+             max_uses, max_uses_per_user, starts_at, ends_at, is_active, created_by)
+           VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11)
+           RETURNING id`,
+          [
+            code,
+            description ?? null,
+            discountType,
+            discountValue,
+            minOrderAmount,
+            maxUses ?? null,
+            maxUsesPerUser ?? null,
+            startsAt ?? null,
+            endsAt ?? null,
+            isActive,
+            req.user.id,
+          ]
+        );
+        const { id } = result.rows[0];
+        await setPromotionTargets(client, id, { productIds, categoryIds });
+
+        const created = await fetchPromotion(client, id);
+        await recordAudit(client, req, { action: "create", entityType: "promotion", entityId: id, after: created });
+        return created;
+      });
+
+      res.status(201).json({ success: true, promotion, message: "Promotion created successfully" });
+    } catch (err) {
+      if (err instanceof ApiError) {
+        return res.status(err.status).json({ success: false, message: err.message });
+      }
+      if (isUniqueViolation(err)) {
+        return res.status(409).json({ success: false, message: "A promotion with this code already exists" });
+      }
+      req.log.error("Create promotion error", { err });
+      res.status(500).json({ success: false, message: "Failed to create promotion" });
+    }
+  });
+
+  // Fields left out keep their current value; nullable ones sent blank are cleared
+  app.put("/api/admin/promotions/:id", requireAdmin, validateRequest({ params: idParams, body: promotionUpdateSchema }), async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { productIds, categoryIds, ...fields } = req.body;
+
+      const promotion = await withTransaction(async (client) => {
+        const locked = await client.query("SELECT id FROM promotions WHERE id = $1 FOR UPDATE", [id]);
+        if (locked.rows.length === 0) {
+          throw new ApiError(404, "Promotion not found");
+        }
+        const before = await fetchPromotion(client, id);
+
+        const keep = (value, current) => (value === undefined ? current : value);
+        const merged = {
+          code: keep(fields.code, before.code),
+          description: keep(fields.description, before.description),
+          discount_type: keep(fields.discountType, before.discount_type),
+          discount_value: keep(fields.discountValue, before.discount_value),
+          min_order_amount: keep(fields.minOrderAmount, before.min_order_amount),
+          max_uses: keep(fields.maxUses, before.max_uses),
+          max_uses_per_user: keep(fields.maxUsesPerUser, before.max_uses_per_user),
+          starts_at: keep(fields.startsAt, before.starts_at),
+          ends_at: keep(fields.endsAt, before.ends_at),
+          is_active: keep(fields.isActive, before.is_active),
+        };
+        const errors = promotionRuleErrors(merged);
+        if (errors.length > 0) {
+          throw new ApiError(400, `Invalid input: ${describeErrors(errors)}`, { errors });
+        }
+
+        await client.query(
+          `UPDATE promotions
+           SET code = $1, description = $2, discount_type = $3, discount_value = $4,
+               min_order_amount = $5, max_uses = $6, max_uses_per_user = $7,
+               starts_at = $8, ends_at = $9, is_active = $10, updated_at = NOW()
+           WHERE id = $11`,
+          [
+            merged.code,
+            merged.description,
+            merged.discount_type,
+            merged.discount_value,
+            merged.min_order_amount,
+            merged.max_uses,
+            merged.max_uses_per_user,
+            merged.starts_at,
+            merged.ends_at,
+            merged.is_active,
+            id,
+          ]
+        );
+        await setPromotionTargets(client, id, { productIds, categoryIds });
+
+        const after = await fetchPromotion(client, id);
+        await recordAudit(client, req, { action: "update", entityType: "promotion", entityId: id, before, after });
+        return after;
+      });
+
+      res.status(200).json({ success: true, promotion, message: "Promotion updated successfully" });
+    } catch (err) {
+      if (err instanceof ApiError) {
+        return res.status(err.status).json({ success: false, message: err.message, ...err.details });
+      }
+      if (isUniqueViolation(err)) {
+        return res.status(409).json({ success: false, message: "A promotion with this code already exists" });
+      }
+      req.log.error("Update promotion error", { err });
+      res.status(500).json({ success: false, message: "Failed to update promotion" });
+    }
+  });
+
+  // Redeemed coupons are part of order history — deactivate those instead
+  app.delete("/api/admin/promotions/:id", requireAdmin, validateRequest({ params: idParams }), async (req, res) => {
+    const { id } = req.params;
+
+    try {
+      const deleted = await withTransaction(async (client) => {
+        const before = await fetchPromotion(client, id);
+        if (!before) return false;
+
+        await client.query("DELETE FROM promotions WHERE id = $1", [id]);
+        await recordAudit(client, req, { action: "delete", entityType: "promotion", entityId: id, before });
+        return true;
+      });
+      if (!deleted) {
+        return res.status(404).json({ success: false, message: "Promotion not found" });
+      }
+      res.status(200).json({ success: true, message: "Promotion deleted successfully" });
+    } catch (err) {
+      if (isForeignKeyViolation(err)) {
+        return res.status(409).json({ success: false, message: "This promotion has been used — deactivate it instead" });
+      }
+      req.log.error("Delete promotion error", { err });
+      res.status(500).json({ success: false, message: "Failed to delete promotion" });
+    }
+  });
+
+  // ============================================
+  // ORDER ROUTES
+  // ============================================
+  //
+  //  POST /api/orders/checkout            — turn the cart into a pending order ({ couponCode? })
+  //  GET  /api/orders                     — current user's order history
+  //  GET  /api/orders/:id                 — single order (owner or admin)
+  //  GET  /api/admin/orders               — every order, ?status= filter   [admin]
+  //  PUT  /api/admin/orders/:id/status    — move an order along its lifecycle [admin]
+  //
+  // ============================================
+
+  const ORDER_STATUSES = ["pending", "paid", "shipped", "delivered", "cancelled"];
+
+  // Allowed next states for each status — delivered and cancelled are final
+  const ORDER_TRANSITIONS = {
+    pending:   ["paid", "cancelled"],
+    paid:      ["shipped", "cancelled"],
+    shipped:   ["delivered"],
+    delivered: [],
+    cancelled: [],
+  };
+
+  const fetchOrderItems = async (db, orderIds) => {
+    if (orderIds.length === 0) return {};
+    const result = await db.query(
+      `SELECT oi.order_id, oi.product_id, oi.variant_id, oi.product_name, oi.variant_label,
+              oi.sku, oi.unit_price, oi.quantity, oi.line_total, p.image_url
+       FROM order_items oi
+       LEFT JOIN products p ON p.id = oi.product_id
+       WHERE oi.order_id = ANY($1::int[])
+       ORDER BY oi.id ASC`,
+      [orderIds]
+    );
+    return result.rows.reduce((byOrder, { order_id, ...item }) => {
+      (byOrder[order_id] ||= []).push(item);
+      return byOrder;
+    }, {});
+  };
+
+  // Snapshots prices, checks stock and decrements it in one transaction.
+  // Product rows (then variant rows) are locked in id order so concurrent
+  // checkouts queue up instead of deadlocking or overselling the last unit.
+  // Each line is logged to the inventory ledger as a sale. Prices come from
+  // buildQuote, so the order matches what POST /api/pricing/quote showed; an
+  // optional couponCode that doesn't apply fails the checkout.
+  app.post("/api/orders/checkout", authenticateToken, requireVerifiedEmail, validateRequest({ body: checkoutSchema }), async (req, res) => {
+    try {
+      const order = await withTransaction(async (client) => {
+        const cartItems = await fetchCartItems(client, req.user.id);
+        if (cartItems.length === 0) {
+          throw new ApiError(400, "Cart is empty");
+        }
+
+        const productIds = [...new Set(cartItems.map((item) => item.productId))];
+        const products = await client.query(
+          `SELECT id, product_name, stock, sku FROM products
+           WHERE id = ANY($1::int[]) AND deleted_at IS NULL
+           ORDER BY id
+           FOR UPDATE`,
+          [productIds]
+        );
+        const productsById = Object.fromEntries(products.rows.map((p) => [p.id, p]));
+
+        const variantIds = cartItems.map((item) => item.variantId).filter(Boolean);
+        const variants = await client.query(
+          `SELECT id, product_id, size, color, sku, stock FROM product_variants
+           WHERE id = ANY($1::int[])
+           ORDER BY id
+           FOR UPDATE`,
+          [variantIds]
+        );
+        const variantsById = Object.fromEntries(variants.rows.map((v) => [v.id, v]));
+
+        const available = (item) => {
+          if (!productsById[item.productId]) return 0;
+          if (item.variantId) return variantsById[item.variantId]?.stock ?? 0;
+          return productsById[item.productId].stock;
+        };
+
+        const shortages = cartItems
+          .filter((item) => available(item) < item.quantity)
+          .map((item) => ({
+            productId: item.productId,
+            variantId: item.variantId,
+            requested: item.quantity,
+            available: available(item),
+          }));
+        if (shortages.length > 0) {
+          throw new ApiError(409, "Some items are out of stock", { shortages });
+        }
+
+        const { couponCode } = req.body;
+        const priced = await buildQuote(client, cartItems, { couponCode, userId: req.user.id, lock: true });
+        if (priced.error) {
+          throw new ApiError(priced.status, priced.error);
+        }
+        if (priced.couponError) {
+          throw new ApiError(priced.couponError.status, priced.couponError.error);
+        }
+        const { quote } = priced;
+
+        const lines = quote.lines.map((line) => ({
+          ...line,
+          product: productsById[line.productId],
+          variant: line.variantId ? variantsById[line.variantId] : null,
+        }));
+
+        // A coupon that covers the whole order leaves nothing to pay (and the
+        // gateway refuses a zero amount), so the order is paid straight away
+        const orderResult = await client.query(
+          `INSERT INTO orders (user_id, subtotal_amount, discount_amount, coupon_code, total_amount, status)
+           VALUES ($1, $2, $3, $4, $5, $6)
+           RETURNING *`,
+          [req.user.id, quote.subtotal, quote.discount, quote.coupon?.code ?? null, quote.total, quote.total > 0 ? "pending" : "paid"]
+        );
+        const newOrder = orderResult.rows[0];
+
+        if (quote.coupon) {
+          await client.query(
+            `INSERT INTO promotion_redemptions (promotion_id, order_id, user_id, discount_amount)
+             VALUES ($1, $2, $3, $4)`,
+            [quote.coupon.promotionId, newOrder.id, req.user.id, quote.discount]
+          );
+        }
+
+        for (const line of lines) {
+          const { product, variant } = line;
+          await client.query(
+            `INSERT INTO order_items
+               (order_id, product_id, variant_id, product_name, variant_label, sku, unit_price, quantity, line_total)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+            [
+              newOrder.id,
+              product.id,
+              variant?.id ?? null,
+              product.product_name,
+              variant ? [variant.size, variant.color].filter(Boolean).join(" / ") : null,
+              variant?.sku ?? product.sku,
+              line.unitPrice,
+              line.quantity,
+              line.lineTotal,
+            ]
+          );
+          await adjustStock(client, {
+            productId: product.id,
+            variantId: variant?.id ?? null,
+            delta: -line.quantity,
+            type: "sale",
+            actorId: req.user.id,
+            orderId: newOrder.id,
+          });
+        }
+
+        await client.query(
+          "DELETE FROM cart_items WHERE cart_id IN (SELECT id FROM carts WHERE user_id = $1)",
+          [req.user.id]
+        );
+
+        const items = await fetchOrderItems(client, [newOrder.id]);
+        return { ...newOrder, items: items[newOrder.id] || [] };
+      });
+      await invalidateProductCache(req.log);
+      await publishStockEvents(order.items.map((item) => item.product_id), req.log);
+
+      res.status(201).json({ success: true, order, message: "Order placed successfully" });
+    } catch (err) {
+      if (err instanceof ApiError) {
+        return res.status(err.status).json({ success: false, message: err.message, ...err.details });
+      }
+      req.log.error("Checkout error", { err });
+      res.status(500).json({ success: false, message: "Checkout failed" });
+    }
+  });
+
+  app.get("/api/orders", authenticateToken, async (req, res) => {
+    try {
+      const result = await pool.query(
+        "SELECT * FROM orders WHERE user_id = $1 ORDER BY created_at DESC, id DESC",
+        [req.user.id]
+      );
+      const items = await fetchOrderItems(pool, result.rows.map((o) => o.id));
+
+      res.status(200).json({
+        success: true,
+        orders: result.rows.map((order) => ({ ...order, items: items[order.id] || [] })),
+      });
+    } catch (err) {
+      req.log.error("Fetch orders error", { err });
+      res.status(500).json({ success: false, message: "Failed to fetch orders" });
+    }
+  });
+
+  app.get("/api/orders/:id", authenticateToken, async (req, res) => {
+    try {
+      const id = parsePositiveInt(req.params.id);
+      if (!id) {
+        return res.status(400).json({ success: false, message: "Invalid order ID" });
+      }
+
+      const result = await pool.query("SELECT * FROM orders WHERE id = $1", [id]);
+      const order = result.rows[0];
+
+      // 404 rather than 403 for other users' orders so IDs can't be probed
+      if (!order || (order.user_id !== req.user.id && req.user.role !== "admin")) {
+        return res.status(404).json({ success: false, message: "Order not found" });
+      }
+
+      const items = await fetchOrderItems(pool, [order.id]);
+      res.status(200).json({ success: true, order: { ...order, items: items[order.id] || [] } });
+    } catch (err) {
+      req.log.error("Fetch order error", { err });
+      res.status(500).json({ success: false, message: "Failed to fetch order" });
+    }
+  });
+
+  app.get("/api/admin/orders", requireAdmin, async (req, res) => {
+    try {
+      const { status } = req.query;
+      if (status && !ORDER_STATUSES.includes(status)) {
+        return res.status(400).json({
+          success: false,
+          message: `status must be one of: ${ORDER_STATUSES.join(", ")}`,
+        });
+      }
+
+      const result = await pool.query(
+        `SELECT o.*, u.email, u.full_name
+         FROM orders o
+         LEFT JOIN users u ON u.id = o.user_id
+         ${status ? "WHERE o.status = $1" : ""}
+         ORDER BY o.created_at DESC, o.id DESC`,
+        status ? [status] : []
+      );
+      const items = await fetchOrderItems(pool, result.rows.map((o) => o.id));
+
+      res.status(200).json({
+        success: true,
+        orders: result.rows.map((order) => ({ ...order, items: items[order.id] || [] })),
+        total: result.rows.length,
+      });
+    } catch (err) {
+      req.log.error("Fetch all orders error", { err });
+      res.status(500).json({ success: false, message: "Failed to fetch orders" });
+    }
+  });
+
+  // Cancelling puts the ordered quantities back on the shelf
+  app.put("/api/admin/orders/:id/status", requireAdmin, async (req, res) => {
+    try {
+      const id = parsePositiveInt(req.params.id);
+      const { status } = req.body;
+
+      if (!id) {
+        return res.status(400).json({ success: false, message: "Invalid order ID" });
+      }
+      if (!ORDER_STATUSES.includes(status)) {
+        return res.status(400).json({
+          success: false,
+          message: `status must be one of: ${ORDER_STATUSES.join(", ")}`,
+        });
+      }
+
+      // Products whose stock the cancellation put back
+      let restocked = [];
+      const order = await withTransaction(async (client) => {
+        const existing = await client.query("SELECT * FROM orders WHERE id = $1 FOR UPDATE", [id]);
+        if (existing.rows.length === 0) {
+          throw new ApiError(404, "Order not found");
+        }
+
+        const current = existing.rows[0].status;
+        if (!ORDER_TRANSITIONS[current].includes(status)) {
+          throw new ApiError(409, `Cannot change order status from ${current} to ${status}`);
+        }
+
+        if (status === "cancelled") {
+          restocked = await restockOrder(client, id, { reason: "Order cancelled", actorId: req.user.id });
+        }
+
+        const updated = await client.query(
+          "UPDATE orders SET status = $1, updated_at = NOW() WHERE id = $2 RETURNING *",
+          [status, id]
+        );
+        await recordAudit(client, req, {
+          action: "update_status",
+          entityType: "order",
+          entityId: id,
+          before: { status: current },
+          after: { status },
+        });
+        return updated.rows[0];
+      });
+      if (restocked.length > 0) await invalidateProductCache(req.log);
+      await publishStockEvents(restocked, req.log);
+
+      res.status(200).json({ success: true, order, message: `Order marked as ${status}` });
+    } catch (err) {
+      if (err instanceof ApiError) {
+        return res.status(err.status).json({ success: false, message: err.message });
+      }
+      req.log.error("Update order status error", { err });
+      res.status(500).json({ success: false, message: "Failed to update order status" });
+    }
+  });
+
+  // ============================================
+  // PAYMENT ROUTES
+  // ============================================
+  //
+  //  POST /api/orders/:id/pay              — start a gateway transaction for a pending order,
+  //                                          or hand back the one already started
+  //  GET  /api/payments/verify/:reference  — confirm a payment with the gateway (callback fallback)
+  //  POST /api/payments/webhook            — gateway webhook, HMAC-verified on the raw body
+  //  GET  /api/admin/payments              — newest first, paginated, ?status=      [admin]
+  //
+  //  Money that arrives for an order no longer waiting on it (expired, or
+  //  already paid under another reference) leaves the payment refund_due
+  //  rather than success; GET /api/admin/payments?status=refund_due lists
+  //  what has to be sent back.
+  //
+  // ============================================
+
+  const requirePayments = (req, res, next) => {
+    if (!paymentProvider) {
+      return res.status(503).json({ success: false, message: "Payments are not configured" });
+    }
+    next();
+  };
+
+  // Marks a payment successful and its order paid. Safe to call any number of
+  // times for the same reference — only the first call changes anything.
+  // Pass the request's logger so anything it logs carries the request ID.
+  const markPaymentSuccessful = async (reference, amountPaid, log = logger) => {
+    return withTransaction(async (client) => {
+      const paymentResult = await client.query(
+        "SELECT * FROM payments WHERE reference = $1 FOR UPDATE",
+        [reference]
+      );
+      const payment = paymentResult.rows[0];
+      if (!payment) {
+        throw new ApiError(404, "Payment not found");
+      }
+      if (payment.status === "success" || payment.status === "refund_due") {
+        return { payment, alreadyProcessed: true };
+      }
+      if (Number(amountPaid) < Number(payment.amount)) {
+        throw new ApiError(409, "Amount paid does not match order total");
+      }
+
+      const orderUpdate = await client.query(
+        `UPDATE orders SET status = 'paid', updated_at = NOW()
+         WHERE id = $1 AND status = 'pending'`,
+        [payment.order_id]
+      );
+      const status = orderUpdate.rowCount > 0 ? "success" : "refund_due";
+      const updated = await client.query(
+        "UPDATE payments SET status = $1, paid_at = NOW() WHERE id = $2 RETURNING *",
+        [status, payment.id]
+      );
+      if (status === "refund_due") {
+        log.warn("Payment received for an order that is not pending; refund due", { reference, orderId: payment.order_id });
+        await recordAudit(client, null, {
+          action: "refund_due",
+          entityType: "payment",
+          entityId: payment.id,
+          before: { status: payment.status },
+          after: { status },
+        });
+      }
+
+      return { payment: updated.rows[0], alreadyProcessed: false };
+    });
+  };
+
+  app.post("/api/orders/:id/pay", authenticateToken, requireVerifiedEmail, requirePayments, async (req, res) => {
+    try {
+      const id = parsePositiveInt(req.params.id);
+      if (!id) {
+        return res.status(400).json({ success: false, message: "Invalid order ID" });
+      }
+
+      const orderResult = await pool.query(
+        `SELECT o.*, u.email FROM orders o JOIN users u ON u.id = o.user_id
+         WHERE o.id = $1 AND o.user_id = $2`,
+        [id, req.user.id]
+      );
+      const order = orderResult.rows[0];
+      if (!order) {
+        return res.status(404).json({ success: false, message: "Order not found" });
+      }
+      if (order.status !== "pending") {
+        return res.status(409).json({ success: false, message: `Order is already ${order.status}` });
+      }
+
+      // A checkout already started for this order is handed back, so the
+      // customer can't end up paying twice under two references
+      const started = await pool.query(
+        `SELECT * FROM payments
+         WHERE order_id = $1 AND status = 'pending' AND amount = $2 AND authorization_url IS NOT NULL
+         ORDER BY created_at DESC, id DESC
+         LIMIT 1`,
+        [order.id, order.total_amount]
+      );
+      if (started.rows.length > 0) {
+        const payment = started.rows[0];
+        return res.status(200).json({
+          success: true,
+          payment: {
+            reference: payment.reference,
+            authorizationUrl: payment.authorization_url,
+            accessCode: payment.access_code,
+            amount: Number(payment.amount),
+          },
+        });
+      }
+
+      // Recorded before the gateway hears of it, so whatever gets paid under
+      // this reference can always be matched back to the order
+      const reference = generatePaymentReference(order.id);
+      await pool.query(
+        `INSERT INTO payments (order_id, provider, reference, amount)
+         VALUES ($1, $2, $3, $4)`,
+        [order.id, paymentProvider.name, reference, order.total_amount]
+      );
+
+      let transaction;
+      try {
+        transaction = await paymentProvider.initializeTransaction({
+          email: order.email,
+          amount: order.total_amount,
+          reference,
+          callbackUrl: process.env.PAYSTACK_CALLBACK_URL || undefined,
+          metadata: { orderId: order.id, userId: req.user.id },
+        });
+      } catch (err) {
+        await pool.query("UPDATE payments SET status = 'failed' WHERE reference = $1", [reference]);
+        throw err;
+      }
+      await pool.query(
+        "UPDATE payments SET authorization_url = $1, access_code = $2 WHERE reference = $3",
+        [transaction.authorizationUrl, transaction.accessCode, reference]
+      );
+
+      res.status(201).json({
+        success: true,
+        payment: {
+          reference: transaction.reference,
+          authorizationUrl: transaction.authorizationUrl,
+          accessCode: transaction.accessCode,
+          amount: Number(order.total_amount),
+        },
+      });
+    } catch (err) {
+      req.log.error("Payment init error", { err });
+      if (err instanceof PaymentProviderError) {
+        return res.status(502).json({ success: false, message: "Payment provider error" });
+      }
+      res.status(500).json({ success: false, message: "Failed to start payment" });
+    }
+  });
+
+  app.get("/api/payments/verify/:reference", authenticateToken, requirePayments, async (req, res) => {
+    try {
+      const { reference } = req.params;
+
+      const existing = await pool.query(
+        `SELECT p.* FROM payments p JOIN orders o ON o.id = p.order_id
+         WHERE p.reference = $1 AND (o.user_id = $2 OR $3)`,
+        [reference, req.user.id, req.user.role === "admin"]
+      );
+      if (existing.rows.length === 0) {
+        return res.status(404).json({ success: false, message: "Payment not found" });
+      }
+      if (["success", "refund_due"].includes(existing.rows[0].status)) {
+        return res.status(200).json({ success: true, payment: existing.rows[0] });
+      }
+
+      const transaction = await paymentProvider.verifyTransaction(reference);
+      if (transaction.status !== "success") {
+        return res.status(200).json({
+          success: true,
+          payment: { ...existing.rows[0], providerStatus: transaction.status },
+        });
+      }
+
+      const { payment } = await markPaymentSuccessful(reference, transaction.amount, req.log);
+      res.status(200).json({ success: true, payment });
+    } catch (err) {
+      if (err instanceof ApiError) {
+        return res.status(err.status).json({ success: false, message: err.message });
+      }
+      req.log.error("Payment verify error", { err });
+      if (err instanceof PaymentProviderError) {
+        return res.status(502).json({ success: false, message: "Payment provider error" });
+      }
+      res.status(500).json({ success: false, message: "Failed to verify payment" });
+    }
+  });
+
+  // Responds 200 for anything we've safely handled or chosen to ignore, so the
+  // gateway stops retrying; 5xx only when it's worth a retry.
+  app.post(PAYMENT_WEBHOOK_PATH, requirePayments, async (req, res) => {
+    if (!paymentProvider.verifyWebhookSignature(req.body, req.headers)) {
+      return res.status(401).json({ success: false, message: "Invalid signature" });
+    }
+
+    const event = paymentProvider.parseWebhookEvent(req.body);
+    if (!event || event.type !== "payment.success") {
+      return res.status(200).json({ success: true, message: "Event ignored" });
+    }
+
+    try {
+      const { alreadyProcessed } = await markPaymentSuccessful(event.reference, event.amount, req.log);
+      res.status(200).json({
+        success: true,
+        message: alreadyProcessed ? "Already processed" : "Payment recorded",
+      });
+    } catch (err) {
+      if (err instanceof ApiError) {
+        req.log.warn("Webhook ignored", { reference: event.reference, reason: err.message });
+        return res.status(200).json({ success: true, message: "Event ignored" });
+      }
+      req.log.error("Webhook error", { err });
+      res.status(500).json({ success: false, message: "Webhook processing failed" });
+    }
+  });
+
+  app.get("/api/admin/payments", requireAdmin, validateRequest({ query: paymentListQuery }), async (req, res) => {
+    const { page, limit, status } = req.query;
+    const params = status ? [status] : [];
+    const where = status ? "WHERE p.status = $1" : "";
+
+    try {
+      const [payments, count] = await Promise.all([
+        pool.query(
+          `SELECT p.id, p.order_id, p.provider, p.reference, p.amount, p.currency, p.status,
+                  p.created_at, p.paid_at, o.status AS order_status, o.user_id, u.email
+           FROM payments p
+           JOIN orders o ON o.id = p.order_id
+           LEFT JOIN users u ON u.id = o.user_id
+           ${where}
+           ORDER BY p.created_at DESC, p.id DESC
+           LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+          [...params, limit, (page - 1) * limit]
+        ),
+        pool.query(`SELECT COUNT(*) FROM payments p ${where}`, params),
+      ]);
+
+      const total = parseInt(count.rows[0].count);
+      const totalPages = Math.ceil(total / limit);
+      res.status(200).json({
+        success: true,
+        payments: payments.rows,
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages,
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1,
+        },
+      });
+    } catch (err) {
+      req.log.error("Fetch payments error", { err });
+      res.status(500).json({ success: false, message: "Failed to fetch payments" });
+    }
+  });
+
+  // ============================================
+  // CLIENT MODULES
+  // ============================================
+  //
+  //  GET /api/validation.js  — the request schemas, as an ES module, so the
+  //                            admin page validates forms with the same rules
+  //
+  // ============================================
+
+  const VALIDATION_MODULE_PATH = fileURLToPath(new URL("./validation.js", import.meta.url));
+
+  app.get("/api/validation.js", (req, res) => {
+    res.type("text/javascript").sendFile(VALIDATION_MODULE_PATH);
+  });
+
+  // ============================================
+  // HEALTH CHECK & METRICS
+  // ============================================
+  //
+  //  GET /api/health        — liveness: the process is up and the database answers
+  //  GET /api/health/ready  — readiness: the database and image storage both
+  //                           answer in time; 503 otherwise, so a load
+  //                           balancer stops sending traffic here
+  //  GET /metrics           — Prometheus metrics (see metrics.js). Set
+  //                           METRICS_TOKEN to require "Authorization: Bearer <token>".
+  //
+  // ============================================
+
+  const READINESS_TIMEOUT_MS = 3000;
+  const METRICS_TOKEN = process.env.METRICS_TOKEN || null;
+
+  app.get("/", (req, res) => {
+    res.json({ success: true, message: "Brightnal API is running", version: "3.0.0" });
+  });
+
+  app.get("/api/health", async (req, res) => {
+    try {
+      await pool.query("SELECT 1");
+      res.json({ success: true, status: "healthy", timestamp: new Date().toISOString() });
+    } catch {
+      res.status(503).json({ success: false, status: "unhealthy" });
+    }
+  });
+
+  // Resolves { ok, durationMs } — never rejects, and gives up after READINESS_TIMEOUT_MS
+  const runReadinessCheck = async (name, check, log) => {
+    const started = Date.now();
+    let timer;
+    try {
+      await Promise.race([
+        check(),
+        new Promise((resolve, reject) => {
+          timer = setTimeout(() => reject(new Error(`Timed out after ${READINESS_TIMEOUT_MS}ms`)), READINESS_TIMEOUT_MS);
+        }),
+      ]);
+      return { ok: true, durationMs: Date.now() - started };
+    } catch (err) {
+      log.warn("Readiness check failed", { check: name, err });
+      return { ok: false, durationMs: Date.now() - started };
+    } finally {
+      clearTimeout(timer);
+    }
+  };
+
+  app.get("/api/health/ready", async (req, res) => {
+    const [database, imageStorage] = await Promise.all([
+      runReadinessCheck("database", () => pool.query("SELECT 1"), req.log),
+      runReadinessCheck("storage", () => storage.check(), req.log),
+    ]);
+    const ready = database.ok && imageStorage.ok;
+
+    res.status(ready ? 200 : 503).json({
+      success: ready,
+      status: ready ? "ready" : "not ready",
+      checks: { database, storage: { driver: storage.name, ...imageStorage } },
+      timestamp: new Date().toISOString(),
+    });
+  });
+
+  // Outside /api, so the API rate limiter leaves scrapers alone
+  app.get("/metrics", async (req, res) => {
+    if (METRICS_TOKEN) {
+      const presented = hashToken(req.get("authorization") || "");
+      const expected = hashToken(`Bearer ${METRICS_TOKEN}`);
+      if (!crypto.timingSafeEqual(Buffer.from(presented), Buffer.from(expected))) {
+        return res.status(401).json({ success: false, message: "Metrics token required" });
+      }
+    }
+
+    try {
+      res.set("Content-Type", METRICS_CONTENT_TYPE).send(await metrics.render());
+    } catch (err) {
+      req.log.error("Metrics error", { err });
+      res.status(500).json({ success: false, message: "Failed to collect metrics" });
+    }
+  });
+
+  // ============================================
+  // ERROR HANDLERS
+  // ============================================
+
+  app.use((req, res) => {
+    res.status(404).json({ success: false, message: "Route not found" });
+  });
+
+  app.use((err, req, res, next) => {
+    req.log.error("Unhandled error", { err });
+
+    if (err.message === "Not allowed by CORS") {
+      return res.status(403).json({ success: false, message: "CORS policy violation" });
+    }
+    if (err.message === "Only image files are allowed" || err.message === "Only CSV files are allowed") {
+      return res.status(400).json({ success: false, message: err.message });
+    }
+    if (err instanceof multer.MulterError) {
+      return res.status(400).json({ success: false, message: err.message });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: process.env.NODE_ENV === "production" ? "Internal server error" : err.message,
+    });
+  });
+
+  return { app, purgeArchivedProducts, expireUnpaidOrders, closeEventStreams };
+};
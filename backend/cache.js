@@ -0,0 +1,141 @@
+import Redis from "ioredis";
+
+// ============================================
+// CACHE DRIVERS
+// ============================================
+//
+//  A string key/value store for responses that are cheaper to keep than to
+//  rebuild. Every driver exposes the same shape:
+//
+//    name                       — driver id, for logs
+//    get(key)                   — resolves the stored string, or null
+//    set(key, value, ttlSeconds) — stores a string that expires after ttlSeconds
+//    incr(key)                  — adds one to a counter that never expires and
+//                                 resolves the new value (used as a version
+//                                 number that retires every older key)
+//    close()                    — drops connections so the process can exit
+//
+//  CACHE_DRIVER picks one (default "memory"):
+//
+//    memory — per process, holds up to CACHE_MAX_ENTRIES (default 1000) and
+//             evicts the least recently used. Fine for a single instance.
+//    redis  — shared by every instance through REDIS_URL (redis:// or
+//             rediss://, with user:password@ and /db if needed). Keys are
+//             prefixed with CACHE_KEY_PREFIX (default "brightnal:"). Counters
+//             have no TTL, so use an eviction policy that spares them
+//             (noeviction or one of the volatile-* ones).
+//
+// ============================================
+
+const DEFAULT_MAX_ENTRIES = 1000;
+
+// ---------- MEMORY ----------
+
+// now() is injectable so tests can move the clock
+export const createMemoryCache = ({ maxEntries = DEFAULT_MAX_ENTRIES, now = Date.now } = {}) => {
+  // Map keeps insertion order; re-inserting on every hit keeps the least
+  // recently used entry first in line for eviction
+  const entries = new Map();
+  // Counters live apart from entries so eviction can never reset a version
+  const counters = new Map();
+
+  return {
+    name: "memory",
+
+    async get(key) {
+      if (counters.has(key)) return String(counters.get(key));
+      const entry = entries.get(key);
+      if (!entry) return null;
+      entries.delete(key);
+      if (entry.expiresAt <= now()) return null;
+      entries.set(key, entry);
+      return entry.value;
+    },
+
+    async set(key, value, ttlSeconds) {
+      entries.delete(key);
+      entries.set(key, { value: String(value), expiresAt: now() + ttlSeconds * 1000 });
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+
+    async incr(key) {
+      const value = (counters.get(key) || 0) + 1;
+      counters.set(key, value);
+      return value;
+    },
+
+    async close() {
+      entries.clear();
+    },
+  };
+};
+
+// ---------- REDIS ----------
+
+// One ioredis connection, opened on first use. A command that gets no answer
+// in timeoutMs fails, and commands sent while the connection is down fail on
+// the next failed attempt instead of queueing behind the reconnects: a slow
+// cache should fall back to the database, not hold the request up.
+export const createRedisCache = ({ url, keyPrefix = "brightnal:", timeoutMs = 1000 }) => {
+  const target = new URL(url);
+  if (!["redis:", "rediss:"].includes(target.protocol)) {
+    throw new Error(`REDIS_URL must start with redis:// or rediss://, got ${target.protocol}//`);
+  }
+
+  const client = new Redis(url, {
+    keyPrefix,
+    lazyConnect: true,
+    connectTimeout: timeoutMs,
+    commandTimeout: timeoutMs,
+    maxRetriesPerRequest: 0,
+    retryStrategy: (attempt) => Math.min(attempt * 200, 2000),
+  });
+  // Failed commands reject with the error; this keeps ioredis from also
+  // printing every connection error to the console
+  client.on("error", () => {});
+
+  return {
+    name: "redis",
+
+    get: (key) => client.get(key),
+
+    async set(key, value, ttlSeconds) {
+      await client.set(key, value, "EX", Math.max(1, Math.ceil(ttlSeconds)));
+    },
+
+    incr: (key) => client.incr(key),
+
+    // QUIT lets pending replies arrive first; without a live connection it
+    // would wait for the next reconnect attempt, so just stop retrying
+    async close() {
+      if (client.status !== "ready") return client.disconnect();
+      await client.quit().catch(() => client.disconnect());
+    },
+  };
+};
+
+export const CACHE_DRIVERS = {
+  memory: {
+    requiredEnv: [],
+    create: (env) => createMemoryCache({ maxEntries: parseInt(env.CACHE_MAX_ENTRIES) || DEFAULT_MAX_ENTRIES }),
+  },
+  redis: {
+    requiredEnv: ["REDIS_URL"],
+    create: (env) =>
+      createRedisCache({
+        url: env.REDIS_URL,
+        keyPrefix: env.CACHE_KEY_PREFIX ?? "brightnal:",
+      }),
+  },
+};
+
+export const getCacheDriverName = (env = process.env) =>
+  (env.CACHE_DRIVER || "memory").toLowerCase();
+
+export const createCacheFromEnv = (env = process.env) => {
+  const driver = CACHE_DRIVERS[getCacheDriverName(env)];
+  if (!driver) throw new Error(`Unknown CACHE_DRIVER: ${env.CACHE_DRIVER}`);
+  return driver.create(env);
+};
@@ -0,0 +1,89 @@
+// ============================================
+// CSV
+// ============================================
+//
+//  Just enough RFC 4180 for spreadsheet round-trips of the catalog:
+//
+//    parseCsv(text)            — [[cell, ...], ...]; handles quoted cells,
+//                                escaped quotes ("") and newlines inside quotes
+//    toCsv(headers, rows)      — CSV text; rows are objects keyed by header
+//
+//  Parsing accepts LF or CRLF line endings; output uses CRLF, which is what
+//  Excel and Google Sheets expect.
+//
+// ============================================
+
+export class CsvParseError extends Error {
+  constructor(message, line) {
+    super(`${message} (line ${line})`);
+    this.name = "CsvParseError";
+    this.line = line;
+  }
+}
+
+export const parseCsv = (text) => {
+  // Excel likes to prepend a BOM to UTF-8 exports
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let inQuotes = false;
+  let line = 1;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"') {
+        if (input[i + 1] === '"') {
+          cell += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        if (char === "\n") line++;
+        cell += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      if (cell !== "") throw new CsvParseError("Unexpected quote inside an unquoted cell", line);
+      inQuotes = true;
+    } else if (char === ",") {
+      row.push(cell);
+      cell = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && input[i + 1] === "\n") i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+      line++;
+    } else {
+      cell += char;
+    }
+  }
+
+  if (inQuotes) throw new CsvParseError("Unterminated quoted cell", line);
+  if (cell !== "" || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  // Blank lines (a trailing newline, spacer rows) carry no data
+  return rows.filter((r) => r.length > 1 || r[0].trim() !== "");
+};
+
+const escapeCell = (value) => {
+  if (value === null || value === undefined) return "";
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const toCsv = (headers, rows) =>
+  [headers, ...rows.map((row) => headers.map((h) => row[h]))]
+    .map((cells) => cells.map(escapeCell).join(","))
+    .join("\r\n") + "\r\n";
@@ -0,0 +1,105 @@
+import sharp from "sharp";
+
+// ============================================
+// IMAGE PROCESSING
+// ============================================
+//
+//  Product images are served in a few fixed sizes, each in three formats, so
+//  pages can pick the smallest file that fits (<picture> / srcset):
+//
+//    thumbnail — 160×160, cropped to fill       (admin lists, cart lines)
+//    card      — 480×480, cropped to fill       (product grids)
+//    full      — fits inside 1600×1600, never enlarged (product page, zoom)
+//
+//    formats: jpeg (transparency flattened onto white), webp, avif
+//
+//  Cloudinary renders these on the fly from transformation URLs; local
+//  storage renders them with sharp when the image is uploaded (see
+//  storage.js). Either way each upload is also inspected here for its
+//  dimensions and a tiny blurred placeholder (LQIP) to show while it loads.
+//
+// ============================================
+
+export const IMAGE_SIZES = {
+  thumbnail: { width: 160, height: 160, fit: "cover" },
+  card: { width: 480, height: 480, fit: "cover" },
+  full: { width: 1600, height: 1600, fit: "inside" },
+};
+
+export const IMAGE_FORMATS = ["jpeg", "webp", "avif"];
+
+const PLACEHOLDER_SIZE = 16;
+
+// Thrown when sharp can't decode an upload — the file isn't a usable image
+// whatever its Content-Type said
+export class ImageReadError extends Error {}
+
+// Pixel size of one derived image for an original of width × height. A
+// size that keeps the original's shape can't be worked out without them, so
+// it comes back as nulls.
+export const sizeDimensions = (size, width, height) => {
+  const target = IMAGE_SIZES[size];
+  if (target.fit === "cover") return { width: target.width, height: target.height };
+  if (!width || !height) return { width: null, height: null };
+
+  const scale = Math.min(1, target.width / width, target.height / height);
+  return { width: Math.round(width * scale), height: Math.round(height * scale) };
+};
+
+// Resolves { width, height, placeholder } — dimensions as displayed (EXIF
+// rotation applied) and the placeholder as a webp data: URL of a few hundred bytes
+export const inspectImage = async (buffer) => {
+  try {
+    const metadata = await sharp(buffer).metadata();
+    // Orientations 5–8 are rotated a quarter turn, so width and height swap
+    const turned = metadata.orientation >= 5;
+
+    const preview = await sharp(buffer)
+      .rotate()
+      .resize(PLACEHOLDER_SIZE, PLACEHOLDER_SIZE, { fit: "inside" })
+      .webp({ quality: 40 })
+      .toBuffer();
+
+    return {
+      width: turned ? metadata.height : metadata.width,
+      height: turned ? metadata.width : metadata.height,
+      placeholder: `data:image/webp;base64,${preview.toString("base64")}`,
+    };
+  } catch (err) {
+    throw new ImageReadError(`Image could not be read: ${err.message}`);
+  }
+};
+
+const encode = {
+  jpeg: (image) => image.flatten({ background: "#ffffff" }).jpeg({ quality: 80, mozjpeg: true }),
+  webp: (image) => image.webp({ quality: 80 }),
+  avif: (image) => image.avif({ quality: 50, effort: 2 }),
+};
+
+// Renders every size in every format. Resolves [{ size, format, buffer }].
+export const renderImageVariants = async (buffer) => {
+  const source = sharp(buffer).rotate();
+  const variants = [];
+  // One at a time — a 1600px AVIF encode is heavy enough on its own
+  for (const [size, { width, height, fit }] of Object.entries(IMAGE_SIZES)) {
+    const resized = source.clone().resize(width, height, { fit, withoutEnlargement: fit === "inside" });
+    for (const format of IMAGE_FORMATS) {
+      variants.push({ size, format, buffer: await encode[format](resized.clone()).toBuffer() });
+    }
+  }
+  return variants;
+};
+
+// The sizes block the API returns for one stored image:
+//   { thumbnail: { width, height, jpeg, webp, avif }, card: {...}, full: {...} }
+// with one URL per format, built by the storage driver's variantUrl().
+export const describeImageSizes = (storage, id, width, height) =>
+  Object.fromEntries(
+    Object.keys(IMAGE_SIZES).map((size) => [
+      size,
+      {
+        ...sizeDimensions(size, width, height),
+        ...Object.fromEntries(IMAGE_FORMATS.map((format) => [format, storage.variantUrl(id, size, format)])),
+      },
+    ])
+  );
@@ -0,0 +1,57 @@
+// ============================================
+// LOGGING
+// ============================================
+//
+//  Every line is one JSON object on stdout, so log collectors can filter and
+//  search on any field:
+//
+//    {"time":"2024-05-01T12:00:00.000Z","level":"error","msg":"Create product failed",
+//     "requestId":"5f0c…","err":{"name":"Error","message":"…","stack":"…"}}
+//
+//    logger.info(msg, fields)  — also debug / warn / error; Error values in
+//                                fields are expanded to name, message, stack
+//    logger.child(fields)      — a logger that adds fields to every line (the
+//                                app gives each request one with its requestId)
+//
+//  LOG_LEVEL is the lowest level written: debug | info | warn | error |
+//  silent (default info).
+//
+// ============================================
+
+export const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: Infinity };
+
+// JSON.stringify turns an Error into {} — keep what helps track it down
+const serializeError = (err) => ({
+  name: err.name,
+  message: err.message,
+  ...(err.code !== undefined && { code: err.code }),
+  ...(err.status !== undefined && { status: err.status }),
+  stack: err.stack,
+});
+
+export const createLogger = ({ level = "info", fields = {}, write = (line) => process.stdout.write(`${line}\n`) } = {}) => {
+  const threshold = LOG_LEVELS[level] ?? LOG_LEVELS.info;
+
+  const at = (levelName) => (msg, extra = {}) => {
+    if (LOG_LEVELS[levelName] < threshold) return;
+
+    const entry = { time: new Date().toISOString(), level: levelName, msg, ...fields };
+    for (const [key, value] of Object.entries(extra)) {
+      entry[key] = value instanceof Error ? serializeError(value) : value;
+    }
+    write(JSON.stringify(entry));
+  };
+
+  return {
+    level,
+    debug: at("debug"),
+    info: at("info"),
+    warn: at("warn"),
+    error: at("error"),
+    child: (more) => createLogger({ level, fields: { ...fields, ...more }, write }),
+  };
+};
+
+export const getLogLevel = (env = process.env) => (env.LOG_LEVEL || "info").toLowerCase();
+
+export const createLoggerFromEnv = (env = process.env) => createLogger({ level: getLogLevel(env) });
@@ -0,0 +1,88 @@
+import fs from "fs/promises";
+import path from "path";
+import nodemailer from "nodemailer";
+
+// ============================================
+// MAIL DRIVERS
+// ============================================
+//
+//  Every driver exposes the same shape:
+//
+//    name                              — driver id, for logs
+//    send({ to, subject, text, html }) — resolves once the message is handed off
+//
+//  MAIL_DRIVER picks one (default "console"):
+//    smtp    — real delivery through SMTP_HOST / SMTP_PORT / SMTP_USER / SMTP_PASS
+//    console — prints each message to stdout, for local development
+//    file    — writes each message as JSON under MAIL_DIR, for tests
+//
+// ============================================
+
+const createSmtpMailer = (env) => {
+  const port = parseInt(env.SMTP_PORT) || 587;
+  const transport = nodemailer.createTransport({
+    host: env.SMTP_HOST,
+    port,
+    secure: port === 465,
+    auth: env.SMTP_USER ? { user: env.SMTP_USER, pass: env.SMTP_PASS } : undefined,
+  });
+  const from = env.MAIL_FROM || env.SMTP_USER;
+
+  return {
+    name: "smtp",
+
+    async send({ to, subject, text, html }) {
+      await transport.sendMail({ from, to, subject, text, html });
+    },
+  };
+};
+
+const createConsoleMailer = () => ({
+  name: "console",
+
+  async send({ to, subject, text }) {
+    console.log(`📧 Mail to ${to} — ${subject}\n${text}`);
+  },
+});
+
+const createFileMailer = (env) => {
+  const directory = path.resolve(env.MAIL_DIR || "tmp/mail");
+
+  return {
+    name: "file",
+    directory,
+
+    async send(message) {
+      await fs.mkdir(directory, { recursive: true });
+      const file = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}.json`;
+      await fs.writeFile(
+        path.join(directory, file),
+        JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2)
+      );
+    },
+  };
+};
+
+export const MAIL_DRIVERS = {
+  smtp: {
+    requiredEnv: ["SMTP_HOST", "MAIL_FROM"],
+    create: createSmtpMailer,
+  },
+  console: {
+    requiredEnv: [],
+    create: createConsoleMailer,
+  },
+  file: {
+    requiredEnv: [],
+    create: createFileMailer,
+  },
+};
+
+export const getMailDriverName = (env = process.env) =>
+  (env.MAIL_DRIVER || "console").toLowerCase();
+
+export const createMailerFromEnv = (env = process.env) => {
+  const driver = MAIL_DRIVERS[getMailDriverName(env)];
+  if (!driver) throw new Error(`Unknown MAIL_DRIVER: ${env.MAIL_DRIVER}`);
+  return driver.create(env);
+};
@@ -0,0 +1,134 @@
+// ============================================
+// METRICS
+// ============================================
+//
+//  A small Prometheus registry — counters, gauges and histograms rendered in
+//  the text exposition format (version 0.0.4) that Prometheus scrapes:
+//
+//    const metrics = createMetricsRegistry();
+//    const requests = metrics.counter({ name, help, labelNames });
+//    requests.inc({ method: "GET" });
+//    await metrics.render();   — the /metrics response body
+//
+//  Gauges can take a collect() callback that sets their values just before
+//  each render, for numbers that are cheaper to read than to track.
+//
+// ============================================
+
+export const METRICS_CONTENT_TYPE = "text/plain; version=0.0.4; charset=utf-8";
+
+export const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const escapeLabelValue = (value) =>
+  String(value).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"');
+
+const formatLabels = (labels) => {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabelValue(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(",")}}` : "";
+};
+
+const formatValue = (value) => {
+  if (value === Infinity) return "+Inf";
+  if (value === -Infinity) return "-Inf";
+  return String(value);
+};
+
+// Series are keyed by their label values in labelNames order; missing labels are ""
+const seriesFor = (series, labelNames, labels, create) => {
+  const values = labelNames.map((name) => String(labels[name] ?? ""));
+  const key = JSON.stringify(values);
+  if (!series.has(key)) {
+    series.set(key, { labels: Object.fromEntries(labelNames.map((name, i) => [name, values[i]])), ...create() });
+  }
+  return series.get(key);
+};
+
+const header = ({ name, help }, type) => [`# HELP ${name} ${help.replace(/\\/g, "\\\\").replace(/\n/g, "\\n")}`, `# TYPE ${name} ${type}`];
+
+const createCounter = ({ name, help, labelNames = [] }) => {
+  const series = new Map();
+  return {
+    inc(labels = {}, amount = 1) {
+      seriesFor(series, labelNames, labels, () => ({ value: 0 })).value += amount;
+    },
+    render: () => [
+      ...header({ name, help }, "counter"),
+      ...[...series.values()].map((s) => `${name}${formatLabels(s.labels)} ${formatValue(s.value)}`),
+    ],
+  };
+};
+
+const createGauge = ({ name, help, labelNames = [], collect }) => {
+  const series = new Map();
+  const gauge = {
+    set(labels = {}, value) {
+      seriesFor(series, labelNames, labels, () => ({ value: 0 })).value = value;
+    },
+    async render() {
+      if (collect) await collect(gauge);
+      return [
+        ...header({ name, help }, "gauge"),
+        ...[...series.values()].map((s) => `${name}${formatLabels(s.labels)} ${formatValue(s.value)}`),
+      ];
+    },
+  };
+  return gauge;
+};
+
+const createHistogram = ({ name, help, labelNames = [], buckets = DEFAULT_BUCKETS }) => {
+  const bounds = [...buckets].sort((a, b) => a - b);
+  const series = new Map();
+
+  const observe = (labels = {}, value) => {
+    const s = seriesFor(series, labelNames, labels, () => ({ counts: bounds.map(() => 0), sum: 0, count: 0 }));
+    bounds.forEach((bound, i) => {
+      if (value <= bound) s.counts[i] += 1;
+    });
+    s.sum += value;
+    s.count += 1;
+  };
+
+  return {
+    observe,
+
+    // Returns a function that records the seconds elapsed since this call;
+    // labels known only at the end (a status code, say) can be passed to it
+    startTimer(labels = {}) {
+      const start = process.hrtime.bigint();
+      return (moreLabels = {}) => {
+        const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+        observe({ ...labels, ...moreLabels }, seconds);
+        return seconds;
+      };
+    },
+
+    render: () => [
+      ...header({ name, help }, "histogram"),
+      ...[...series.values()].flatMap((s) => [
+        ...bounds.map((bound, i) => `${name}_bucket${formatLabels({ ...s.labels, le: formatValue(bound) })} ${s.counts[i]}`),
+        `${name}_bucket${formatLabels({ ...s.labels, le: "+Inf" })} ${s.count}`,
+        `${name}_sum${formatLabels(s.labels)} ${formatValue(s.sum)}`,
+        `${name}_count${formatLabels(s.labels)} ${s.count}`,
+      ]),
+    ],
+  };
+};
+
+export const createMetricsRegistry = () => {
+  const metrics = [];
+  const register = (metric) => {
+    metrics.push(metric);
+    return metric;
+  };
+
+  return {
+    counter: (options) => register(createCounter(options)),
+    gauge: (options) => register(createGauge(options)),
+    histogram: (options) => register(createHistogram(options)),
+
+    async render() {
+      const blocks = await Promise.all(metrics.map((metric) => metric.render()));
+      return `${blocks.flat().join("\n")}\n`;
+    },
+  };
+};
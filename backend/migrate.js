@@ -0,0 +1,227 @@
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath, pathToFileURL } from "url";
+import dotenv from "dotenv";
+import pkg from "pg";
+
+// ============================================
+// MIGRATIONS
+// ============================================
+//
+//  migrations/NNN_name.up.sql    — applies a schema change
+//  migrations/NNN_name.down.sql  — reverts it (needed for rollback)
+//
+//  Applied versions are tracked in schema_migrations. Every run holds a
+//  Postgres advisory lock, so two instances booting at once take turns
+//  instead of racing through the same files. Each migration runs in its
+//  own transaction together with its schema_migrations bookkeeping.
+//
+//  CLI (see package.json):
+//    npm run migrate            — apply all pending migrations
+//    npm run migrate:rollback   — revert the latest migration (-- <n> for more)
+//    npm run migrate:status     — list applied and pending migrations
+//
+// ============================================
+
+const MIGRATIONS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), "migrations");
+const FILE_PATTERN = /^(\d+)_([\w-]+)\.(up|down)\.sql$/;
+
+// Arbitrary but fixed — every instance must use the same key
+const MIGRATION_LOCK_KEY = 7700_2024;
+
+export const loadMigrations = async (dir = MIGRATIONS_DIR) => {
+  const byVersion = new Map();
+
+  for (const file of await fs.readdir(dir)) {
+    const match = FILE_PATTERN.exec(file);
+    if (!match) continue;
+
+    const [, version, name, direction] = match;
+    const migration = byVersion.get(version) || { version, name };
+    if (migration.name !== name) {
+      throw new Error(`Migration ${version} has mismatched names: ${migration.name} / ${name}`);
+    }
+    migration[direction] = path.join(dir, file);
+    byVersion.set(version, migration);
+  }
+
+  for (const migration of byVersion.values()) {
+    if (!migration.up) throw new Error(`Migration ${migration.version}_${migration.name} has no .up.sql`);
+  }
+
+  return [...byVersion.values()].sort((a, b) => Number(a.version) - Number(b.version));
+};
+
+const ensureMigrationsTable = (client) =>
+  client.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version TEXT PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at TIMESTAMP NOT NULL DEFAULT NOW()
+    )
+  `);
+
+const getAppliedVersions = async (client) => {
+  const result = await client.query("SELECT version FROM schema_migrations ORDER BY version");
+  return new Set(result.rows.map((row) => row.version));
+};
+
+// Checks out one client, takes the advisory lock on it and runs fn(client)
+const withMigrationLock = async (pool, fn) => {
+  const client = await pool.connect();
+  try {
+    await client.query("SELECT pg_advisory_lock($1)", [MIGRATION_LOCK_KEY]);
+    try {
+      await ensureMigrationsTable(client);
+      return await fn(client);
+    } finally {
+      await client.query("SELECT pg_advisory_unlock($1)", [MIGRATION_LOCK_KEY]);
+    }
+  } finally {
+    client.release();
+  }
+};
+
+const runInTransaction = async (client, sql, bookkeeping) => {
+  await client.query("BEGIN");
+  try {
+    await client.query(sql);
+    await bookkeeping();
+    await client.query("COMMIT");
+  } catch (err) {
+    await client.query("ROLLBACK").catch(() => {});
+    throw err;
+  }
+};
+
+export const migrateUp = async (pool, { log = console.log } = {}) => {
+  const migrations = await loadMigrations();
+
+  return withMigrationLock(pool, async (client) => {
+    const applied = await getAppliedVersions(client);
+    const pending = migrations.filter((m) => !applied.has(m.version));
+
+    for (const migration of pending) {
+      const sql = await fs.readFile(migration.up, "utf8");
+      try {
+        await runInTransaction(client, sql, () =>
+          client.query(
+            "INSERT INTO schema_migrations (version, name) VALUES ($1, $2)",
+            [migration.version, migration.name]
+          )
+        );
+      } catch (err) {
+        err.message = `Migration ${migration.version}_${migration.name} failed: ${err.message}`;
+        throw err;
+      }
+      log(`✅ Applied migration ${migration.version}_${migration.name}`);
+    }
+
+    return pending.map((m) => `${m.version}_${m.name}`);
+  });
+};
+
+export const migrateDown = async (pool, { steps = 1, log = console.log } = {}) => {
+  const migrations = await loadMigrations();
+  const byVersion = new Map(migrations.map((m) => [m.version, m]));
+
+  return withMigrationLock(pool, async (client) => {
+    const result = await client.query(
+      "SELECT version, name FROM schema_migrations ORDER BY version::BIGINT DESC LIMIT $1",
+      [steps]
+    );
+
+    const reverted = [];
+    for (const { version, name } of result.rows) {
+      const migration = byVersion.get(version);
+      if (!migration?.down) {
+        throw new Error(`Cannot roll back ${version}_${name}: no .down.sql file`);
+      }
+
+      const sql = await fs.readFile(migration.down, "utf8");
+      try {
+        await runInTransaction(client, sql, () =>
+          client.query("DELETE FROM schema_migrations WHERE version = $1", [version])
+        );
+      } catch (err) {
+        err.message = `Rollback of ${version}_${name} failed: ${err.message}`;
+        throw err;
+      }
+      log(`↩️  Rolled back migration ${version}_${name}`);
+      reverted.push(`${version}_${name}`);
+    }
+
+    return reverted;
+  });
+};
+
+export const migrationStatus = async (pool) => {
+  const migrations = await loadMigrations();
+
+  return withMigrationLock(pool, async (client) => {
+    const result = await client.query("SELECT version, name, applied_at FROM schema_migrations");
+    const applied = new Map(result.rows.map((row) => [row.version, row]));
+    const known = new Set(migrations.map((m) => m.version));
+
+    return [
+      ...migrations.map((m) => ({
+        version: m.version,
+        name: m.name,
+        appliedAt: applied.get(m.version)?.applied_at || null,
+      })),
+      // Applied in the database but the file is gone — worth flagging
+      ...result.rows
+        .filter((row) => !known.has(row.version))
+        .map((row) => ({ version: row.version, name: row.name, appliedAt: row.applied_at, missing: true })),
+    ];
+  });
+};
+
+// ============================================
+// CLI
+// ============================================
+
+const runCli = async () => {
+  dotenv.config();
+
+  if (!process.env.DATABASE_URL) {
+    console.error("❌ Missing required environment variable: DATABASE_URL");
+    process.exit(1);
+  }
+
+  const pool = new pkg.Pool({
+    connectionString: process.env.DATABASE_URL,
+    ssl: process.env.DATABASE_SSL === "false" ? false : { rejectUnauthorized: true },
+    max: 1,
+  });
+
+  const [command = "up", arg] = process.argv.slice(2);
+
+  try {
+    if (command === "up") {
+      const applied = await migrateUp(pool);
+      if (applied.length === 0) console.log("✅ Database is up to date");
+    } else if (command === "down") {
+      const steps = arg === undefined ? 1 : parseInt(arg);
+      if (isNaN(steps) || steps < 1) throw new Error("Rollback steps must be a positive integer");
+      const reverted = await migrateDown(pool, { steps });
+      if (reverted.length === 0) console.log("Nothing to roll back");
+    } else if (command === "status") {
+      for (const m of await migrationStatus(pool)) {
+        const state = m.missing ? "MISSING FILE" : m.appliedAt ? `applied ${m.appliedAt.toISOString()}` : "pending";
+        console.log(`${m.version}_${m.name}`.padEnd(45), state);
+      }
+    } else {
+      throw new Error(`Unknown command "${command}" — use up, down [steps] or status`);
+    }
+  } catch (err) {
+    console.error("❌", err.message);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+};
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  await runCli();
+}
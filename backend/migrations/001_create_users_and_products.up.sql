@@ -0,0 +1,31 @@
+-- Baseline schema. IF NOT EXISTS so databases created by the old boot-time
+-- initTables() adopt this migration without errors.
+
+CREATE TABLE IF NOT EXISTS users (
+  id SERIAL PRIMARY KEY,
+  email TEXT UNIQUE NOT NULL,
+  full_name TEXT,
+  password_hash TEXT NOT NULL,
+  role TEXT DEFAULT 'customer' CHECK (role IN ('customer', 'admin')),
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW()
+);
+
+-- cloudinary_id holds whichever storage driver's image id — the name predates STORAGE_DRIVER
+CREATE TABLE IF NOT EXISTS products (
+  id SERIAL PRIMARY KEY,
+  product_name TEXT NOT NULL,
+  category TEXT DEFAULT 'Uncategorized',
+  brand TEXT DEFAULT 'Unknown',
+  price NUMERIC(12,2) DEFAULT 0 CHECK (price >= 0),
+  stock INT DEFAULT 0 CHECK (stock >= 0),
+  sku TEXT,
+  product_class TEXT DEFAULT 'Standard',
+  sizes TEXT DEFAULT 'N/A',
+  colors TEXT DEFAULT 'N/A',
+  description TEXT DEFAULT 'No description',
+  image_url TEXT NOT NULL,
+  cloudinary_id TEXT NOT NULL,
+  created_by INT REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT NOW()
+);
@@ -0,0 +1,9 @@
+-- Expression index backing ?q= on the listing route. The expression must
+-- match PRODUCT_SEARCH_VECTOR in server.js or the planner won't use it.
+CREATE INDEX IF NOT EXISTS products_search_idx ON products USING GIN ((
+  setweight(to_tsvector('english', coalesce(product_name, '')), 'A') ||
+  setweight(to_tsvector('english', coalesce(brand, '')), 'B') ||
+  setweight(to_tsvector('english', coalesce(description, '')), 'C')
+));
+
+CREATE INDEX IF NOT EXISTS products_created_at_idx ON products (created_at DESC);
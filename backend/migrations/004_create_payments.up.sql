@@ -0,0 +1,13 @@
+CREATE TABLE IF NOT EXISTS payments (
+  id SERIAL PRIMARY KEY,
+  order_id INT NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+  provider TEXT NOT NULL,
+  reference TEXT UNIQUE NOT NULL,
+  amount NUMERIC(12,2) NOT NULL CHECK (amount >= 0),
+  currency TEXT NOT NULL DEFAULT 'NGN',
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'success', 'failed')),
+  created_at TIMESTAMP DEFAULT NOW(),
+  paid_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS payments_order_id_idx ON payments (order_id);
@@ -0,0 +1,12 @@
+ALTER TABLE order_items
+  DROP COLUMN IF EXISTS sku,
+  DROP COLUMN IF EXISTS variant_label,
+  DROP COLUMN IF EXISTS variant_id;
+
+-- Variant lines can't survive without variants; the old one-line-per-product rule comes back
+DELETE FROM cart_items WHERE variant_id IS NOT NULL;
+DROP INDEX IF EXISTS cart_items_line_idx;
+ALTER TABLE cart_items DROP COLUMN IF EXISTS variant_id;
+ALTER TABLE cart_items ADD CONSTRAINT cart_items_cart_id_product_id_key UNIQUE (cart_id, product_id);
+
+DROP TABLE IF EXISTS product_variants;
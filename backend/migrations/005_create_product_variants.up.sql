@@ -0,0 +1,88 @@
+-- price is an optional override — NULL means "use the product price"
+CREATE TABLE IF NOT EXISTS product_variants (
+  id SERIAL PRIMARY KEY,
+  product_id INT NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+  size TEXT,
+  color TEXT,
+  sku TEXT UNIQUE NOT NULL,
+  price NUMERIC(12,2) CHECK (price >= 0),
+  stock INT NOT NULL DEFAULT 0 CHECK (stock >= 0),
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS product_variants_options_idx
+  ON product_variants (product_id, LOWER(COALESCE(size, '')), LOWER(COALESCE(color, '')));
+
+-- Convert the old comma-separated sizes/colors columns into one variant per
+-- size × color combination (options deduplicated case-insensitively). The
+-- product's whole stock goes on its first variant so the total is preserved —
+-- admins redistribute it afterwards. Products that already have variants are left alone.
+-- Options that differ only in punctuation ("M" and "m.") would get the same
+-- SKU, so those get their position appended rather than being dropped.
+WITH legacy AS (
+  SELECT p.id, COALESCE(p.sku, 'SKU') || '-' || p.id AS base_sku, p.stock, p.sizes, p.colors
+  FROM products p
+  WHERE (COALESCE(p.sizes, 'N/A') <> 'N/A' OR COALESCE(p.colors, 'N/A') <> 'N/A')
+    AND NOT EXISTS (SELECT 1 FROM product_variants v WHERE v.product_id = p.id)
+),
+size_options AS (
+  SELECT DISTINCT ON (l.id, LOWER(TRIM(o.value))) l.id, TRIM(o.value) AS value, o.ord
+  FROM legacy l, regexp_split_to_table(COALESCE(l.sizes, ''), ',') WITH ORDINALITY AS o(value, ord)
+  WHERE TRIM(o.value) <> '' AND UPPER(TRIM(o.value)) <> 'N/A'
+  ORDER BY l.id, LOWER(TRIM(o.value)), o.ord
+),
+color_options AS (
+  SELECT DISTINCT ON (l.id, LOWER(TRIM(o.value))) l.id, TRIM(o.value) AS value, o.ord
+  FROM legacy l, regexp_split_to_table(COALESCE(l.colors, ''), ',') WITH ORDINALITY AS o(value, ord)
+  WHERE TRIM(o.value) <> '' AND UPPER(TRIM(o.value)) <> 'N/A'
+  ORDER BY l.id, LOWER(TRIM(o.value)), o.ord
+),
+-- A product with no sizes (or no colors) still gets one NULL option on that axis
+sizes AS (
+  SELECT id, value, ord FROM size_options
+  UNION ALL
+  SELECT l.id, NULL, 1 FROM legacy l WHERE NOT EXISTS (SELECT 1 FROM size_options s WHERE s.id = l.id)
+),
+colors AS (
+  SELECT id, value, ord FROM color_options
+  UNION ALL
+  SELECT l.id, NULL, 1 FROM legacy l WHERE NOT EXISTS (SELECT 1 FROM color_options c WHERE c.id = l.id)
+),
+combos AS (
+  SELECT l.id, l.base_sku, l.stock, s.value AS size, c.value AS color,
+         ROW_NUMBER() OVER (PARTITION BY l.id ORDER BY s.ord, c.ord) AS n
+  FROM legacy l
+  JOIN sizes s ON s.id = l.id
+  JOIN colors c ON c.id = l.id
+),
+skus AS (
+  SELECT id, stock, size, color, n,
+         CONCAT_WS('-', base_sku,
+           NULLIF(REGEXP_REPLACE(UPPER(COALESCE(size, '')), '[^A-Z0-9]+', '', 'g'), ''),
+           NULLIF(REGEXP_REPLACE(UPPER(COALESCE(color, '')), '[^A-Z0-9]+', '', 'g'), '')) AS sku
+  FROM combos
+)
+INSERT INTO product_variants (product_id, size, color, sku, stock)
+SELECT id, size, color,
+       CASE WHEN COUNT(*) OVER (PARTITION BY id, sku) > 1 THEN sku || '-' || n ELSE sku END,
+       CASE WHEN n = 1 THEN stock ELSE 0 END
+FROM skus;
+
+-- A product with variants stocks exactly what they add up to
+UPDATE products p
+SET stock = v.total
+FROM (SELECT product_id, SUM(stock)::INT AS total FROM product_variants GROUP BY product_id) v
+WHERE p.id = v.product_id AND p.stock <> v.total;
+
+-- A cart line is a product + (optional) variant, not just a product
+ALTER TABLE cart_items
+  ADD COLUMN IF NOT EXISTS variant_id INT REFERENCES product_variants(id) ON DELETE CASCADE;
+ALTER TABLE cart_items DROP CONSTRAINT IF EXISTS cart_items_cart_id_product_id_key;
+CREATE UNIQUE INDEX IF NOT EXISTS cart_items_line_idx
+  ON cart_items (cart_id, product_id, COALESCE(variant_id, 0));
+
+ALTER TABLE order_items
+  ADD COLUMN IF NOT EXISTS variant_id INT REFERENCES product_variants(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS variant_label TEXT,
+  ADD COLUMN IF NOT EXISTS sku TEXT;
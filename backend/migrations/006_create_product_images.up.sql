@@ -0,0 +1,21 @@
+-- products.image_url / cloudinary_id stay as a copy of the primary image
+-- so listings and older clients don't need a join
+CREATE TABLE IF NOT EXISTS product_images (
+  id SERIAL PRIMARY KEY,
+  product_id INT NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+  image_url TEXT NOT NULL,
+  cloudinary_id TEXT NOT NULL,
+  position INT NOT NULL DEFAULT 0,
+  is_primary BOOLEAN NOT NULL DEFAULT FALSE,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS product_images_primary_idx
+  ON product_images (product_id) WHERE is_primary;
+CREATE INDEX IF NOT EXISTS product_images_product_idx ON product_images (product_id, position);
+
+-- A product's existing single image becomes its primary gallery image
+INSERT INTO product_images (product_id, image_url, cloudinary_id, position, is_primary)
+SELECT p.id, p.image_url, p.cloudinary_id, 0, TRUE
+FROM products p
+WHERE NOT EXISTS (SELECT 1 FROM product_images i WHERE i.product_id = p.id);
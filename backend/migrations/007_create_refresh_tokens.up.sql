@@ -0,0 +1,21 @@
+-- Bumped on "log out all devices" and role changes; access tokens carry the
+-- version they were issued under and stop working once it moves on
+ALTER TABLE users ADD COLUMN IF NOT EXISTS token_version INT NOT NULL DEFAULT 0;
+
+-- Only a SHA-256 of each refresh token is stored. Every rotation stays in the
+-- same family, so a reused (already rotated) token can revoke the whole chain.
+CREATE TABLE IF NOT EXISTS refresh_tokens (
+  id SERIAL PRIMARY KEY,
+  user_id INT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  token_hash TEXT UNIQUE NOT NULL,
+  family_id UUID NOT NULL,
+  expires_at TIMESTAMP NOT NULL,
+  revoked_at TIMESTAMP,
+  replaced_by INT REFERENCES refresh_tokens(id) ON DELETE SET NULL,
+  user_agent TEXT,
+  ip TEXT,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS refresh_tokens_user_idx ON refresh_tokens (user_id);
+CREATE INDEX IF NOT EXISTS refresh_tokens_family_idx ON refresh_tokens (family_id);
@@ -0,0 +1,20 @@
+-- Append-only stock ledger. quantity_delta is signed; stock_after is the
+-- level of whatever was adjusted (the variant when variant_id is set,
+-- otherwise the product) right after this movement.
+CREATE TABLE IF NOT EXISTS inventory_movements (
+  id SERIAL PRIMARY KEY,
+  product_id INT NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+  variant_id INT REFERENCES product_variants(id) ON DELETE SET NULL,
+  movement_type TEXT NOT NULL CHECK (movement_type IN ('restock', 'sale', 'return', 'correction')),
+  quantity_delta INT NOT NULL CHECK (quantity_delta <> 0),
+  stock_after INT NOT NULL CHECK (stock_after >= 0),
+  reason TEXT,
+  actor_id INT REFERENCES users(id) ON DELETE SET NULL,
+  order_id INT REFERENCES orders(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS inventory_movements_product_idx ON inventory_movements (product_id, created_at DESC);
+
+-- Per-product reorder point; NULL falls back to LOW_STOCK_THRESHOLD
+ALTER TABLE products ADD COLUMN IF NOT EXISTS low_stock_threshold INT CHECK (low_stock_threshold >= 0);
@@ -0,0 +1,7 @@
+-- The text columns already hold the (deduplicated) names, so nothing is lost
+ALTER TABLE products
+  DROP COLUMN IF EXISTS category_id,
+  DROP COLUMN IF EXISTS brand_id;
+
+DROP TABLE IF EXISTS brands;
+DROP TABLE IF EXISTS categories;
@@ -0,0 +1,74 @@
+-- Categories nest through parent_id; names only have to be unique among
+-- siblings (Men > Shoes and Women > Shoes can both exist), slugs everywhere.
+CREATE TABLE IF NOT EXISTS categories (
+  id SERIAL PRIMARY KEY,
+  name TEXT NOT NULL CHECK (BTRIM(name) <> ''),
+  slug TEXT NOT NULL UNIQUE,
+  parent_id INT REFERENCES categories(id) ON DELETE RESTRICT,
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS categories_sibling_name_idx
+  ON categories ((COALESCE(parent_id, 0)), (LOWER(name)));
+CREATE INDEX IF NOT EXISTS categories_parent_idx ON categories (parent_id);
+
+CREATE TABLE IF NOT EXISTS brands (
+  id SERIAL PRIMARY KEY,
+  name TEXT NOT NULL CHECK (BTRIM(name) <> ''),
+  slug TEXT NOT NULL UNIQUE,
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS brands_name_idx ON brands (LOWER(name));
+
+-- products.category / brand stay as a copy of the referenced name, the same
+-- way image_url mirrors the primary image, so search and older clients keep
+-- working. NULL means none; the text then holds the old placeholder.
+ALTER TABLE products
+  ADD COLUMN IF NOT EXISTS category_id INT REFERENCES categories(id) ON DELETE RESTRICT,
+  ADD COLUMN IF NOT EXISTS brand_id INT REFERENCES brands(id) ON DELETE RESTRICT;
+
+CREATE INDEX IF NOT EXISTS products_category_id_idx ON products (category_id);
+CREATE INDEX IF NOT EXISTS products_brand_id_idx ON products (brand_id);
+
+-- Backfill: one row per case-insensitive value, spelled the way most
+-- products spell it. The 'Uncategorized' / 'Unknown' defaults mean "none".
+WITH spellings AS (
+  SELECT mode() WITHIN GROUP (ORDER BY BTRIM(category)) AS name
+  FROM products
+  WHERE BTRIM(COALESCE(category, '')) <> '' AND LOWER(BTRIM(category)) <> 'uncategorized'
+  GROUP BY LOWER(BTRIM(category))
+), slugged AS (
+  SELECT name,
+         COALESCE(NULLIF(BTRIM(REGEXP_REPLACE(LOWER(name), '[^a-z0-9]+', '-', 'g'), '-'), ''), 'category') AS base
+  FROM spellings
+)
+INSERT INTO categories (name, slug)
+SELECT name, CASE WHEN rn = 1 THEN base ELSE base || '-' || rn END
+FROM (SELECT name, base, ROW_NUMBER() OVER (PARTITION BY base ORDER BY name) AS rn FROM slugged) numbered
+ON CONFLICT DO NOTHING;
+
+WITH spellings AS (
+  SELECT mode() WITHIN GROUP (ORDER BY BTRIM(brand)) AS name
+  FROM products
+  WHERE BTRIM(COALESCE(brand, '')) <> '' AND LOWER(BTRIM(brand)) <> 'unknown'
+  GROUP BY LOWER(BTRIM(brand))
+), slugged AS (
+  SELECT name,
+         COALESCE(NULLIF(BTRIM(REGEXP_REPLACE(LOWER(name), '[^a-z0-9]+', '-', 'g'), '-'), ''), 'brand') AS base
+  FROM spellings
+)
+INSERT INTO brands (name, slug)
+SELECT name, CASE WHEN rn = 1 THEN base ELSE base || '-' || rn END
+FROM (SELECT name, base, ROW_NUMBER() OVER (PARTITION BY base ORDER BY name) AS rn FROM slugged) numbered
+ON CONFLICT DO NOTHING;
+
+UPDATE products p SET category_id = c.id, category = c.name
+FROM categories c
+WHERE c.parent_id IS NULL AND LOWER(c.name) = LOWER(BTRIM(p.category));
+
+UPDATE products p SET brand_id = b.id, brand = b.name
+FROM brands b
+WHERE LOWER(b.name) = LOWER(BTRIM(p.brand));
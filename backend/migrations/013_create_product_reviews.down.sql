@@ -0,0 +1,4 @@
+DROP INDEX IF EXISTS products_rating_idx;
+ALTER TABLE products DROP COLUMN IF EXISTS rating_count;
+ALTER TABLE products DROP COLUMN IF EXISTS rating_average;
+DROP TABLE IF EXISTS product_reviews;
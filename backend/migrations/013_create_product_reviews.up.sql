@@ -0,0 +1,27 @@
+-- One review per customer per product. Only approved reviews are public and
+-- count towards the rating; admins can hide a review and approve it again.
+CREATE TABLE IF NOT EXISTS product_reviews (
+  id SERIAL PRIMARY KEY,
+  product_id INT NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+  user_id INT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  rating SMALLINT NOT NULL CHECK (rating BETWEEN 1 AND 5),
+  title TEXT,
+  body TEXT,
+  status TEXT NOT NULL DEFAULT 'approved' CHECK (status IN ('approved', 'hidden')),
+  verified_purchase BOOLEAN NOT NULL DEFAULT FALSE,
+  moderated_by INT REFERENCES users(id) ON DELETE SET NULL,
+  moderated_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW(),
+  UNIQUE (product_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS product_reviews_product_idx ON product_reviews (product_id, status, created_at DESC);
+CREATE INDEX IF NOT EXISTS product_reviews_status_idx ON product_reviews (status, created_at DESC);
+
+-- Aggregates over approved reviews, kept in step by the app (like stock for
+-- products with variants) so listings can show and sort by them cheaply
+ALTER TABLE products ADD COLUMN IF NOT EXISTS rating_average NUMERIC(3,2);
+ALTER TABLE products ADD COLUMN IF NOT EXISTS rating_count INT NOT NULL DEFAULT 0;
+
+CREATE INDEX IF NOT EXISTS products_rating_idx ON products (rating_average DESC NULLS LAST, rating_count DESC);
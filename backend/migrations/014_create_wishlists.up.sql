@@ -0,0 +1,24 @@
+-- notify_when_in_stock can only be set while the product is out of stock.
+-- The first restock turns it into a stock_notifications row and clears it.
+CREATE TABLE IF NOT EXISTS wishlist_items (
+  id SERIAL PRIMARY KEY,
+  user_id INT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  product_id INT NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+  notify_when_in_stock BOOLEAN NOT NULL DEFAULT FALSE,
+  added_at TIMESTAMP DEFAULT NOW(),
+  UNIQUE (user_id, product_id)
+);
+
+CREATE INDEX IF NOT EXISTS wishlist_items_notify_idx ON wishlist_items (product_id) WHERE notify_when_in_stock;
+
+-- stock is the level the product came back at
+CREATE TABLE IF NOT EXISTS stock_notifications (
+  id SERIAL PRIMARY KEY,
+  user_id INT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  product_id INT NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+  stock INT NOT NULL,
+  read_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS stock_notifications_user_idx ON stock_notifications (user_id, created_at DESC);
@@ -0,0 +1,63 @@
+-- Scheduled sale price: applies while NOW() is inside the (optional) window.
+-- A sale with no window runs until sale_price is cleared.
+ALTER TABLE products ADD COLUMN IF NOT EXISTS sale_price NUMERIC(12,2) CHECK (sale_price >= 0);
+ALTER TABLE products ADD COLUMN IF NOT EXISTS sale_starts_at TIMESTAMP;
+ALTER TABLE products ADD COLUMN IF NOT EXISTS sale_ends_at TIMESTAMP;
+ALTER TABLE products ADD CONSTRAINT products_sale_window_check
+  CHECK (sale_starts_at IS NULL OR sale_ends_at IS NULL OR sale_ends_at > sale_starts_at);
+
+-- Coupons. Codes are matched case-insensitively. A coupon with no product or
+-- category targets applies to the whole order; otherwise only to the lines
+-- whose product is targeted or filed under a targeted category (or below it).
+CREATE TABLE IF NOT EXISTS promotions (
+  id SERIAL PRIMARY KEY,
+  code TEXT NOT NULL,
+  description TEXT,
+  discount_type TEXT NOT NULL CHECK (discount_type IN ('percentage', 'fixed')),
+  discount_value NUMERIC(12,2) NOT NULL CHECK (discount_value > 0),
+  min_order_amount NUMERIC(12,2) NOT NULL DEFAULT 0 CHECK (min_order_amount >= 0),
+  max_uses INT CHECK (max_uses > 0),
+  max_uses_per_user INT CHECK (max_uses_per_user > 0),
+  starts_at TIMESTAMP,
+  ends_at TIMESTAMP,
+  is_active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_by INT REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW(),
+  CHECK (discount_type <> 'percentage' OR discount_value <= 100),
+  CHECK (starts_at IS NULL OR ends_at IS NULL OR ends_at > starts_at)
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS promotions_code_idx ON promotions (UPPER(code));
+
+CREATE TABLE IF NOT EXISTS promotion_products (
+  promotion_id INT NOT NULL REFERENCES promotions(id) ON DELETE CASCADE,
+  product_id INT NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+  PRIMARY KEY (promotion_id, product_id)
+);
+
+CREATE TABLE IF NOT EXISTS promotion_categories (
+  promotion_id INT NOT NULL REFERENCES promotions(id) ON DELETE CASCADE,
+  category_id INT NOT NULL REFERENCES categories(id) ON DELETE CASCADE,
+  PRIMARY KEY (promotion_id, category_id)
+);
+
+-- One row per order that used a coupon. Redemptions of cancelled orders stay
+-- for the record but no longer count towards the usage limits.
+CREATE TABLE IF NOT EXISTS promotion_redemptions (
+  id SERIAL PRIMARY KEY,
+  promotion_id INT NOT NULL REFERENCES promotions(id) ON DELETE RESTRICT,
+  order_id INT UNIQUE NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+  user_id INT REFERENCES users(id) ON DELETE SET NULL,
+  discount_amount NUMERIC(12,2) NOT NULL CHECK (discount_amount >= 0),
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS promotion_redemptions_promotion_idx ON promotion_redemptions (promotion_id, user_id);
+
+-- total_amount = subtotal_amount - discount_amount; older orders had no discounts
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS subtotal_amount NUMERIC(12,2);
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS discount_amount NUMERIC(12,2) NOT NULL DEFAULT 0;
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS coupon_code TEXT;
+UPDATE orders SET subtotal_amount = total_amount WHERE subtotal_amount IS NULL;
+ALTER TABLE orders ALTER COLUMN subtotal_amount SET NOT NULL;
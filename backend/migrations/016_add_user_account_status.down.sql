@@ -0,0 +1,5 @@
+DROP INDEX IF EXISTS users_created_at_idx;
+
+ALTER TABLE users DROP COLUMN IF EXISTS deleted_at;
+ALTER TABLE users DROP COLUMN IF EXISTS disabled_by;
+ALTER TABLE users DROP COLUMN IF EXISTS disabled_at;
@@ -0,0 +1,8 @@
+-- A disabled account can't log in and its sessions are revoked; an admin can
+-- enable it again. A deleted account keeps its row (orders and reviews point
+-- at it) but its personal data is anonymized and it can never log in again.
+ALTER TABLE users ADD COLUMN IF NOT EXISTS disabled_at TIMESTAMP;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS disabled_by INT REFERENCES users(id) ON DELETE SET NULL;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP;
+
+CREATE INDEX IF NOT EXISTS users_created_at_idx ON users (created_at DESC);
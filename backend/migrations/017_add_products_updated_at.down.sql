@@ -0,0 +1,8 @@
+DROP TRIGGER IF EXISTS product_variants_touch_product ON product_variants;
+DROP TRIGGER IF EXISTS product_images_touch_product ON product_images;
+DROP FUNCTION IF EXISTS product_child_touch_product();
+
+DROP TRIGGER IF EXISTS products_touch_updated_at ON products;
+DROP FUNCTION IF EXISTS products_touch_updated_at();
+
+ALTER TABLE products DROP COLUMN IF EXISTS updated_at;
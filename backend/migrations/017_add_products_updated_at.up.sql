@@ -0,0 +1,37 @@
+-- When a product's storefront representation last changed. Drives the
+-- Last-Modified header on the public product routes.
+ALTER TABLE products ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP;
+UPDATE products SET updated_at = COALESCE(created_at, NOW()) WHERE updated_at IS NULL;
+ALTER TABLE products ALTER COLUMN updated_at SET DEFAULT NOW();
+ALTER TABLE products ALTER COLUMN updated_at SET NOT NULL;
+
+-- Kept by triggers rather than by every UPDATE: stock, ratings, sale prices,
+-- images and variants all change products from many places
+CREATE OR REPLACE FUNCTION products_touch_updated_at() RETURNS TRIGGER AS $$
+BEGIN
+  NEW.updated_at := NOW();
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER products_touch_updated_at
+  BEFORE UPDATE ON products
+  FOR EACH ROW EXECUTE FUNCTION products_touch_updated_at();
+
+-- Images and variants are part of the product page, so changing one counts
+-- as changing the product
+CREATE OR REPLACE FUNCTION product_child_touch_product() RETURNS TRIGGER AS $$
+BEGIN
+  UPDATE products SET updated_at = NOW()
+  WHERE id = CASE WHEN TG_OP = 'DELETE' THEN OLD.product_id ELSE NEW.product_id END;
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER product_images_touch_product
+  AFTER INSERT OR UPDATE OR DELETE ON product_images
+  FOR EACH ROW EXECUTE FUNCTION product_child_touch_product();
+
+CREATE TRIGGER product_variants_touch_product
+  AFTER INSERT OR UPDATE OR DELETE ON product_variants
+  FOR EACH ROW EXECUTE FUNCTION product_child_touch_product();
@@ -0,0 +1,3 @@
+ALTER TABLE product_images DROP COLUMN IF EXISTS placeholder;
+ALTER TABLE product_images DROP COLUMN IF EXISTS height;
+ALTER TABLE product_images DROP COLUMN IF EXISTS width;
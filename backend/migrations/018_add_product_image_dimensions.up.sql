@@ -0,0 +1,6 @@
+-- Captured when the image is uploaded so pages can reserve its space and show
+-- a blurred placeholder (a tiny webp data: URL) until it loads. NULL for
+-- images stored before this — local storage never rendered their sizes either.
+ALTER TABLE product_images ADD COLUMN IF NOT EXISTS width INT;
+ALTER TABLE product_images ADD COLUMN IF NOT EXISTS height INT;
+ALTER TABLE product_images ADD COLUMN IF NOT EXISTS placeholder TEXT;
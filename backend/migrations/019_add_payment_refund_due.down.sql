@@ -0,0 +1,9 @@
+DROP INDEX IF EXISTS payments_status_idx;
+ALTER TABLE payments DROP COLUMN IF EXISTS access_code;
+ALTER TABLE payments DROP COLUMN IF EXISTS authorization_url;
+
+-- Nothing left to refund can be told apart from a payment that went through
+UPDATE payments SET status = 'success' WHERE status = 'refund_due';
+ALTER TABLE payments DROP CONSTRAINT IF EXISTS payments_status_check;
+ALTER TABLE payments ADD CONSTRAINT payments_status_check
+  CHECK (status IN ('pending', 'success', 'failed'));
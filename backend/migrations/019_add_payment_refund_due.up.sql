@@ -0,0 +1,14 @@
+-- refund_due: the gateway took the money but the order was no longer waiting
+-- for it (expired and cancelled, or already paid under another reference).
+-- Someone has to refund it by hand; admins find these rows through
+-- /api/admin/payments?status=refund_due.
+ALTER TABLE payments DROP CONSTRAINT IF EXISTS payments_status_check;
+ALTER TABLE payments ADD CONSTRAINT payments_status_check
+  CHECK (status IN ('pending', 'success', 'failed', 'refund_due'));
+
+-- Kept so asking to pay again hands back the checkout already started rather
+-- than opening a second one that could be paid as well
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS authorization_url TEXT;
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS access_code TEXT;
+
+CREATE INDEX IF NOT EXISTS payments_status_idx ON payments (status);
@@ -0,0 +1,136 @@
+import crypto from "crypto";
+
+// ============================================
+// PAYMENT PROVIDERS
+// ============================================
+//
+//  Every provider client exposes the same shape so app.js never talks
+//  to a gateway SDK directly:
+//
+//    name                                        — provider id stored on payments rows
+//    initializeTransaction({ email, amount, reference, callbackUrl, metadata })
+//                                                — amount in naira; resolves { authorizationUrl, accessCode, reference }
+//    verifyTransaction(reference)                — resolves { reference, status, amount, paidAt }
+//    verifyWebhookSignature(rawBody, headers)    — true if the webhook really came from the provider
+//    parseWebhookEvent(rawBody)                  — resolves { type, reference, amount, status } or null
+//
+//  baseUrl and fetchImpl are injectable so tests can point a client at a
+//  local fake server instead of the real gateway.
+//
+// ============================================
+
+export class PaymentProviderError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = "PaymentProviderError";
+    this.status = status;
+  }
+}
+
+// Paystack works in kobo; we store naira everywhere else
+const toKobo = (naira) => Math.round(Number(naira) * 100);
+const fromKobo = (kobo) => Number((Number(kobo) / 100).toFixed(2));
+
+const safeEqual = (a, b) => {
+  const bufA = Buffer.from(a || "", "utf8");
+  const bufB = Buffer.from(b || "", "utf8");
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+};
+
+export const createPaystackClient = ({
+  secretKey,
+  baseUrl = "https://api.paystack.co",
+  fetchImpl = fetch,
+}) => {
+  if (!secretKey) throw new Error("Paystack client requires a secretKey");
+
+  const request = async (method, path, body) => {
+    const res = await fetchImpl(`${baseUrl}${path}`, {
+      method,
+      headers: {
+        Authorization: `Bearer ${secretKey}`,
+        "Content-Type": "application/json",
+      },
+      body: body ? JSON.stringify(body) : undefined,
+    });
+
+    const data = await res.json().catch(() => null);
+    if (!res.ok || !data?.status) {
+      throw new PaymentProviderError(data?.message || `Paystack request failed (${res.status})`, res.status);
+    }
+    return data.data;
+  };
+
+  return {
+    name: "paystack",
+
+    async initializeTransaction({ email, amount, reference, callbackUrl, metadata }) {
+      const data = await request("POST", "/transaction/initialize", {
+        email,
+        amount: toKobo(amount),
+        currency: "NGN",
+        reference,
+        callback_url: callbackUrl,
+        metadata,
+      });
+      return {
+        authorizationUrl: data.authorization_url,
+        accessCode: data.access_code,
+        reference: data.reference,
+      };
+    },
+
+    async verifyTransaction(reference) {
+      const data = await request("GET", `/transaction/verify/${encodeURIComponent(reference)}`);
+      return {
+        reference: data.reference,
+        status: data.status,
+        amount: fromKobo(data.amount),
+        paidAt: data.paid_at || null,
+      };
+    },
+
+    // Paystack signs the raw body with HMAC-SHA512 using the secret key
+    verifyWebhookSignature(rawBody, headers) {
+      if (!Buffer.isBuffer(rawBody)) return false;
+      const expected = crypto.createHmac("sha512", secretKey).update(rawBody).digest("hex");
+      return safeEqual(expected, headers["x-paystack-signature"]);
+    },
+
+    parseWebhookEvent(rawBody) {
+      let event;
+      try {
+        event = JSON.parse(rawBody.toString("utf8"));
+      } catch {
+        return null;
+      }
+      if (!event?.event || !event.data?.reference) return null;
+
+      return {
+        type: event.event === "charge.success" ? "payment.success" : event.event,
+        reference: event.data.reference,
+        amount: fromKobo(event.data.amount),
+        status: event.data.status,
+      };
+    },
+  };
+};
+
+// Picks the provider from env. Returns null when payments aren't configured
+// so the rest of the API can still boot.
+export const createPaymentProviderFromEnv = (env = process.env) => {
+  const provider = (env.PAYMENT_PROVIDER || "paystack").toLowerCase();
+
+  if (provider === "paystack") {
+    if (!env.PAYSTACK_SECRET_KEY) return null;
+    return createPaystackClient({
+      secretKey: env.PAYSTACK_SECRET_KEY,
+      baseUrl: env.PAYSTACK_BASE_URL || undefined,
+    });
+  }
+
+  throw new Error(`Unknown PAYMENT_PROVIDER: ${provider}`);
+};
+
+export const generatePaymentReference = (orderId) =>
+  `BN-${orderId}-${Date.now()}-${crypto.randomBytes(4).toString("hex")}`;
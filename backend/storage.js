@@ -0,0 +1,167 @@
+import crypto from "crypto";
+import { constants as fsConstants } from "fs";
+import fs from "fs/promises";
+import path from "path";
+import { v2 as cloudinary } from "cloudinary";
+import { IMAGE_FORMATS, IMAGE_SIZES, renderImageVariants } from "./images.js";
+
+// ============================================
+// IMAGE STORAGE DRIVERS
+// ============================================
+//
+//  Every driver exposes the same shape so the routes never care where
+//  image bytes actually live:
+//
+//    name                          — driver id, for logs
+//    upload(buffer, { mimetype })  — resolves { url, id }; id is what gets
+//                                    stored in the *.cloudinary_id columns
+//    remove(id)                    — deletes a stored image and anything
+//                                    derived from it
+//    variantUrl(id, size, format)  — URL of the image in one of the
+//                                    IMAGE_SIZES / IMAGE_FORMATS (images.js)
+//    rendersOnDemand               — true if variantUrl works for any stored
+//                                    image, not just ones uploaded since sizes
+//                                    were rendered at upload time
+//    check()                       — rejects if the backend can't be reached
+//                                    (used by the readiness check)
+//    staticMount                   — optional { urlPath, directory } the app
+//                                    should serve with express.static
+//
+//  STORAGE_DRIVER picks one (default "cloudinary"). Each driver lists the
+//  env vars it needs so the server only demands credentials for the active one.
+//
+// ============================================
+
+const createCloudinaryStorage = (env) => {
+  cloudinary.config({
+    cloud_name: env.CLOUD_NAME,
+    api_key: env.CLOUD_KEY,
+    api_secret: env.CLOUD_SECRET,
+    secure: true,
+  });
+
+  return {
+    name: "cloudinary",
+    rendersOnDemand: true,
+
+    upload(buffer) {
+      return new Promise((resolve, reject) => {
+        const stream = cloudinary.uploader.upload_stream(
+          { folder: "brightnal", tags: ["brightnal"], resource_type: "image" },
+          (error, result) => (error ? reject(error) : resolve({ url: result.secure_url, id: result.public_id }))
+        );
+        stream.end(buffer);
+      });
+    },
+
+    async remove(id) {
+      await cloudinary.uploader.destroy(id);
+    },
+
+    // Transformation URLs — Cloudinary renders and caches each one on first request
+    variantUrl(id, size, format) {
+      const { width, height, fit } = IMAGE_SIZES[size];
+      return cloudinary.url(id, {
+        secure: true,
+        format: format === "jpeg" ? "jpg" : format,
+        transformation: [
+          fit === "cover"
+            ? { width, height, crop: "fill", gravity: "auto" }
+            : { width, height, crop: "limit" },
+          { quality: "auto" },
+        ],
+      });
+    },
+
+    async check() {
+      await cloudinary.api.ping();
+    },
+  };
+};
+
+const EXTENSIONS = {
+  "image/jpeg": ".jpg",
+  "image/png": ".png",
+  "image/gif": ".gif",
+  "image/webp": ".webp",
+  "image/avif": ".avif",
+};
+
+// Writes files under UPLOAD_DIR and serves them from /uploads. URLs are
+// absolute (PUBLIC_BASE_URL) because the admin page lives on another origin.
+// Every size and format is rendered next to the original at upload time, as
+// <name>-<size>.<ext>.
+const createLocalStorage = (env) => {
+  const directory = path.resolve(env.UPLOAD_DIR || "public/uploads");
+  const urlPath = "/uploads";
+  const baseUrl = (env.PUBLIC_BASE_URL || `http://localhost:${env.PORT || 7700}`).replace(/\/$/, "");
+
+  // ids are bare file names — basename() keeps a crafted id from escaping the directory
+  const filePath = (id) => path.join(directory, path.basename(id));
+
+  const variantFileName = (id, size, format) =>
+    `${path.parse(path.basename(id)).name}-${size}${EXTENSIONS[`image/${format}`]}`;
+
+  const variantFileNames = (id) =>
+    Object.keys(IMAGE_SIZES).flatMap((size) => IMAGE_FORMATS.map((format) => variantFileName(id, size, format)));
+
+  const removeFile = async (name) => {
+    try {
+      await fs.unlink(filePath(name));
+    } catch (err) {
+      if (err.code !== "ENOENT") throw err;
+    }
+  };
+
+  return {
+    name: "local",
+    rendersOnDemand: false,
+    staticMount: { urlPath, directory },
+
+    async upload(buffer, { mimetype } = {}) {
+      await fs.mkdir(directory, { recursive: true });
+      const id = `${Date.now()}-${crypto.randomBytes(8).toString("hex")}${EXTENSIONS[mimetype] || ""}`;
+      await fs.writeFile(filePath(id), buffer);
+      try {
+        for (const variant of await renderImageVariants(buffer)) {
+          await fs.writeFile(filePath(variantFileName(id, variant.size, variant.format)), variant.buffer);
+        }
+      } catch (err) {
+        await Promise.all([id, ...variantFileNames(id)].map(removeFile));
+        throw err;
+      }
+      return { url: `${baseUrl}${urlPath}/${id}`, id };
+    },
+
+    async remove(id) {
+      await Promise.all([id, ...variantFileNames(id)].map(removeFile));
+    },
+
+    variantUrl: (id, size, format) => `${baseUrl}${urlPath}/${variantFileName(id, size, format)}`,
+
+    async check() {
+      await fs.mkdir(directory, { recursive: true });
+      await fs.access(directory, fsConstants.W_OK);
+    },
+  };
+};
+
+export const STORAGE_DRIVERS = {
+  cloudinary: {
+    requiredEnv: ["CLOUD_NAME", "CLOUD_KEY", "CLOUD_SECRET"],
+    create: createCloudinaryStorage,
+  },
+  local: {
+    requiredEnv: [],
+    create: createLocalStorage,
+  },
+};
+
+export const getStorageDriverName = (env = process.env) =>
+  (env.STORAGE_DRIVER || "cloudinary").toLowerCase();
+
+export const createStorageFromEnv = (env = process.env) => {
+  const driver = STORAGE_DRIVERS[getStorageDriverName(env)];
+  if (!driver) throw new Error(`Unknown STORAGE_DRIVER: ${env.STORAGE_DRIVER}`);
+  return driver.create(env);
+};
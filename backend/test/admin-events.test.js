@@ -0,0 +1,160 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startTestApp, createProduct, formData, waitFor } from "./helpers.js";
+
+let t;
+let admin;
+
+before(async () => {
+  t = await startTestApp();
+  await t.createUser({ email: "admin@example.com", role: "admin" });
+  await t.createUser({ email: "shopper@example.com" });
+  admin = await t.login("admin@example.com");
+});
+
+after(() => t.stop());
+
+// Opens the stream and parses events as they arrive. next() resolves the
+// next event ({ id, type, data }); ended() says whether the server has
+// finished the stream; close() aborts the request.
+const openStream = async ({ token = admin.token, lastEventId } = {}) => {
+  const controller = new AbortController();
+  const headers = { Authorization: `Bearer ${token}` };
+  if (lastEventId) headers["Last-Event-ID"] = lastEventId;
+  const res = await fetch(`${t.baseUrl}/api/admin/events`, { headers, signal: controller.signal });
+
+  const events = [];
+  const waiting = [];
+  let ended = false;
+  const reading = (async () => {
+    let buffer = "";
+    for await (const chunk of res.body.pipeThrough(new TextDecoderStream())) {
+      buffer += chunk;
+      let end;
+      while ((end = buffer.indexOf("\n\n")) !== -1) {
+        const block = buffer.slice(0, end);
+        buffer = buffer.slice(end + 2);
+        const fields = Object.fromEntries(block.split("\n").map((line) => [line.slice(0, line.indexOf(":")), line.slice(line.indexOf(":") + 2)]));
+        if (!fields.event) continue;
+        const event = { id: fields.id, type: fields.event, data: JSON.parse(fields.data) };
+        if (waiting.length > 0) waiting.shift()(event);
+        else events.push(event);
+      }
+    }
+    ended = true;
+  })().catch(() => {});
+
+  return {
+    res,
+    ended: () => ended,
+    next: () => (events.length > 0 ? Promise.resolve(events.shift()) : new Promise((resolve) => waiting.push(resolve))),
+    close: async () => {
+      controller.abort();
+      await reading;
+    },
+  };
+};
+
+describe("GET /api/admin/events", () => {
+  it("is for admins only", async () => {
+    assert.equal((await t.api("GET", "/api/admin/events")).status, 401);
+
+    const shopper = await t.login("shopper@example.com");
+    assert.equal((await t.api("GET", "/api/admin/events", { token: shopper.token })).status, 403);
+  });
+
+  it("streams product created, updated and deleted events", async () => {
+    const stream = await openStream();
+    assert.equal(stream.res.status, 200);
+    assert.match(stream.res.headers.get("content-type"), /^text\/event-stream/);
+    assert.equal(stream.res.headers.get("cache-control"), "no-cache, no-transform");
+
+    const product = await createProduct(t, admin.token);
+    const created = await stream.next();
+    assert.equal(created.type, "product.created");
+    assert.equal(created.data.product.id, product.id);
+    assert.equal(created.data.product.image.url, product.image_url);
+
+    await t.api("PUT", `/api/products/${product.id}`, { token: admin.token, form: formData({ productName: "Desk Lamp" }) });
+    const updated = await stream.next();
+    assert.equal(updated.type, "product.updated");
+    assert.equal(updated.data.product.product_name, "Desk Lamp");
+
+    await t.api("DELETE", `/api/products/${product.id}`, { token: admin.token });
+    const deleted = await stream.next();
+    assert.equal(deleted.type, "product.deleted");
+    assert.deepEqual(deleted.data, { id: product.id });
+
+    await stream.close();
+  });
+
+  it("streams stock changes from adjustments", async () => {
+    const product = await createProduct(t, admin.token, { stock: 2, lowStockThreshold: 4 });
+    const stream = await openStream();
+
+    const res = await t.api("POST", `/api/products/${product.id}/stock-adjustments`, {
+      token: admin.token,
+      body: { delta: 5, type: "restock", reason: "Delivery" },
+    });
+    assert.equal(res.status, 201);
+
+    const changed = await stream.next();
+    assert.equal(changed.type, "stock.changed");
+    assert.deepEqual(changed.data, { productId: product.id, stock: 7, lowStockThreshold: 4 });
+
+    await stream.close();
+  });
+
+  it("replays missed events after Last-Event-ID", async () => {
+    const stream = await openStream();
+    const first = await createProduct(t, admin.token);
+    const { id: lastEventId } = await stream.next();
+    await stream.close();
+
+    const second = await createProduct(t, admin.token);
+    await t.api("DELETE", `/api/products/${first.id}`, { token: admin.token });
+
+    const resumed = await openStream({ lastEventId });
+    const replayed = [await resumed.next(), await resumed.next()];
+    assert.deepEqual(
+      replayed.map((event) => event.type),
+      ["product.created", "product.deleted"]
+    );
+    assert.equal(replayed[0].data.product.id, second.id);
+    assert.equal(replayed[1].data.id, first.id);
+    await resumed.close();
+  });
+
+  it("ends an admin's streams when their sessions are revoked", async () => {
+    await t.createUser({ email: "moderator@example.com", role: "admin" });
+    const moderator = await t.login("moderator@example.com");
+    const own = await openStream({ token: moderator.token });
+    const other = await openStream();
+
+    const logoutAll = await t.api("POST", "/api/auth/logout-all", { token: moderator.token });
+    assert.equal(logoutAll.status, 200);
+    await waitFor(own.ended);
+
+    const again = await t.login("moderator@example.com");
+    const reopened = await openStream({ token: again.token });
+    const moderatorId = (await t.pool.query("SELECT id FROM users WHERE email = 'moderator@example.com'")).rows[0].id;
+    const demoted = await t.api("PUT", `/api/admin/users/${moderatorId}/role`, { token: admin.token, body: { role: "customer" } });
+    assert.equal(demoted.status, 200);
+    await waitFor(reopened.ended);
+
+    // Everyone else's stream stays open
+    const product = await createProduct(t, admin.token);
+    const created = await other.next();
+    assert.equal(created.data.product.id, product.id);
+    assert.equal(other.ended(), false);
+    await other.close();
+  });
+
+  it("asks for a resync when it can't replay", async () => {
+    const stream = await openStream({ lastEventId: "deadbeef-1" });
+    const event = await stream.next();
+    assert.equal(event.type, "resync");
+    assert.deepEqual(event.data, {});
+    await stream.close();
+  });
+});
@@ -0,0 +1,418 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import jwt from "jsonwebtoken";
+import { startTestApp, lastEmailedToken, waitFor } from "./helpers.js";
+
+let t;
+
+before(async () => {
+  t = await startTestApp();
+});
+
+after(() => t.stop());
+
+describe("POST /api/auth/register", () => {
+  it("creates a customer, signs them in and emails a verification link", async () => {
+    const res = await t.api("POST", "/api/auth/register", {
+      body: { email: "New.Customer@Example.com", password: "password123", full_name: "New Customer" },
+    });
+
+    assert.equal(res.status, 201);
+    assert.equal(res.body.user.email, "new.customer@example.com");
+    assert.equal(res.body.user.role, "customer");
+    assert.equal(res.body.user.email_verified_at, null);
+    assert.equal(res.body.user.token_version, undefined);
+    assert.ok(res.body.token);
+    assert.ok(res.body.refreshToken);
+    assert.ok(lastEmailedToken(t.mailer, "new.customer@example.com"));
+  });
+
+  it("rejects an email that is already registered with 409", async () => {
+    const res = await t.api("POST", "/api/auth/register", {
+      body: { email: "new.customer@example.com", password: "password123" },
+    });
+    assert.equal(res.status, 409);
+    assert.equal(res.body.success, false);
+  });
+
+  it("rejects invalid input with 400 and per-field errors", async () => {
+    const res = await t.api("POST", "/api/auth/register", { body: { email: "not-an-email", password: "short" } });
+
+    assert.equal(res.status, 400);
+    assert.deepEqual(res.body.errors.map((e) => e.field).sort(), ["email", "password"]);
+  });
+});
+
+describe("POST /api/auth/login", () => {
+  before(async () => {
+    await t.createUser({ email: "login@example.com" });
+    const disabled = await t.createUser({ email: "disabled@example.com" });
+    await t.pool.query("UPDATE users SET disabled_at = NOW() WHERE id = $1", [disabled.id]);
+  });
+
+  it("returns the user and a token pair", async () => {
+    const res = await t.api("POST", "/api/auth/login", { body: { email: "LOGIN@example.com", password: "password123" } });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.user.email, "login@example.com");
+    assert.equal(res.body.user.password_hash, undefined);
+    assert.ok(res.body.token);
+    assert.ok(res.body.refreshToken);
+  });
+
+  it("answers a wrong password and an unknown email alike with 401", async () => {
+    const wrong = await t.api("POST", "/api/auth/login", { body: { email: "login@example.com", password: "wrong-password" } });
+    const unknown = await t.api("POST", "/api/auth/login", { body: { email: "nobody@example.com", password: "password123" } });
+
+    assert.equal(wrong.status, 401);
+    assert.equal(unknown.status, 401);
+    assert.equal(wrong.body.message, unknown.body.message);
+  });
+
+  it("rejects a missing password with 400", async () => {
+    const res = await t.api("POST", "/api/auth/login", { body: { email: "login@example.com" } });
+    assert.equal(res.status, 400);
+    assert.equal(res.body.errors[0].field, "password");
+  });
+
+  it("refuses a disabled account with 403 once the password checks out", async () => {
+    const res = await t.api("POST", "/api/auth/login", { body: { email: "disabled@example.com", password: "password123" } });
+    assert.equal(res.status, 403);
+    assert.equal(res.body.disabled, true);
+  });
+
+  it("rate limits repeated attempts from one address with 429", async () => {
+    const attempt = (ip) =>
+      t.api("POST", "/api/auth/login", { ip, body: { email: "login@example.com", password: "wrong-password" } });
+
+    for (let i = 0; i < 10; i++) {
+      assert.equal((await attempt("203.0.113.7")).status, 401);
+    }
+    const limited = await attempt("203.0.113.7");
+    assert.equal(limited.status, 429);
+    assert.equal(limited.body.success, false);
+
+    // Other clients are unaffected
+    assert.equal((await attempt("203.0.113.8")).status, 401);
+  });
+});
+
+describe("GET /api/auth/me", () => {
+  let user;
+  let session;
+
+  before(async () => {
+    user = await t.createUser({ email: "me@example.com", fullName: "Me" });
+    session = await t.login("me@example.com");
+  });
+
+  it("returns the signed-in user", async () => {
+    const res = await t.api("GET", "/api/auth/me", { token: session.token });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.user.id, user.id);
+    assert.equal(res.body.user.full_name, "Me");
+  });
+
+  it("requires a token (401)", async () => {
+    const res = await t.api("GET", "/api/auth/me");
+    assert.equal(res.status, 401);
+  });
+
+  it("rejects a forged token with 403", async () => {
+    const forged = jwt.sign({ id: user.id, role: "customer", tv: 0 }, "not-the-secret");
+    const res = await t.api("GET", "/api/auth/me", { token: forged });
+    assert.equal(res.status, 403);
+  });
+
+  it("flags an expired token with 401", async () => {
+    const expired = jwt.sign(
+      { id: user.id, role: "customer", tv: 0, exp: Math.floor(Date.now() / 1000) - 60 },
+      process.env.JWT_SECRET
+    );
+    const res = await t.api("GET", "/api/auth/me", { token: expired });
+    assert.equal(res.status, 401);
+    assert.equal(res.body.expired, true);
+  });
+
+  it("rejects a token whose role no longer matches with 401", async () => {
+    const stale = jwt.sign({ id: user.id, role: "admin", tv: 0 }, process.env.JWT_SECRET);
+    const res = await t.api("GET", "/api/auth/me", { token: stale });
+    assert.equal(res.status, 401);
+    assert.equal(res.body.revoked, true);
+  });
+});
+
+describe("POST /api/auth/refresh", () => {
+  before(() => t.createUser({ email: "refresh@example.com" }));
+
+  it("rotates the refresh token and revokes the family when an old one is reused", async () => {
+    const first = await t.login("refresh@example.com");
+
+    const rotated = await t.api("POST", "/api/auth/refresh", { body: { refreshToken: first.refreshToken } });
+    assert.equal(rotated.status, 200);
+    assert.ok(rotated.body.token);
+    assert.notEqual(rotated.body.refreshToken, first.refreshToken);
+
+    const reused = await t.api("POST", "/api/auth/refresh", { body: { refreshToken: first.refreshToken } });
+    assert.equal(reused.status, 401);
+
+    // The reuse took the newer token down with it
+    const next = await t.api("POST", "/api/auth/refresh", { body: { refreshToken: rotated.body.refreshToken } });
+    assert.equal(next.status, 401);
+  });
+
+  it("rejects an unknown refresh token with 401", async () => {
+    const res = await t.api("POST", "/api/auth/refresh", { body: { refreshToken: "made-up" } });
+    assert.equal(res.status, 401);
+  });
+
+  it("rejects a missing refresh token with 400", async () => {
+    const res = await t.api("POST", "/api/auth/refresh", { body: {} });
+    assert.equal(res.status, 400);
+  });
+
+  it("rate limits guessing from one address with 429", async () => {
+    const attempt = () => t.api("POST", "/api/auth/refresh", { ip: "203.0.113.9", body: { refreshToken: "guess" } });
+
+    for (let i = 0; i < 10; i++) {
+      assert.equal((await attempt()).status, 401);
+    }
+    assert.equal((await attempt()).status, 429);
+  });
+});
+
+describe("POST /api/auth/logout and /api/auth/logout-all", () => {
+  before(() => t.createUser({ email: "logout@example.com" }));
+
+  it("logout revokes the presented session only", async () => {
+    const phone = await t.login("logout@example.com");
+    const laptop = await t.login("logout@example.com");
+
+    const res = await t.api("POST", "/api/auth/logout", { body: { refreshToken: phone.refreshToken } });
+    assert.equal(res.status, 200);
+
+    assert.equal((await t.api("POST", "/api/auth/refresh", { body: { refreshToken: phone.refreshToken } })).status, 401);
+    assert.equal((await t.api("POST", "/api/auth/refresh", { body: { refreshToken: laptop.refreshToken } })).status, 200);
+  });
+
+  it("logout succeeds for a token that is already gone", async () => {
+    const res = await t.api("POST", "/api/auth/logout", { body: { refreshToken: "made-up" } });
+    assert.equal(res.status, 200);
+  });
+
+  it("logout-all revokes every access and refresh token", async () => {
+    const session = await t.login("logout@example.com");
+
+    const res = await t.api("POST", "/api/auth/logout-all", { token: session.token });
+    assert.equal(res.status, 200);
+
+    const me = await t.api("GET", "/api/auth/me", { token: session.token });
+    assert.equal(me.status, 401);
+    assert.equal(me.body.revoked, true);
+    assert.equal((await t.api("POST", "/api/auth/refresh", { body: { refreshToken: session.refreshToken } })).status, 401);
+  });
+
+  it("logout-all requires a token (401)", async () => {
+    const res = await t.api("POST", "/api/auth/logout-all");
+    assert.equal(res.status, 401);
+  });
+});
+
+describe("email verification", () => {
+  let session;
+
+  before(async () => {
+    await t.createUser({ email: "unverified@example.com", verified: false });
+    session = await t.login("unverified@example.com");
+  });
+
+  it("resend emails a fresh link to an unverified user", async () => {
+    const res = await t.api("POST", "/api/auth/verify-email/resend", { token: session.token });
+    assert.equal(res.status, 200);
+    assert.ok(lastEmailedToken(t.mailer, "unverified@example.com"));
+  });
+
+  it("resend requires a token (401)", async () => {
+    const res = await t.api("POST", "/api/auth/verify-email/resend");
+    assert.equal(res.status, 401);
+  });
+
+  it("verify-email consumes the link once", async () => {
+    const token = lastEmailedToken(t.mailer, "unverified@example.com");
+
+    const res = await t.api("POST", "/api/auth/verify-email", { body: { token } });
+    assert.equal(res.status, 200);
+
+    const me = await t.api("GET", "/api/auth/me", { token: session.token });
+    assert.ok(me.body.user.email_verified_at);
+
+    const again = await t.api("POST", "/api/auth/verify-email", { body: { token } });
+    assert.equal(again.status, 400);
+  });
+
+  it("verify-email rejects a missing token with 400", async () => {
+    const res = await t.api("POST", "/api/auth/verify-email", { body: {} });
+    assert.equal(res.status, 400);
+  });
+
+  it("resend answers 409 once the address is verified", async () => {
+    const res = await t.api("POST", "/api/auth/verify-email/resend", { token: session.token });
+    assert.equal(res.status, 409);
+  });
+});
+
+describe("password reset", () => {
+  before(() => t.createUser({ email: "forgetful@example.com" }));
+
+  it("forgot-password answers the same whether or not the email is registered", async () => {
+    const sentBefore = t.mailer.sent.length;
+
+    const unknown = await t.api("POST", "/api/auth/forgot-password", { body: { email: "nobody@example.com" } });
+    assert.equal(unknown.status, 200);
+    assert.equal(t.mailer.sent.length, sentBefore);
+
+    const known = await t.api("POST", "/api/auth/forgot-password", { body: { email: "forgetful@example.com" } });
+    assert.equal(known.status, 200);
+    assert.equal(known.body.message, unknown.body.message);
+    assert.ok(await waitFor(() => lastEmailedToken(t.mailer, "forgetful@example.com")));
+  });
+
+  it("forgot-password rejects an invalid email with 400", async () => {
+    const res = await t.api("POST", "/api/auth/forgot-password", { body: { email: "nope" } });
+    assert.equal(res.status, 400);
+  });
+
+  it("reset-password sets the new password, signs out everywhere and works once", async () => {
+    const session = await t.login("forgetful@example.com");
+    const token = lastEmailedToken(t.mailer, "forgetful@example.com");
+
+    const res = await t.api("POST", "/api/auth/reset-password", { body: { token, password: "brand-new-password" } });
+    assert.equal(res.status, 200);
+
+    assert.equal((await t.api("GET", "/api/auth/me", { token: session.token })).status, 401);
+    await t.login("forgetful@example.com", "brand-new-password");
+
+    const again = await t.api("POST", "/api/auth/reset-password", { body: { token, password: "another-password" } });
+    assert.equal(again.status, 400);
+  });
+
+  it("reset-password rejects a short password with 400", async () => {
+    const res = await t.api("POST", "/api/auth/reset-password", { body: { token: "whatever", password: "short" } });
+    assert.equal(res.status, 400);
+    assert.equal(res.body.errors[0].field, "password");
+  });
+
+  it("forgot-password still answers 200 when the mailer fails", async () => {
+    const send = t.mailer.send;
+    let attempted = false;
+    t.mailer.send = async () => {
+      attempted = true;
+      throw new Error("SMTP is down");
+    };
+    const res = await t.api("POST", "/api/auth/forgot-password", { body: { email: "forgetful@example.com" } });
+    await waitFor(() => attempted);
+    t.mailer.send = send;
+
+    assert.equal(res.status, 200);
+  });
+});
+
+describe("account routes", () => {
+  let session;
+
+  before(async () => {
+    await t.createUser({ email: "account@example.com", fullName: "Old Name" });
+    session = await t.login("account@example.com");
+  });
+
+  it("PUT /api/account/profile updates the name", async () => {
+    const res = await t.api("PUT", "/api/account/profile", { token: session.token, body: { full_name: "New Name" } });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.user.full_name, "New Name");
+  });
+
+  it("PUT /api/account/profile validates (400) and requires a token (401)", async () => {
+    assert.equal((await t.api("PUT", "/api/account/profile", { token: session.token, body: {} })).status, 400);
+    assert.equal((await t.api("PUT", "/api/account/profile", { body: { full_name: "x" } })).status, 401);
+  });
+
+  it("PUT /api/account/password checks the current password and rejects reuse", async () => {
+    const wrong = await t.api("PUT", "/api/account/password", {
+      token: session.token,
+      body: { currentPassword: "wrong-password", newPassword: "password456" },
+    });
+    assert.equal(wrong.status, 400);
+    assert.equal(wrong.body.errors[0].field, "currentPassword");
+
+    const same = await t.api("PUT", "/api/account/password", {
+      token: session.token,
+      body: { currentPassword: "password123", newPassword: "password123" },
+    });
+    assert.equal(same.status, 400);
+    assert.equal(same.body.errors[0].field, "newPassword");
+  });
+
+  it("PUT /api/account/password changes it and hands back a new session", async () => {
+    const res = await t.api("PUT", "/api/account/password", {
+      token: session.token,
+      body: { currentPassword: "password123", newPassword: "password456" },
+    });
+    assert.equal(res.status, 200);
+
+    assert.equal((await t.api("GET", "/api/auth/me", { token: session.token })).status, 401);
+    assert.equal((await t.api("GET", "/api/auth/me", { token: res.body.token })).status, 200);
+    session = res.body;
+  });
+
+  it("DELETE /api/account needs the right password (400)", async () => {
+    const res = await t.api("DELETE", "/api/account", { token: session.token, body: { password: "password123" } });
+    assert.equal(res.status, 400);
+  });
+
+  it("DELETE /api/account anonymises the account and ends its sessions", async () => {
+    const res = await t.api("DELETE", "/api/account", { token: session.token, body: { password: "password456" } });
+    assert.equal(res.status, 200);
+
+    assert.equal((await t.api("GET", "/api/auth/me", { token: session.token })).status, 401);
+    const login = await t.api("POST", "/api/auth/login", { body: { email: "account@example.com", password: "password456" } });
+    assert.equal(login.status, 401);
+
+    const row = await t.pool.query("SELECT email, full_name, deleted_at FROM users WHERE deleted_at IS NOT NULL");
+    assert.match(row.rows[0].email, /@deleted\.invalid$/);
+    assert.equal(row.rows[0].full_name, null);
+  });
+
+  it("leaves no email, name or IP in the audit log", async () => {
+    const registered = await t.api("POST", "/api/auth/register", {
+      body: { email: "private@example.com", password: "password123", full_name: "Private Person" },
+    });
+    assert.equal(registered.status, 201);
+
+    const deleted = (await t.pool.query("SELECT id FROM users WHERE deleted_at IS NOT NULL")).rows[0];
+    const entries = await t.pool.query(
+      "SELECT action, before, after, row_to_json(audit_log)::text AS raw FROM audit_log WHERE entity_type = 'user' ORDER BY id"
+    );
+    for (const entry of entries.rows) {
+      assert.doesNotMatch(entry.raw, /example\.com|Old Name|New Name|Private Person|10\.\d+\.\d+\.\d+/, entry.action);
+    }
+    const profile = entries.rows.find((entry) => entry.action === "update_profile");
+    assert.deepEqual([profile.before, profile.after], [{ full_name: "[redacted]" }, { full_name: "[redacted]" }]);
+
+    await t.createUser({ email: "auditor@example.com", role: "admin" });
+    const auditor = await t.login("auditor@example.com");
+    const log = await t.api("GET", `/api/admin/audit-log?entityType=user&entityId=${deleted.id}`, { token: auditor.token });
+    assert.equal(log.status, 200);
+    assert.ok(log.body.entries.length > 0);
+    for (const entry of log.body.entries) {
+      assert.equal(entry.actor_email, `deleted-${deleted.id}@deleted.invalid`);
+    }
+  });
+
+  it("DELETE /api/account refuses admins with 409", async () => {
+    await t.createUser({ email: "sole-admin@example.com", role: "admin" });
+    const admin = await t.login("sole-admin@example.com");
+
+    const res = await t.api("DELETE", "/api/account", { token: admin.token, body: { password: "password123" } });
+    assert.equal(res.status, 409);
+  });
+});
@@ -0,0 +1,206 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import net from "net";
+import { createMemoryCache, createRedisCache, createCacheFromEnv } from "../cache.js";
+
+describe("memory cache", () => {
+  it("keeps values until their TTL runs out", async () => {
+    let clock = 1_000_000;
+    const cache = createMemoryCache({ now: () => clock });
+
+    await cache.set("a", "one", 10);
+    assert.equal(await cache.get("a"), "one");
+    assert.equal(await cache.get("missing"), null);
+
+    clock += 10_000;
+    assert.equal(await cache.get("a"), null);
+  });
+
+  it("evicts the least recently used entry, never a counter", async () => {
+    const cache = createMemoryCache({ maxEntries: 2 });
+
+    assert.equal(await cache.incr("version"), 1);
+    await cache.set("a", "1", 60);
+    await cache.set("b", "2", 60);
+    await cache.get("a");
+    await cache.set("c", "3", 60);
+
+    assert.equal(await cache.get("a"), "1");
+    assert.equal(await cache.get("b"), null);
+    assert.equal(await cache.get("c"), "3");
+    assert.equal(await cache.incr("version"), 2);
+    assert.equal(await cache.get("version"), "2");
+  });
+});
+
+// Speaks just enough RESP2 for the commands ioredis sends
+const startFakeRedis = async ({ password = null } = {}) => {
+  const store = new Map();
+  const commands = [];
+  const state = { delayMs: 0 };
+
+  const readCommand = (buffer) => {
+    let at = 0;
+    const line = () => {
+      const end = buffer.indexOf("\r\n", at);
+      if (end === -1) return null;
+      const text = buffer.toString("utf8", at, end);
+      at = end + 2;
+      return text;
+    };
+    const header = line();
+    if (header === null) return null;
+    const args = [];
+    for (let i = 0; i < Number(header.slice(1)); i++) {
+      const length = line();
+      if (length === null || buffer.length < at + Number(length.slice(1)) + 2) return null;
+      args.push(buffer.toString("utf8", at, at + Number(length.slice(1))));
+      at += Number(length.slice(1)) + 2;
+    }
+    // Redis doesn't mind the case of command names and ioredis sends them lowercase
+    if (args.length > 0) args[0] = args[0].toUpperCase();
+    return { args, rest: buffer.subarray(at) };
+  };
+
+  const reply = (args) => {
+    const [name, key, value] = args;
+    switch (name) {
+      case "AUTH":
+        return args.at(-1) === password ? "+OK" : "-WRONGPASS invalid username-password pair";
+      case "SELECT":
+      case "CLIENT":
+      case "QUIT":
+        return "+OK";
+      case "INFO":
+        return "$9\r\nloading:0";
+      case "GET":
+        return store.has(key) ? `$${Buffer.byteLength(store.get(key))}\r\n${store.get(key)}` : "$-1";
+      case "SET":
+        store.set(key, value);
+        return "+OK";
+      case "INCR": {
+        if (!/^\d*$/.test(store.get(key) || "")) return "-ERR value is not an integer or out of range";
+        const next = Number(store.get(key) || 0) + 1;
+        store.set(key, String(next));
+        return `:${next}`;
+      }
+      default:
+        return `-ERR unknown command '${name}'`;
+    }
+  };
+
+  const sockets = new Set();
+  const server = net.createServer((socket) => {
+    sockets.add(socket);
+    socket.on("close", () => sockets.delete(socket));
+    let buffer = Buffer.alloc(0);
+    // Replies go out in order, however long each one is held back
+    let replies = Promise.resolve();
+    socket.on("data", (chunk) => {
+      buffer = Buffer.concat([buffer, chunk]);
+      let command;
+      while ((command = readCommand(buffer))) {
+        buffer = command.rest;
+        commands.push(command.args);
+        const { args } = command;
+        const answer = `${reply(args)}\r\n`;
+        const delayMs = state.delayMs;
+        replies = replies
+          .then(() => delayMs && new Promise((resolve) => setTimeout(resolve, delayMs)))
+          .then(() => {
+            if (socket.destroyed) return;
+            socket.write(answer);
+            if (args[0] === "QUIT") socket.end();
+          });
+      }
+    });
+    socket.on("error", () => {});
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+
+  return {
+    port: server.address().port,
+    store,
+    commands,
+    state,
+    stop: () => {
+      server.close();
+      for (const socket of sockets) socket.destroy();
+      return new Promise((resolve) => server.on("close", resolve));
+    },
+  };
+};
+
+describe("redis cache", () => {
+  let redis;
+
+  before(async () => {
+    redis = await startFakeRedis({ password: "s3cret" });
+  });
+
+  after(() => redis.stop());
+
+  it("authenticates, selects the db and prefixes every key", async () => {
+    const cache = createRedisCache({ url: `redis://:s3cret@127.0.0.1:${redis.port}/2`, keyPrefix: "test:" });
+
+    await cache.set("greeting", "héllo", 30);
+    assert.equal(await cache.get("greeting"), "héllo");
+    assert.equal(await cache.get("missing"), null);
+    assert.equal(await cache.incr("version"), 1);
+    assert.equal(await cache.incr("version"), 2);
+    await cache.close();
+
+    const sent = redis.commands.filter(([name]) => !["INFO", "CLIENT"].includes(name));
+    assert.deepEqual(sent.slice(0, 3), [
+      ["AUTH", "s3cret"],
+      ["SELECT", "2"],
+      ["SET", "test:greeting", "héllo", "EX", "30"],
+    ]);
+    assert.equal(redis.store.get("test:version"), "2");
+  });
+
+  it("rejects error replies", async () => {
+    const cache = createRedisCache({ url: `redis://:s3cret@127.0.0.1:${redis.port}`, keyPrefix: "test:" });
+    await cache.set("word", "abc", 30);
+    await assert.rejects(cache.incr("word"), /not an integer/);
+    await cache.close();
+  });
+
+  it("times out a slow command without handing its late reply to the next one", async () => {
+    const cache = createRedisCache({ url: `redis://:s3cret@127.0.0.1:${redis.port}`, timeoutMs: 100 });
+    await cache.set("k", "v", 30);
+    await cache.set("other", "w", 30);
+
+    redis.state.delayMs = 150;
+    await assert.rejects(cache.get("other"), /timed out/);
+    redis.state.delayMs = 0;
+
+    assert.equal(await cache.get("k"), "v");
+    await cache.close();
+  });
+
+  it("rejects when nothing is listening", async () => {
+    const closed = await startFakeRedis();
+    await closed.stop();
+
+    const cache = createRedisCache({ url: `redis://127.0.0.1:${closed.port}` });
+    await assert.rejects(cache.get("k"));
+    await cache.close();
+  });
+
+  it("closes without connecting when it was never used", async () => {
+    const before = redis.commands.length;
+    const cache = createRedisCache({ url: `redis://:s3cret@127.0.0.1:${redis.port}` });
+    await cache.close();
+    assert.equal(redis.commands.length, before);
+  });
+});
+
+describe("createCacheFromEnv", () => {
+  it("picks the driver from CACHE_DRIVER", () => {
+    assert.equal(createCacheFromEnv({}).name, "memory");
+    assert.equal(createCacheFromEnv({ CACHE_DRIVER: "redis", REDIS_URL: "redis://127.0.0.1:6379" }).name, "redis");
+    assert.throws(() => createCacheFromEnv({ CACHE_DRIVER: "memcached" }), /Unknown CACHE_DRIVER/);
+    assert.throws(() => createCacheFromEnv({ CACHE_DRIVER: "redis", REDIS_URL: "http://127.0.0.1" }), /redis:\/\//);
+  });
+});
@@ -0,0 +1,222 @@
+import crypto from "crypto";
+import bcrypt from "bcrypt";
+import dotenv from "dotenv";
+import pkg from "pg";
+import { migrateUp } from "../migrate.js";
+import { createApp } from "../app.js";
+import { createLogger } from "../logger.js";
+import { createMemoryCache } from "../cache.js";
+
+// ============================================
+// TEST HELPERS
+// ============================================
+//
+//  Integration tests run the real app against a local Postgres. Every test
+//  file calls startTestApp(), which:
+//
+//    - creates a throwaway schema in TEST_DATABASE_URL and migrates it
+//    - builds the app with in-memory image storage and mail stubs, and a
+//      silent logger unless the test passes its own
+//    - listens on a random port
+//
+//  stop() closes the server and drops the schema again. TEST_DATABASE_URL
+//  must point at a disposable local database — never a real one.
+//
+// ============================================
+
+dotenv.config();
+process.env.JWT_SECRET ||= "test-jwt-secret";
+
+const { Pool } = pkg;
+
+// Stands in for Cloudinary: images live in a Map so tests can check what
+// was uploaded and what got cleaned up
+export const createMemoryStorage = () => {
+  const files = new Map();
+  return {
+    name: "memory",
+    files,
+
+    async upload(buffer, { mimetype } = {}) {
+      const id = `memory-${crypto.randomBytes(6).toString("hex")}`;
+      files.set(id, { buffer, mimetype });
+      return { url: `https://images.test/${id}`, id };
+    },
+
+    async remove(id) {
+      files.delete(id);
+    },
+
+    variantUrl: (id, size, format) => `https://images.test/${id}/${size}.${format}`,
+    rendersOnDemand: false,
+
+    async check() {},
+  };
+};
+
+export const createMemoryMailer = () => {
+  const sent = [];
+  return {
+    name: "memory",
+    sent,
+
+    async send(message) {
+      sent.push(message);
+    },
+  };
+};
+
+// Pulls the token out of the newest emailed link sent to an address
+export const lastEmailedToken = (mailer, to) => {
+  const message = mailer.sent.filter((m) => m.to === to).at(-1);
+  return message?.text.match(/token=([\w-]+)/)?.[1] ?? null;
+};
+
+// Polls check() until it returns something truthy — for work a route starts
+// but doesn't wait for, like mail sent after the response
+export const waitFor = async (check, { timeoutMs = 2000 } = {}) => {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const value = await check();
+    if (value) return value;
+    if (Date.now() > deadline) throw new Error("Timed out waiting for condition");
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+};
+
+// Makes the next matching query inside a transaction fail once. Only clients
+// checked out with pool.connect() are affected — that is what withTransaction
+// uses — while pool.query() (which connects with a callback) is left alone.
+export const failNextTransactionQuery = (pool, pattern) => {
+  const connect = pool.connect;
+  pool.connect = async function (callback) {
+    if (callback) return connect.call(this, callback);
+
+    const client = await connect.call(this);
+    const release = client.release;
+    client.query = function (text, ...args) {
+      const sql = typeof text === "string" ? text : text?.text;
+      if (pattern.test(sql || "")) {
+        pool.connect = connect;
+        return Promise.reject(new Error("Simulated database failure"));
+      }
+      return Object.getPrototypeOf(client).query.call(client, text, ...args);
+    };
+    client.release = (...args) => {
+      delete client.query;
+      return release.apply(client, args);
+    };
+    return client;
+  };
+};
+
+// Each call gets its own client address (the app trusts one proxy hop), so
+// the per-IP rate limiters only kick in for tests that pin an ip on purpose
+let nextAddress = 0;
+const uniqueAddress = () => {
+  nextAddress += 1;
+  return `10.${(nextAddress >> 16) & 255}.${(nextAddress >> 8) & 255}.${nextAddress & 255}`;
+};
+
+export const startTestApp = async ({
+  logger = createLogger({ level: "silent" }),
+  cache = createMemoryCache(),
+  paymentProvider = null,
+} = {}) => {
+  const connectionString = process.env.TEST_DATABASE_URL;
+  if (!connectionString) {
+    throw new Error("TEST_DATABASE_URL is not set — point it at a disposable local Postgres database");
+  }
+
+  const schema = `test_${process.pid}_${crypto.randomBytes(4).toString("hex")}`;
+  const admin = new Pool({ connectionString, max: 1 });
+  await admin.query(`CREATE SCHEMA ${schema}`);
+
+  const pool = new Pool({ connectionString, options: `-c search_path=${schema}`, max: 5 });
+  await migrateUp(pool, { log: () => {} });
+
+  const storage = createMemoryStorage();
+  const mailer = createMemoryMailer();
+  const { app, purgeArchivedProducts, expireUnpaidOrders, closeEventStreams } = createApp({ pool, storage, mailer, cache, paymentProvider, logger });
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, "127.0.0.1", () => resolve(listening));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  // api("POST", "/api/x", { token, body, form, ip, headers }) — body is sent
+  // as JSON, form as multipart. Resolves { status, body, headers }.
+  const api = async (method, path, { token, body, form, ip = uniqueAddress(), headers: extraHeaders = {} } = {}) => {
+    const headers = { "X-Forwarded-For": ip, ...extraHeaders };
+    if (token) headers.Authorization = `Bearer ${token}`;
+    if (body !== undefined) headers["Content-Type"] = "application/json";
+
+    const res = await fetch(`${baseUrl}${path}`, {
+      method,
+      headers,
+      body: form ?? (body === undefined ? undefined : JSON.stringify(body)),
+    });
+    const text = await res.text();
+    const isJson = res.headers.get("content-type")?.includes("application/json");
+    return { status: res.status, body: isJson ? JSON.parse(text) : text, headers: res.headers };
+  };
+
+  // Bcrypt at the lowest cost keeps fixtures fast; compare() reads the cost
+  // from the hash, so logging in with these works as normal
+  const createUser = async ({ email, password = "password123", role = "customer", verified = true, fullName = null }) => {
+    const hash = await bcrypt.hash(password, 4);
+    const result = await pool.query(
+      `INSERT INTO users (email, full_name, password_hash, role, email_verified_at)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING id, email, role`,
+      [email, fullName, hash, role, verified ? new Date() : null]
+    );
+    return result.rows[0];
+  };
+
+  const login = async (email, password = "password123") => {
+    const res = await api("POST", "/api/auth/login", { body: { email, password } });
+    if (res.status !== 200) throw new Error(`Login as ${email} failed: ${res.status} ${JSON.stringify(res.body)}`);
+    return res.body;
+  };
+
+  const stop = async () => {
+    closeEventStreams();
+    await new Promise((resolve) => server.close(resolve));
+    await pool.end();
+    await admin.query(`DROP SCHEMA ${schema} CASCADE`);
+    await admin.end();
+  };
+
+  return { api, baseUrl, pool, storage, mailer, cache, purgeArchivedProducts, expireUnpaidOrders, createUser, login, stop };
+};
+
+let productCounter = 0;
+
+// Creates a product through the API as the admin whose token is given, with
+// imageCount images, and resolves it. fields override the defaults.
+export const createProduct = async (t, token, fields = {}, imageCount = 1) => {
+  productCounter += 1;
+  const images = Array.from({ length: imageCount }, () => ["images", imageBlob()]);
+  const res = await t.api("POST", "/api/products", {
+    token,
+    form: formData({ productName: `Lamp ${productCounter}`, price: 100, stock: 5, sku: `LAMP-${productCounter}`, ...fields }, images),
+  });
+  if (res.status !== 201) throw new Error(`Creating a product failed: ${res.status} ${JSON.stringify(res.body)}`);
+  return res.body.product;
+};
+
+// A 1×1 PNG, as a multipart file part
+const PNG = Buffer.from(
+  "iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mP8z8BQDwAEhQGAhKmMIQAAAABJRU5ErkJggg==",
+  "base64"
+);
+
+export const imageBlob = () => new Blob([PNG], { type: "image/png" });
+
+// Multipart body from plain fields; files is [[fieldName, Blob, fileName], ...]
+export const formData = (fields = {}, files = []) => {
+  const form = new FormData();
+  for (const [name, value] of Object.entries(fields)) form.append(name, String(value));
+  for (const [name, blob, fileName = "image.png"] of files) form.append(name, blob, fileName);
+  return form;
+};
@@ -0,0 +1,89 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import sharp from "sharp";
+import { inspectImage, sizeDimensions, ImageReadError, IMAGE_SIZES, IMAGE_FORMATS } from "../images.js";
+import { createStorageFromEnv } from "../storage.js";
+
+const photo = (width, height, { orientation } = {}) => {
+  const image = sharp({ create: { width, height, channels: 3, background: { r: 180, g: 120, b: 60 } } }).jpeg();
+  return (orientation ? image.withMetadata({ orientation }) : image).toBuffer();
+};
+
+describe("inspectImage", () => {
+  it("reports the displayed dimensions and a small webp placeholder", async () => {
+    const details = await inspectImage(await photo(1200, 800));
+
+    assert.equal(details.width, 1200);
+    assert.equal(details.height, 800);
+    assert.match(details.placeholder, /^data:image\/webp;base64,/);
+    assert.ok(details.placeholder.length < 1000);
+
+    const preview = await sharp(Buffer.from(details.placeholder.split(",")[1], "base64")).metadata();
+    assert.deepEqual([preview.width, preview.height], [16, 11]);
+  });
+
+  it("swaps width and height for photos rotated by EXIF", async () => {
+    const details = await inspectImage(await photo(1200, 800, { orientation: 6 }));
+    assert.deepEqual([details.width, details.height], [800, 1200]);
+  });
+
+  it("throws ImageReadError for anything that isn't an image", async () => {
+    await assert.rejects(inspectImage(Buffer.from("plain text")), ImageReadError);
+  });
+});
+
+describe("sizeDimensions", () => {
+  it("crops fixed sizes and fits full inside its box without enlarging", () => {
+    assert.deepEqual(sizeDimensions("card", 3000, 1000), { width: 480, height: 480 });
+    assert.deepEqual(sizeDimensions("full", 4000, 2000), { width: 1600, height: 800 });
+    assert.deepEqual(sizeDimensions("full", 900, 1800), { width: 800, height: 1600 });
+    assert.deepEqual(sizeDimensions("full", 640, 480), { width: 640, height: 480 });
+  });
+});
+
+describe("local storage sizes", () => {
+  let directory;
+  let storage;
+
+  before(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), "brightnal-uploads-"));
+    storage = createStorageFromEnv({ STORAGE_DRIVER: "local", UPLOAD_DIR: directory, PUBLIC_BASE_URL: "https://shop.test" });
+  });
+
+  after(() => fs.rm(directory, { recursive: true, force: true }));
+
+  it("renders every size and format at upload and removes them with the original", async () => {
+    const { id } = await storage.upload(await photo(2000, 1000), { mimetype: "image/jpeg" });
+
+    for (const size of Object.keys(IMAGE_SIZES)) {
+      for (const format of IMAGE_FORMATS) {
+        const url = storage.variantUrl(id, size, format);
+        assert.ok(url.startsWith("https://shop.test/uploads/"), url);
+
+        const metadata = await sharp(path.join(directory, path.basename(url))).metadata();
+        const expected = sizeDimensions(size, 2000, 1000);
+        assert.deepEqual([metadata.width, metadata.height], [expected.width, expected.height], `${size} ${format}`);
+        assert.equal(metadata.format, format === "avif" ? "heif" : format);
+      }
+    }
+    assert.equal((await fs.readdir(directory)).length, 1 + Object.keys(IMAGE_SIZES).length * IMAGE_FORMATS.length);
+
+    await storage.remove(id);
+    assert.deepEqual(await fs.readdir(directory), []);
+  });
+});
+
+describe("cloudinary sizes", () => {
+  it("builds transformation URLs instead of storing copies", () => {
+    const storage = createStorageFromEnv({ STORAGE_DRIVER: "cloudinary", CLOUD_NAME: "demo", CLOUD_KEY: "key", CLOUD_SECRET: "secret" });
+
+    const card = storage.variantUrl("brightnal/lamp", "card", "webp");
+    assert.match(card, /^https:\/\/res\.cloudinary\.com\/demo\/image\/upload\/c_fill,g_auto,h_480,w_480\/q_auto\/.*brightnal\/lamp\.webp$/);
+
+    const full = storage.variantUrl("brightnal/lamp", "full", "jpeg");
+    assert.match(full, /\/c_limit,h_1600,w_1600\/q_auto\/.*brightnal\/lamp\.jpg$/);
+  });
+});
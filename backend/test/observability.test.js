@@ -0,0 +1,132 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { createLogger } from "../logger.js";
+import { startTestApp, formData, imageBlob } from "./helpers.js";
+
+let t;
+const lines = [];
+
+before(async () => {
+  const logger = createLogger({ level: "debug", write: (line) => lines.push(JSON.parse(line)) });
+  t = await startTestApp({ logger });
+});
+
+after(() => t.stop());
+
+const linesFor = (requestId) => lines.filter((line) => line.requestId === requestId);
+
+describe("request IDs and access logs", () => {
+  it("gives every response a request ID and logs the request under it", async () => {
+    const res = await t.api("GET", "/api/products/999999");
+    const requestId = res.headers.get("x-request-id");
+
+    assert.match(requestId, /^[0-9a-f-]{36}$/);
+    const [access] = linesFor(requestId).filter((line) => line.msg === "Request completed");
+    assert.equal(access.level, "info");
+    assert.equal(access.method, "GET");
+    assert.equal(access.path, "/api/products/999999");
+    assert.equal(access.route, "/api/products/:id");
+    assert.equal(access.status, 404);
+    assert.equal(typeof access.durationMs, "number");
+  });
+
+  it("keeps a sane incoming X-Request-Id and replaces anything else", async () => {
+    const kept = await t.api("GET", "/api/products/count", { headers: { "X-Request-Id": "edge-1234.abc" } });
+    assert.equal(kept.headers.get("x-request-id"), "edge-1234.abc");
+
+    const replaced = await t.api("GET", "/api/products/count", { headers: { "X-Request-Id": "bad id with spaces" } });
+    assert.match(replaced.headers.get("x-request-id"), /^[0-9a-f-]{36}$/);
+  });
+
+  it("logs route failures as JSON with the request ID and the error", async () => {
+    await t.createUser({ email: "admin@example.com", role: "admin" });
+    const admin = await t.login("admin@example.com");
+
+    // Image storage breaks mid-upload
+    const upload = t.storage.upload;
+    t.storage.upload = async () => {
+      throw new Error("storage is down");
+    };
+    const res = await t.api("POST", "/api/products", {
+      token: admin.token,
+      form: formData({ productName: "Broken Upload" }, [["images", imageBlob()]]),
+    });
+    t.storage.upload = upload;
+
+    assert.equal(res.status, 500);
+    const requestLines = linesFor(res.headers.get("x-request-id"));
+    const failure = requestLines.find((line) => line.msg === "Create product error");
+    assert.equal(failure.level, "error");
+    assert.equal(failure.err.message, "storage is down");
+    assert.ok(failure.err.stack);
+    assert.equal(requestLines.find((line) => line.msg === "Request completed").level, "error");
+  });
+});
+
+describe("GET /metrics", () => {
+  it("exposes request counts and latency per route, pool usage and upload durations", async () => {
+    await t.api("GET", "/api/products/999999");
+    const admin = await t.login("admin@example.com");
+    await t.api("POST", "/api/products", {
+      token: admin.token,
+      form: formData({ productName: "Metered Lamp" }, [["images", imageBlob()]]),
+    });
+
+    const res = await t.api("GET", "/metrics");
+    assert.equal(res.status, 200);
+    assert.match(res.headers.get("content-type"), /^text\/plain;.*version=0\.0\.4/);
+
+    const text = res.body;
+    assert.match(text, /^http_requests_total\{method="GET",route="\/api\/products\/:id",status="404"\} \d+$/m);
+    assert.match(text, /^http_request_duration_seconds_bucket\{method="POST",route="\/api\/products",status="201",le="\+Inf"\} 1$/m);
+    assert.match(text, /^http_request_duration_seconds_count\{method="GET",route="\/api\/products\/:id",status="404"\} \d+$/m);
+    assert.match(text, /^pg_pool_clients\{state="idle"\} \d+$/m);
+    assert.match(text, /^pg_pool_max_clients 5$/m);
+    assert.match(text, /^pg_pool_waiting_requests 0$/m);
+    assert.match(text, /^image_upload_duration_seconds_count\{storage="memory",outcome="success"\} 1$/m);
+    assert.match(text, /^image_upload_duration_seconds_count\{storage="memory",outcome="error"\} 1$/m);
+  });
+
+  it("labels requests that match no route as unmatched", async () => {
+    await t.api("GET", "/api/no-such-route/12345");
+    const res = await t.api("GET", "/metrics");
+    assert.match(res.body, /^http_requests_total\{method="GET",route="unmatched",status="404"\} \d+$/m);
+    assert.doesNotMatch(res.body, /no-such-route/);
+  });
+});
+
+describe("GET /api/health/ready", () => {
+  it("reports ready when the database and storage answer", async () => {
+    const res = await t.api("GET", "/api/health/ready");
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.status, "ready");
+    assert.equal(res.body.checks.database.ok, true);
+    assert.equal(res.body.checks.storage.ok, true);
+    assert.equal(res.body.checks.storage.driver, "memory");
+  });
+
+  it("answers 503 when image storage is unreachable", async () => {
+    const check = t.storage.check;
+    t.storage.check = async () => {
+      throw new Error("connection refused");
+    };
+    const res = await t.api("GET", "/api/health/ready");
+    t.storage.check = check;
+
+    assert.equal(res.status, 503);
+    assert.equal(res.body.status, "not ready");
+    assert.equal(res.body.checks.database.ok, true);
+    assert.equal(res.body.checks.storage.ok, false);
+
+    const warning = linesFor(res.headers.get("x-request-id")).find((line) => line.msg === "Readiness check failed");
+    assert.equal(warning.check, "storage");
+    assert.equal(warning.err.message, "connection refused");
+  });
+
+  it("logs probes at debug level", async () => {
+    const res = await t.api("GET", "/api/health");
+    const [access] = linesFor(res.headers.get("x-request-id"));
+    assert.equal(access.level, "debug");
+  });
+});
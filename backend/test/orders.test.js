@@ -0,0 +1,204 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { PaymentProviderError } from "../payments.js";
+import { startTestApp, createProduct } from "./helpers.js";
+
+// Records what the app sends and checks the payments row is already there
+// when the gateway is called; failNext makes the next call throw. Webhooks
+// are unsigned JSON events.
+const gateway = {
+  name: "fake",
+  calls: [],
+  failNext: false,
+  async initializeTransaction(params) {
+    const row = await t.pool.query("SELECT status FROM payments WHERE reference = $1", [params.reference]);
+    this.calls.push({ ...params, recorded: row.rows[0]?.status ?? null });
+    if (this.failNext) {
+      this.failNext = false;
+      throw new PaymentProviderError("Gateway unavailable", 503);
+    }
+    return { reference: params.reference, authorizationUrl: `https://pay.test/${params.reference}`, accessCode: "code" };
+  },
+  verifyWebhookSignature: () => true,
+  parseWebhookEvent: (rawBody) => JSON.parse(rawBody),
+};
+
+let t;
+let admin;
+let shopper;
+
+before(async () => {
+  t = await startTestApp({ paymentProvider: gateway });
+  await t.createUser({ email: "admin@example.com", role: "admin" });
+  await t.createUser({ email: "shopper@example.com" });
+  admin = await t.login("admin@example.com");
+  shopper = await t.login("shopper@example.com");
+});
+
+after(() => t.stop());
+
+const checkout = async (productId, body = {}) => {
+  await t.api("POST", "/api/cart/items", { token: shopper.token, body: { productId, quantity: 1 } });
+  const res = await t.api("POST", "/api/orders/checkout", { token: shopper.token, body });
+  assert.equal(res.status, 201, JSON.stringify(res.body));
+  return res.body.order;
+};
+
+describe("POST /api/orders/:id/pay", () => {
+  it("records the payment before the gateway is called", async () => {
+    const order = await checkout((await createProduct(t, admin.token)).id);
+
+    const res = await t.api("POST", `/api/orders/${order.id}/pay`, { token: shopper.token });
+    assert.equal(res.status, 201);
+
+    const call = gateway.calls.at(-1);
+    assert.equal(call.reference, res.body.payment.reference);
+    assert.equal(call.recorded, "pending");
+  });
+
+  it("hands back the checkout already started instead of opening another", async () => {
+    const order = await checkout((await createProduct(t, admin.token)).id);
+    const calls = gateway.calls.length;
+
+    const first = await t.api("POST", `/api/orders/${order.id}/pay`, { token: shopper.token });
+    const second = await t.api("POST", `/api/orders/${order.id}/pay`, { token: shopper.token });
+    assert.equal(first.status, 201);
+    assert.equal(second.status, 200);
+    assert.deepEqual(second.body.payment, first.body.payment);
+    assert.equal(gateway.calls.length, calls + 1);
+    assert.equal((await t.pool.query("SELECT COUNT(*) FROM payments WHERE order_id = $1", [order.id])).rows[0].count, "1");
+  });
+
+  it("marks the payment failed when the gateway errors", async () => {
+    const order = await checkout((await createProduct(t, admin.token)).id);
+
+    gateway.failNext = true;
+    const res = await t.api("POST", `/api/orders/${order.id}/pay`, { token: shopper.token });
+    assert.equal(res.status, 502);
+
+    const payment = await t.pool.query("SELECT status FROM payments WHERE reference = $1", [gateway.calls.at(-1).reference]);
+    assert.equal(payment.rows[0].status, "failed");
+  });
+});
+
+let couponCounter = 0;
+const createCoupon = async (fields) => {
+  couponCounter += 1;
+  const res = await t.api("POST", "/api/admin/promotions", {
+    token: admin.token,
+    body: { code: `FREE${couponCounter}`, ...fields },
+  });
+  assert.equal(res.status, 201, JSON.stringify(res.body));
+  return res.body.promotion;
+};
+
+describe("POST /api/orders/checkout", () => {
+  it("marks an order the coupon pays for in full as paid", async () => {
+    const product = await createProduct(t, admin.token);
+    const coupon = await createCoupon({ discountType: "percentage", discountValue: 100 });
+
+    const order = await checkout(product.id, { couponCode: coupon.code });
+    assert.equal(Number(order.total_amount), 0);
+    assert.equal(order.status, "paid");
+
+    const pay = await t.api("POST", `/api/orders/${order.id}/pay`, { token: shopper.token });
+    assert.equal(pay.status, 409);
+  });
+});
+
+describe("expireUnpaidOrders", () => {
+  const age = (orderId, hours) =>
+    t.pool.query("UPDATE orders SET created_at = NOW() - make_interval(hours => $2) WHERE id = $1", [orderId, hours]);
+
+  it("cancels stale pending orders, restocks them and frees their coupon use", async () => {
+    const product = await createProduct(t, admin.token, { stock: 3 });
+    const coupon = await createCoupon({ discountType: "fixed", discountValue: 10, maxUses: 1 });
+
+    const stale = await checkout(product.id, { couponCode: coupon.code });
+    const fresh = await checkout(product.id);
+    await age(stale.id, 25);
+
+    const used = await t.api("POST", "/api/pricing/quote", { token: shopper.token, body: { items: [{ productId: product.id }], couponCode: coupon.code } });
+    assert.equal(used.body.quote.coupon.applied, false);
+
+    assert.equal(await t.expireUnpaidOrders(), 1);
+
+    const orders = await t.pool.query("SELECT id, status FROM orders WHERE id = ANY($1::int[]) ORDER BY id", [[stale.id, fresh.id]]);
+    assert.deepEqual(orders.rows.map((o) => o.status), ["cancelled", "pending"]);
+    assert.equal((await t.api("GET", `/api/products/${product.id}`)).body.product.stock, 2);
+
+    const freed = await t.api("POST", "/api/pricing/quote", { token: shopper.token, body: { items: [{ productId: product.id }], couponCode: coupon.code } });
+    assert.equal(freed.body.quote.coupon.applied, true);
+  });
+
+  it("waits on an order whose payment was just started", async () => {
+    const order = await checkout((await createProduct(t, admin.token)).id);
+    assert.equal((await t.api("POST", `/api/orders/${order.id}/pay`, { token: shopper.token })).status, 201);
+    await age(order.id, 25);
+
+    assert.equal(await t.expireUnpaidOrders(), 0);
+    assert.equal((await t.pool.query("SELECT status FROM orders WHERE id = $1", [order.id])).rows[0].status, "pending");
+  });
+});
+
+describe("payments for orders that stopped waiting", () => {
+  const webhook = (reference, amount) =>
+    fetch(`${t.baseUrl}/api/payments/webhook`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ type: "payment.success", reference, amount, status: "success" }),
+    });
+
+  it("leaves a payment for an expired order refund_due and lists it for admins", async () => {
+    const product = await createProduct(t, admin.token, { stock: 2 });
+    const order = await checkout(product.id);
+    const pay = await t.api("POST", `/api/orders/${order.id}/pay`, { token: shopper.token });
+    const { reference } = pay.body.payment;
+    // Expired once the customer is an hour past starting the payment
+    await t.pool.query("UPDATE orders SET created_at = NOW() - INTERVAL '25 hours' WHERE id = $1", [order.id]);
+    await t.pool.query("UPDATE payments SET created_at = NOW() - INTERVAL '2 hours' WHERE reference = $1", [reference]);
+    assert.equal(await t.expireUnpaidOrders(), 1);
+
+    const res = await webhook(reference, Number(order.total_amount));
+    assert.equal(res.status, 200);
+
+    const payment = await t.pool.query("SELECT status, paid_at FROM payments WHERE reference = $1", [reference]);
+    assert.equal(payment.rows[0].status, "refund_due");
+    assert.ok(payment.rows[0].paid_at);
+    assert.equal((await t.pool.query("SELECT status FROM orders WHERE id = $1", [order.id])).rows[0].status, "cancelled");
+
+    // Retried webhooks don't change it again
+    assert.equal((await (await webhook(reference, Number(order.total_amount))).json()).message, "Already processed");
+
+    const listed = await t.api("GET", "/api/admin/payments?status=refund_due", { token: admin.token });
+    assert.equal(listed.status, 200);
+    const entry = listed.body.payments.find((p) => p.reference === reference);
+    assert.equal(entry.order_status, "cancelled");
+    assert.equal(entry.email, "shopper@example.com");
+
+    const audit = await t.api("GET", "/api/admin/audit-log?entityType=payment&action=refund_due", { token: admin.token });
+    assert.equal(audit.body.entries.length, 1);
+  });
+
+  it("leaves a second payment for an order already paid refund_due", async () => {
+    const order = await checkout((await createProduct(t, admin.token)).id);
+    const first = await t.api("POST", `/api/orders/${order.id}/pay`, { token: shopper.token });
+    // A reference the app no longer hands back, e.g. from before a failure
+    await t.pool.query("UPDATE payments SET authorization_url = NULL WHERE reference = $1", [first.body.payment.reference]);
+    const second = await t.api("POST", `/api/orders/${order.id}/pay`, { token: shopper.token });
+    assert.notEqual(second.body.payment.reference, first.body.payment.reference);
+
+    await webhook(first.body.payment.reference, Number(order.total_amount));
+    await webhook(second.body.payment.reference, Number(order.total_amount));
+
+    const payments = await t.pool.query("SELECT reference, status FROM payments WHERE order_id = $1 ORDER BY id", [order.id]);
+    assert.deepEqual(payments.rows.map((p) => p.status), ["success", "refund_due"]);
+    assert.equal((await t.pool.query("SELECT status FROM orders WHERE id = $1", [order.id])).rows[0].status, "paid");
+  });
+
+  it("keeps the payment list for admins", async () => {
+    const shopperList = await t.api("GET", "/api/admin/payments", { token: shopper.token });
+    assert.equal(shopperList.status, 403);
+    assert.equal((await t.api("GET", "/api/admin/payments?status=lost", { token: admin.token })).status, 400);
+  });
+});
@@ -0,0 +1,200 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { createLogger } from "../logger.js";
+import { startTestApp, createProduct, formData } from "./helpers.js";
+
+let t;
+let admin;
+const lines = [];
+
+before(async () => {
+  const logger = createLogger({ level: "warn", write: (line) => lines.push(JSON.parse(line)) });
+  t = await startTestApp({ logger });
+  await t.createUser({ email: "admin@example.com", role: "admin" });
+  admin = await t.login("admin@example.com");
+});
+
+after(() => t.stop());
+
+describe("product read cache", () => {
+  it("serves repeat reads from the cache until a product write", async () => {
+    const product = await createProduct(t, admin.token);
+    const path = `/api/products/${product.id}`;
+
+    assert.equal((await t.api("GET", path)).headers.get("x-cache"), "MISS");
+    assert.equal((await t.api("GET", path)).headers.get("x-cache"), "HIT");
+
+    // Writes that bypass the API stay invisible until the cache is invalidated
+    await t.pool.query("UPDATE products SET description = 'Changed behind the API' WHERE id = $1", [product.id]);
+    assert.equal((await t.api("GET", path)).body.product.description, "No description");
+
+    const update = await t.api("PUT", path, { token: admin.token, form: formData({ price: 65 }) });
+    assert.equal(update.status, 200);
+
+    const fresh = await t.api("GET", path);
+    assert.equal(fresh.headers.get("x-cache"), "MISS");
+    assert.equal(fresh.body.product.description, "Changed behind the API");
+    assert.equal(Number(fresh.body.product.price), 65);
+  });
+
+  it("drops cached stock and ratings when orders and reviews change them", async () => {
+    await t.createUser({ email: "shopper@example.com" });
+    const shopper = await t.login("shopper@example.com");
+    const product = await createProduct(t, admin.token, { stock: 5 });
+    const path = `/api/products/${product.id}`;
+    const read = async () => {
+      await t.api("GET", path);
+      return (await t.api("GET", path)).body.product;
+    };
+
+    await t.api("POST", "/api/cart/items", { token: shopper.token, body: { productId: product.id, quantity: 1 } });
+    assert.equal((await read()).stock, 5);
+    const checkout = await t.api("POST", "/api/orders/checkout", { token: shopper.token, body: {} });
+    assert.equal(checkout.status, 201);
+    assert.equal((await read()).stock, 4);
+
+    const paid = await t.api("PUT", `/api/admin/orders/${checkout.body.order.id}/status`, { token: admin.token, body: { status: "paid" } });
+    assert.equal(paid.status, 200);
+    const posted = await t.api("POST", `${path}/reviews`, { token: shopper.token, body: { rating: 4 } });
+    assert.equal(posted.status, 201);
+    assert.equal((await read()).rating_count, 1);
+
+    const reviewPath = `/api/reviews/${posted.body.review.id}`;
+    await t.api("PUT", reviewPath, { token: shopper.token, body: { rating: 2 } });
+    assert.equal(Number((await read()).rating_average), 2);
+
+    await t.api("PUT", `/api/admin/reviews/${posted.body.review.id}/status`, { token: admin.token, body: { status: "hidden" } });
+    assert.equal((await read()).rating_count, 0);
+
+    await t.api("PUT", `/api/admin/reviews/${posted.body.review.id}/status`, { token: admin.token, body: { status: "approved" } });
+    assert.equal((await read()).rating_count, 1);
+    await t.api("DELETE", reviewPath, { token: shopper.token });
+    assert.equal((await read()).rating_count, 0);
+
+    await t.api("PUT", `/api/admin/orders/${checkout.body.order.id}/status`, { token: admin.token, body: { status: "cancelled" } });
+    assert.equal((await read()).stock, 5);
+  });
+
+  it("drops cached names when a category or brand is renamed", async () => {
+    const category = await t.api("POST", "/api/categories", { token: admin.token, body: { name: "Ceramics" } });
+    const brand = await t.api("POST", "/api/brands", { token: admin.token, body: { name: "Kiln Co" } });
+    const product = await createProduct(t, admin.token, { categoryId: category.body.category.id, brandId: brand.body.brand.id });
+    const path = `/api/products/${product.id}`;
+    await t.api("GET", path);
+    assert.equal((await t.api("GET", path)).headers.get("x-cache"), "HIT");
+
+    await t.api("PUT", `/api/categories/${category.body.category.id}`, { token: admin.token, body: { name: "Pottery" } });
+    assert.equal((await t.api("GET", path)).body.product.category, "Pottery");
+
+    await t.api("GET", path);
+    await t.api("PUT", `/api/brands/${brand.body.brand.id}`, { token: admin.token, body: { name: "Wheel Co" } });
+    assert.equal((await t.api("GET", path)).body.product.brand, "Wheel Co");
+  });
+
+  it("keys listings by their validated query", async () => {
+    await t.api("GET", "/api/products?limit=5&page=1");
+    const reordered = await t.api("GET", "/api/products?page=1&limit=5");
+    assert.equal(reordered.headers.get("x-cache"), "HIT");
+
+    const before = await t.api("GET", "/api/products/count");
+    await createProduct(t, admin.token);
+    const after = await t.api("GET", "/api/products/count");
+    assert.equal(after.body.count, before.body.count + 1);
+  });
+
+  it("doesn't cache a missing product", async () => {
+    const first = await t.api("GET", "/api/products/999999");
+    const second = await t.api("GET", "/api/products/999999");
+    assert.equal(first.status, 404);
+    assert.equal(second.headers.get("x-cache"), "MISS");
+  });
+
+  it("falls back to the database when the cache fails", async () => {
+    const product = await createProduct(t, admin.token);
+    const get = t.cache.get;
+    t.cache.get = async () => {
+      throw new Error("cache is down");
+    };
+    const res = await t.api("GET", `/api/products/${product.id}`);
+    t.cache.get = get;
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.product.id, product.id);
+    assert.equal(res.headers.get("x-cache"), null);
+    const warning = lines.find((line) => line.requestId === res.headers.get("x-request-id"));
+    assert.equal(warning.msg, "Product cache read failed");
+    assert.equal(warning.err.message, "cache is down");
+
+    const metrics = await t.api("GET", "/metrics");
+    assert.match(metrics.body, /^product_cache_requests_total\{result="error"\} 1$/m);
+    assert.match(metrics.body, /^product_cache_requests_total\{result="hit"\} \d+$/m);
+  });
+});
+
+// fetch() adds Cache-Control: no-cache to conditional requests, which rules
+// out a 304 — send what a browser revalidating its copy would
+const revalidate = (path, conditions) => t.api("GET", path, { headers: { "Cache-Control": "max-age=0", ...conditions } });
+
+describe("conditional GETs", () => {
+  it("answers If-None-Match with a 304 until the product changes", async () => {
+    const product = await createProduct(t, admin.token);
+    const path = `/api/products/${product.id}`;
+
+    const first = await t.api("GET", path);
+    const etag = first.headers.get("etag");
+    assert.ok(etag);
+    assert.equal(first.headers.get("cache-control"), "public, no-cache");
+
+    // The cached copy must produce the same ETag as the one built from the database
+    const cached = await revalidate(path, { "If-None-Match": etag });
+    assert.equal(cached.headers.get("x-cache"), "HIT");
+    assert.equal(cached.status, 304);
+
+    await t.api("PUT", path, { token: admin.token, form: formData({ productName: "Renamed Vase" }) });
+    const changed = await revalidate(path, { "If-None-Match": etag });
+    assert.equal(changed.status, 200);
+    assert.notEqual(changed.headers.get("etag"), etag);
+  });
+
+  it("answers If-Modified-Since with a 304 from Last-Modified", async () => {
+    const product = await createProduct(t, admin.token);
+
+    for (const path of [`/api/products/${product.id}`, "/api/products", "/api/products/all", "/api/products/count"]) {
+      const first = await t.api("GET", path);
+      const lastModified = first.headers.get("last-modified");
+      assert.ok(lastModified, path);
+
+      const res = await revalidate(path, { "If-Modified-Since": lastModified });
+      assert.equal(res.status, 304, path);
+    }
+  });
+});
+
+describe("products.updated_at", () => {
+  // The trigger overrides even an explicit value, so backdating switches it off
+  const backdate = async (id) => {
+    await t.pool.query("ALTER TABLE products DISABLE TRIGGER products_touch_updated_at");
+    await t.pool.query("UPDATE products SET updated_at = NOW() - INTERVAL '1 day' WHERE id = $1", [id]);
+    await t.pool.query("ALTER TABLE products ENABLE TRIGGER products_touch_updated_at");
+  };
+
+  const touched = async (id) =>
+    (await t.pool.query("SELECT updated_at > NOW() - INTERVAL '1 minute' AS recent FROM products WHERE id = $1", [id])).rows[0].recent;
+
+  it("moves when the product, its variants or its images change", async () => {
+    const product = await createProduct(t, admin.token);
+
+    await backdate(product.id);
+    assert.equal(await touched(product.id), false);
+    await t.pool.query("UPDATE products SET stock = stock + 1 WHERE id = $1", [product.id]);
+    assert.equal(await touched(product.id), true);
+
+    await backdate(product.id);
+    await t.pool.query("INSERT INTO product_variants (product_id, sku, size, stock) VALUES ($1, $2, 'M', 1)", [product.id, `VASE-M-${product.id}`]);
+    assert.equal(await touched(product.id), true);
+
+    await backdate(product.id);
+    await t.pool.query("UPDATE product_images SET position = position WHERE product_id = $1", [product.id]);
+    assert.equal(await touched(product.id), true);
+  });
+});
@@ -0,0 +1,574 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startTestApp, createProduct, failNextTransactionQuery, formData, imageBlob } from "./helpers.js";
+
+let t;
+let admin;
+let customer;
+
+before(async () => {
+  t = await startTestApp();
+  await t.createUser({ email: "admin@example.com", role: "admin" });
+  await t.createUser({ email: "customer@example.com" });
+  admin = await t.login("admin@example.com");
+  customer = await t.login("customer@example.com");
+});
+
+after(() => t.stop());
+
+const storedImages = () => [...t.storage.files.keys()].sort();
+
+describe("product listing", () => {
+  before(async () => {
+    await createProduct(t, admin.token, { productName: "Brass Desk Lamp", price: 250, stock: 0, category: "Lighting" });
+    await createProduct(t, admin.token, { productName: "Oak Side Table", price: 90, stock: 3, category: "Furniture" });
+  });
+
+  it("GET /api/products paginates", async () => {
+    const res = await t.api("GET", "/api/products?limit=1");
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.products.length, 1);
+    assert.equal(res.body.pagination.limit, 1);
+    assert.ok(res.body.pagination.total >= 2);
+    assert.equal(res.body.pagination.hasNextPage, true);
+  });
+
+  it("GET /api/products filters, searches and sorts", async () => {
+    const inStock = await t.api("GET", "/api/products?category=furniture&in_stock=true");
+    assert.deepEqual(inStock.body.products.map((p) => p.product_name), ["Oak Side Table"]);
+
+    const search = await t.api("GET", "/api/products?q=brass");
+    assert.deepEqual(search.body.products.map((p) => p.product_name), ["Brass Desk Lamp"]);
+    assert.equal(search.body.sort, "relevance");
+
+    const sorted = await t.api("GET", "/api/products?sort=price_asc&min_price=90&max_price=250");
+    const prices = sorted.body.products.map((p) => Number(p.effective_price));
+    assert.deepEqual(prices, [...prices].sort((a, b) => a - b));
+  });
+
+  it("GET /api/products rejects a bad query with 400", async () => {
+    const res = await t.api("GET", "/api/products?limit=0&sort=cheapest");
+    assert.equal(res.status, 400);
+    assert.deepEqual(res.body.errors.map((e) => e.field).sort(), ["limit", "sort"]);
+  });
+
+  it("GET /api/products/all and /count agree", async () => {
+    const all = await t.api("GET", "/api/products/all");
+    const count = await t.api("GET", "/api/products/count");
+
+    assert.equal(all.status, 200);
+    assert.equal(count.status, 200);
+    assert.equal(all.body.total, count.body.count);
+  });
+});
+
+describe("GET /api/products/:id", () => {
+  it("returns the product with its images and variants", async () => {
+    const product = await createProduct(t, admin.token);
+    const res = await t.api("GET", `/api/products/${product.id}`);
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.product.id, product.id);
+    assert.equal(res.body.product.images.length, 1);
+    assert.deepEqual(res.body.product.variants, []);
+  });
+
+  it("answers 404 for an unknown product and 400 for a bad id", async () => {
+    assert.equal((await t.api("GET", "/api/products/999999")).status, 404);
+    assert.equal((await t.api("GET", "/api/products/abc")).status, 400);
+  });
+});
+
+describe("POST /api/products", () => {
+  it("creates a product, stores its images and records the opening stock", async () => {
+    const product = await createProduct(t, admin.token, { stock: 7 }, 2);
+
+    assert.equal(product.images.length, 2);
+    assert.equal(product.images.filter((image) => image.is_primary).length, 1);
+    assert.equal(product.image_url, product.images.find((image) => image.is_primary).image_url);
+    for (const image of product.images) {
+      assert.ok(t.storage.files.has(image.cloudinary_id));
+    }
+
+    const movements = await t.api("GET", `/api/products/${product.id}/stock-movements`, { token: admin.token });
+    assert.equal(movements.body.movements[0].movement_type, "restock");
+    assert.equal(movements.body.movements[0].quantity_delta, 7);
+  });
+
+  it("still accepts the single \"image\" field", async () => {
+    const res = await t.api("POST", "/api/products", {
+      token: admin.token,
+      form: formData({ productName: "Legacy Upload" }, [["image", imageBlob()]]),
+    });
+    assert.equal(res.status, 201);
+    assert.equal(res.body.product.images.length, 1);
+  });
+
+  it("requires an admin (401 without a token, 403 for customers)", async () => {
+    const form = () => formData({ productName: "Nope" }, [["images", imageBlob()]]);
+    assert.equal((await t.api("POST", "/api/products", { form: form() })).status, 401);
+    assert.equal((await t.api("POST", "/api/products", { token: customer.token, form: form() })).status, 403);
+  });
+
+  it("rejects invalid input with 400 before uploading anything", async () => {
+    const before = storedImages();
+
+    const noName = await t.api("POST", "/api/products", {
+      token: admin.token,
+      form: formData({ price: "-1" }, [["images", imageBlob()]]),
+    });
+    assert.equal(noName.status, 400);
+    assert.deepEqual(noName.body.errors.map((e) => e.field).sort(), ["price", "productName"]);
+
+    const noImage = await t.api("POST", "/api/products", { token: admin.token, form: formData({ productName: "No Image" }) });
+    assert.equal(noImage.status, 400);
+
+    const notAnImage = await t.api("POST", "/api/products", {
+      token: admin.token,
+      form: formData({ productName: "Text File" }, [["images", new Blob(["hello"], { type: "text/plain" }), "notes.txt"]]),
+    });
+    assert.equal(notAnImage.status, 400);
+    assert.equal(notAnImage.body.message, "Only image files are allowed");
+
+    const badSale = await t.api("POST", "/api/products", {
+      token: admin.token,
+      form: formData({ productName: "Bad Sale", price: 100, salePrice: 120 }, [["images", imageBlob()]]),
+    });
+    assert.equal(badSale.status, 400);
+    assert.equal(badSale.body.errors[0].field, "salePrice");
+
+    assert.deepEqual(storedImages(), before);
+  });
+
+  it("deletes the uploaded images when the insert fails", async () => {
+    const before = storedImages();
+    const { rows: [{ count }] } = await t.pool.query("SELECT COUNT(*)::INT AS count FROM products");
+
+    failNextTransactionQuery(t.pool, /INSERT INTO products/);
+    const res = await t.api("POST", "/api/products", {
+      token: admin.token,
+      form: formData({ productName: "Doomed Lamp" }, [["images", imageBlob()], ["images", imageBlob()]]),
+    });
+
+    assert.equal(res.status, 500);
+    assert.deepEqual(storedImages(), before);
+    const after = await t.pool.query("SELECT COUNT(*)::INT AS count FROM products");
+    assert.equal(after.rows[0].count, count);
+  });
+});
+
+describe("PUT /api/products/:id", () => {
+  it("updates fields and records a stock change as a correction", async () => {
+    const product = await createProduct(t, admin.token, { stock: 5 });
+
+    const res = await t.api("PUT", `/api/products/${product.id}`, {
+      token: admin.token,
+      form: formData({ productName: "Renamed Lamp", price: 120, stock: 2 }),
+    });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.product.product_name, "Renamed Lamp");
+    assert.equal(Number(res.body.product.price), 120);
+    assert.equal(res.body.product.stock, 2);
+    assert.equal(res.body.product.sku, product.sku);
+
+    const movements = await t.api("GET", `/api/products/${product.id}/stock-movements`, { token: admin.token });
+    assert.equal(movements.body.movements[0].movement_type, "correction");
+    assert.equal(movements.body.movements[0].quantity_delta, -3);
+  });
+
+  it("replaces the primary image and deletes the old one from storage", async () => {
+    const product = await createProduct(t, admin.token);
+    const oldId = product.cloudinary_id;
+
+    const res = await t.api("PUT", `/api/products/${product.id}`, {
+      token: admin.token,
+      form: formData({}, [["image", imageBlob()]]),
+    });
+    assert.equal(res.status, 200);
+    assert.notEqual(res.body.product.cloudinary_id, oldId);
+    assert.equal(t.storage.files.has(oldId), false);
+    assert.equal(t.storage.files.has(res.body.product.cloudinary_id), true);
+  });
+
+  it("answers 404, 400 and 403 where it should", async () => {
+    const product = await createProduct(t, admin.token);
+
+    assert.equal((await t.api("PUT", "/api/products/999999", { token: admin.token, form: formData({ price: 1 }) })).status, 404);
+    assert.equal((await t.api("PUT", `/api/products/${product.id}`, { token: admin.token, form: formData({ price: "abc" }) })).status, 400);
+    assert.equal((await t.api("PUT", `/api/products/${product.id}`, { token: customer.token, form: formData({ price: 1 }) })).status, 403);
+  });
+
+  it("deletes newly uploaded images when the update fails", async () => {
+    const product = await createProduct(t, admin.token);
+    const before = storedImages();
+
+    failNextTransactionQuery(t.pool, /UPDATE products\s+SET product_name/);
+    const res = await t.api("PUT", `/api/products/${product.id}`, {
+      token: admin.token,
+      form: formData({ productName: "Never Saved" }, [["images", imageBlob()]]),
+    });
+
+    assert.equal(res.status, 500);
+    assert.deepEqual(storedImages(), before);
+    const images = await t.api("GET", `/api/products/${product.id}/images`);
+    assert.equal(images.body.images.length, 1);
+  });
+});
+
+describe("archiving, trash and restore", () => {
+  it("DELETE moves a product to the trash and restore brings it back", async () => {
+    const product = await createProduct(t, admin.token);
+
+    const removed = await t.api("DELETE", `/api/products/${product.id}`, { token: admin.token });
+    assert.equal(removed.status, 200);
+    assert.ok(removed.body.purgeAt);
+
+    assert.equal((await t.api("GET", `/api/products/${product.id}`)).status, 404);
+    assert.equal((await t.api("DELETE", `/api/products/${product.id}`, { token: admin.token })).status, 404);
+    assert.equal((await t.api("PUT", `/api/products/${product.id}`, { token: admin.token, form: formData({ price: 1 }) })).status, 404);
+
+    const trash = await t.api("GET", "/api/admin/products/trash", { token: admin.token });
+    assert.equal(trash.status, 200);
+    assert.ok(trash.body.products.some((p) => p.id === product.id && p.purge_at));
+
+    const restored = await t.api("POST", `/api/products/${product.id}/restore`, { token: admin.token });
+    assert.equal(restored.status, 200);
+    assert.equal((await t.api("GET", `/api/products/${product.id}`)).status, 200);
+    assert.equal((await t.api("POST", `/api/products/${product.id}/restore`, { token: admin.token })).status, 404);
+  });
+
+  it("leaves the images and variants of an archived product alone", async () => {
+    const product = await createProduct(t, admin.token, {}, 2);
+    const variant = await t.api("POST", `/api/products/${product.id}/variants`, { token: admin.token, body: { size: "M", stock: 2 } });
+    assert.equal(variant.status, 201);
+    await t.api("DELETE", `/api/products/${product.id}`, { token: admin.token });
+
+    const base = `/api/products/${product.id}`;
+    const [first, second] = product.images;
+    const attempts = [
+      ["POST", `${base}/variants`, { body: { size: "L", stock: 1 } }],
+      ["PUT", `${base}/variants/${variant.body.variant.id}`, { body: { stock: 9 } }],
+      ["DELETE", `${base}/variants/${variant.body.variant.id}`, {}],
+      ["PUT", `${base}/images/order`, { body: { imageIds: [second.id, first.id] } }],
+      ["PUT", `${base}/images/${second.id}/primary`, {}],
+      ["DELETE", `${base}/images/${second.id}`, {}],
+      ["POST", `${base}/stock-adjustments`, { body: { delta: 1, type: "restock", reason: "Delivery" } }],
+    ];
+    for (const [method, path, options] of attempts) {
+      const res = await t.api(method, path, { token: admin.token, ...options });
+      assert.equal(res.status, 404, `${method} ${path}`);
+      assert.equal(res.body.message, "Product not found");
+    }
+
+    for (const image of product.images) {
+      assert.ok(t.storage.files.has(image.cloudinary_id));
+    }
+    const variants = await t.pool.query("SELECT stock FROM product_variants WHERE product_id = $1", [product.id]);
+    assert.deepEqual(variants.rows, [{ stock: 2 }]);
+
+    await t.api("POST", `${base}/restore`, { token: admin.token });
+    assert.equal((await t.api("GET", `${base}/images`)).body.images.length, 2);
+  });
+
+  it("trash and restore are admin-only", async () => {
+    assert.equal((await t.api("GET", "/api/admin/products/trash")).status, 401);
+    assert.equal((await t.api("GET", "/api/admin/products/trash", { token: customer.token })).status, 403);
+    assert.equal((await t.api("DELETE", "/api/products/1", { token: customer.token })).status, 403);
+  });
+
+  it("the purge job deletes expired products and their stored images", async () => {
+    const product = await createProduct(t, admin.token, {}, 2);
+    await t.api("DELETE", `/api/products/${product.id}`, { token: admin.token });
+    await t.pool.query("UPDATE products SET deleted_at = NOW() - INTERVAL '31 days' WHERE id = $1", [product.id]);
+
+    assert.equal(await t.purgeArchivedProducts(), 1);
+
+    for (const image of product.images) {
+      assert.equal(t.storage.files.has(image.cloudinary_id), false);
+    }
+    const row = await t.pool.query("SELECT 1 FROM products WHERE id = $1", [product.id]);
+    assert.equal(row.rows.length, 0);
+  });
+});
+
+describe("product images", () => {
+  it("lists, adds, reorders, promotes and deletes images", async () => {
+    const product = await createProduct(t, admin.token);
+
+    const added = await t.api("POST", `/api/products/${product.id}/images`, {
+      token: admin.token,
+      form: formData({}, [["images", imageBlob()], ["images", imageBlob()]]),
+    });
+    assert.equal(added.status, 201);
+    assert.equal(added.body.images.length, 3);
+
+    const reversed = added.body.images.map((image) => image.id).reverse();
+    const reordered = await t.api("PUT", `/api/products/${product.id}/images/order`, {
+      token: admin.token,
+      body: { imageIds: reversed },
+    });
+    assert.equal(reordered.status, 200);
+    assert.deepEqual(reordered.body.images.map((image) => image.id), reversed);
+
+    const promoted = await t.api("PUT", `/api/products/${product.id}/images/${reversed[0]}/primary`, { token: admin.token });
+    assert.equal(promoted.status, 200);
+    assert.equal(promoted.body.images.find((image) => image.is_primary).id, reversed[0]);
+    const detail = await t.api("GET", `/api/products/${product.id}`);
+    assert.equal(detail.body.product.image_url, promoted.body.images[0].image_url);
+
+    const target = promoted.body.images[0];
+    const removed = await t.api("DELETE", `/api/products/${product.id}/images/${target.id}`, { token: admin.token });
+    assert.equal(removed.status, 200);
+    assert.equal(removed.body.images.length, 2);
+    assert.equal(removed.body.images.filter((image) => image.is_primary).length, 1);
+    assert.equal(t.storage.files.has(target.cloudinary_id), false);
+
+    const listed = await t.api("GET", `/api/products/${product.id}/images`);
+    assert.equal(listed.status, 200);
+    assert.equal(listed.body.images.length, 2);
+  });
+
+  it("records dimensions and a placeholder, and returns derived sizes", async () => {
+    const product = await createProduct(t, admin.token);
+    const [image] = product.images;
+
+    assert.equal(image.width, 1);
+    assert.equal(image.height, 1);
+    assert.match(image.placeholder, /^data:image\/webp;base64,/);
+    assert.deepEqual(image.sizes.thumbnail, {
+      width: 160,
+      height: 160,
+      jpeg: `https://images.test/${image.cloudinary_id}/thumbnail.jpeg`,
+      webp: `https://images.test/${image.cloudinary_id}/thumbnail.webp`,
+      avif: `https://images.test/${image.cloudinary_id}/thumbnail.avif`,
+    });
+    // full never enlarges
+    assert.equal(image.sizes.full.width, 1);
+
+    const listed = await t.api("GET", `/api/products?q=${encodeURIComponent(product.product_name)}`);
+    const card = listed.body.products.find((p) => p.id === product.id).image;
+    assert.equal(card.url, image.image_url);
+    assert.equal(card.placeholder, image.placeholder);
+    assert.equal(card.sizes.card.webp, `https://images.test/${image.cloudinary_id}/card.webp`);
+  });
+
+  it("sizes images stored before dimensions only where the driver renders on demand", async () => {
+    const product = await createProduct(t, admin.token);
+    await t.pool.query("UPDATE product_images SET width = NULL, height = NULL, placeholder = NULL WHERE product_id = $1", [product.id]);
+    const images = () => t.api("GET", `/api/products/${product.id}/images`).then((res) => res.body.images);
+
+    assert.equal((await images())[0].sizes, null);
+
+    t.storage.rendersOnDemand = true;
+    const [image] = await images();
+    t.storage.rendersOnDemand = false;
+    assert.equal(image.sizes.card.webp, `https://images.test/${image.cloudinary_id}/card.webp`);
+    assert.deepEqual([image.sizes.card.width, image.sizes.card.height], [480, 480]);
+    assert.deepEqual([image.sizes.full.width, image.sizes.full.height], [null, null]);
+  });
+
+  it("refuses files that aren't readable images", async () => {
+    const product = await createProduct(t, admin.token);
+    const stored = storedImages();
+
+    const res = await t.api("POST", `/api/products/${product.id}/images`, {
+      token: admin.token,
+      form: formData({}, [["images", imageBlob()], ["images", new Blob(["not a png"], { type: "image/png" })]]),
+    });
+    assert.equal(res.status, 400);
+    assert.match(res.body.message, /could not be read/);
+    assert.deepEqual(storedImages(), stored);
+  });
+
+  it("rejects bad image requests", async () => {
+    const product = await createProduct(t, admin.token, {}, 8);
+    const other = await createProduct(t, admin.token);
+    const imageIds = product.images.map((image) => image.id);
+
+    assert.equal((await t.api("GET", "/api/products/999999/images")).status, 404);
+    assert.equal((await t.api("POST", `/api/products/${product.id}/images`, { token: admin.token, form: formData() })).status, 400);
+    assert.equal((await t.api("POST", "/api/products/999999/images", { token: admin.token, form: formData({}, [["images", imageBlob()]]) })).status, 404);
+
+    // Already at the limit of eight
+    const full = await t.api("POST", `/api/products/${product.id}/images`, { token: admin.token, form: formData({}, [["images", imageBlob()]]) });
+    assert.equal(full.status, 400);
+
+    const partialOrder = await t.api("PUT", `/api/products/${product.id}/images/order`, {
+      token: admin.token,
+      body: { imageIds: imageIds.slice(1) },
+    });
+    assert.equal(partialOrder.status, 400);
+    assert.equal((await t.api("PUT", `/api/products/${product.id}/images/order`, { token: admin.token, body: {} })).status, 400);
+
+    const foreign = other.images[0].id;
+    assert.equal((await t.api("PUT", `/api/products/${product.id}/images/${foreign}/primary`, { token: admin.token })).status, 404);
+    assert.equal((await t.api("DELETE", `/api/products/${product.id}/images/${foreign}`, { token: admin.token })).status, 404);
+    assert.equal((await t.api("DELETE", `/api/products/${other.id}/images/${foreign}`, { token: admin.token })).status, 409);
+
+    assert.equal((await t.api("PUT", `/api/products/${product.id}/images/${imageIds[1]}/primary`, { token: customer.token })).status, 403);
+  });
+});
+
+describe("product variants", () => {
+  it("creates, updates and deletes variants, keeping product stock in sync", async () => {
+    const product = await createProduct(t, admin.token, { stock: 0 });
+
+    const small = await t.api("POST", `/api/products/${product.id}/variants`, { token: admin.token, body: { size: "S", stock: 3 } });
+    assert.equal(small.status, 201);
+    const large = await t.api("POST", `/api/products/${product.id}/variants`, { token: admin.token, body: { size: "L", stock: 4 } });
+    assert.equal(large.status, 201);
+
+    const listed = await t.api("GET", `/api/products/${product.id}/variants`);
+    assert.equal(listed.status, 200);
+    assert.equal(listed.body.variants.length, 2);
+    assert.equal((await t.api("GET", `/api/products/${product.id}`)).body.product.stock, 7);
+
+    const updated = await t.api("PUT", `/api/products/${product.id}/variants/${small.body.variant.id}`, {
+      token: admin.token,
+      body: { stock: 10, price: 80 },
+    });
+    assert.equal(updated.status, 200);
+    assert.equal(updated.body.variant.stock, 10);
+    assert.equal((await t.api("GET", `/api/products/${product.id}`)).body.product.stock, 14);
+
+    const removed = await t.api("DELETE", `/api/products/${product.id}/variants/${large.body.variant.id}`, { token: admin.token });
+    assert.equal(removed.status, 200);
+    assert.equal((await t.api("GET", `/api/products/${product.id}`)).body.product.stock, 10);
+
+    // The ledger row for the deleted variant carries the product's new total
+    const movements = await t.api("GET", `/api/products/${product.id}/stock-movements?limit=1`, { token: admin.token });
+    assert.equal(movements.body.movements[0].quantity_delta, -4);
+    assert.equal(movements.body.movements[0].variant_id, null);
+    assert.equal(movements.body.movements[0].stock_after, 10);
+  });
+
+  it("rejects bad variant requests", async () => {
+    const product = await createProduct(t, admin.token);
+    await t.api("POST", `/api/products/${product.id}/variants`, { token: admin.token, body: { size: "M" } });
+
+    assert.equal((await t.api("GET", "/api/products/999999/variants")).status, 404);
+    assert.equal((await t.api("POST", `/api/products/${product.id}/variants`, { token: admin.token, body: { stock: 1 } })).status, 400);
+    assert.equal((await t.api("POST", `/api/products/${product.id}/variants`, { token: admin.token, body: { size: "M" } })).status, 409);
+    assert.equal((await t.api("POST", "/api/products/999999/variants", { token: admin.token, body: { size: "M" } })).status, 404);
+    assert.equal((await t.api("POST", `/api/products/${product.id}/variants`, { token: customer.token, body: { size: "XL" } })).status, 403);
+    assert.equal((await t.api("PUT", `/api/products/${product.id}/variants/999999`, { token: admin.token, body: { stock: 1 } })).status, 404);
+    assert.equal((await t.api("PUT", `/api/products/${product.id}/variants/1`, { token: admin.token, body: { stock: -1 } })).status, 400);
+    assert.equal((await t.api("DELETE", `/api/products/${product.id}/variants/999999`, { token: admin.token })).status, 404);
+  });
+});
+
+describe("inventory", () => {
+  it("applies stock adjustments and lists the movements", async () => {
+    const product = await createProduct(t, admin.token, { stock: 2 });
+
+    const res = await t.api("POST", `/api/products/${product.id}/stock-adjustments`, {
+      token: admin.token,
+      body: { delta: 8, type: "restock", reason: "Delivery" },
+    });
+    assert.equal(res.status, 201);
+    assert.equal(res.body.stock, 10);
+
+    const movements = await t.api("GET", `/api/products/${product.id}/stock-movements?limit=1`, { token: admin.token });
+    assert.equal(movements.status, 200);
+    assert.equal(movements.body.movements[0].reason, "Delivery");
+    assert.equal(movements.body.movements[0].actor_email, "admin@example.com");
+    assert.equal(movements.body.pagination.total, 2);
+  });
+
+  it("rejects bad stock adjustments", async () => {
+    const product = await createProduct(t, admin.token, { stock: 2 });
+    const adjust = (id, body, token = admin.token) => t.api("POST", `/api/products/${id}/stock-adjustments`, { token, body });
+
+    assert.equal((await adjust(product.id, { delta: -3, reason: "Broken" })).status, 409);
+    assert.equal((await adjust(product.id, { delta: 0, reason: "Nothing" })).status, 400);
+    assert.equal((await adjust(product.id, { delta: 1 })).status, 400);
+    assert.equal((await adjust(999999, { delta: 1, reason: "Ghost" })).status, 404);
+    assert.equal((await adjust(product.id, { delta: 1, reason: "Sneaky" }, customer.token)).status, 403);
+    assert.equal((await t.api("GET", "/api/products/999999/stock-movements", { token: admin.token })).status, 404);
+
+    await t.api("POST", `/api/products/${product.id}/variants`, { token: admin.token, body: { size: "S", stock: 1 } });
+    assert.equal((await adjust(product.id, { delta: 1, reason: "Wrong level" })).status, 400);
+  });
+
+  it("reports products at or below their reorder point", async () => {
+    const low = await createProduct(t, admin.token, { stock: 1 });
+    const custom = await createProduct(t, admin.token, { stock: 15, lowStockThreshold: 20 });
+    const plenty = await createProduct(t, admin.token, { stock: 50 });
+
+    const res = await t.api("GET", "/api/admin/inventory/low-stock", { token: admin.token });
+    assert.equal(res.status, 200);
+    const ids = res.body.products.map((p) => p.id);
+    assert.ok(ids.includes(low.id));
+    assert.ok(ids.includes(custom.id));
+    assert.ok(!ids.includes(plenty.id));
+
+    const overridden = await t.api("GET", "/api/admin/inventory/low-stock?threshold=100", { token: admin.token });
+    assert.ok(overridden.body.products.some((p) => p.id === plenty.id));
+
+    assert.equal((await t.api("GET", "/api/admin/inventory/low-stock?threshold=-1", { token: admin.token })).status, 400);
+    assert.equal((await t.api("GET", "/api/admin/inventory/low-stock", { token: customer.token })).status, 403);
+  });
+});
+
+describe("CSV export and import", () => {
+  const csvForm = (text) => formData({}, [["file", new Blob([text], { type: "text/csv" }), "products.csv"]]);
+
+  it("exports the catalog as CSV", async () => {
+    const product = await createProduct(t, admin.token, { sku: "EXPORT-1" });
+
+    const res = await t.api("GET", "/api/products/export", { token: admin.token });
+    assert.equal(res.status, 200);
+    assert.match(res.headers.get("content-type"), /^text\/csv/);
+    assert.ok(res.body.startsWith("sku,product_name,"));
+    assert.ok(res.body.includes(product.image_url));
+
+    assert.equal((await t.api("GET", "/api/products/export")).status, 401);
+  });
+
+  it("updates products by SKU, with a dry run first", async () => {
+    const product = await createProduct(t, admin.token, { sku: "IMPORT-1", price: 40, stock: 4 });
+    const csv = "sku,product_name,price,stock\nIMPORT-1,,45.50,6\n";
+
+    const dryRun = await t.api("POST", "/api/products/import?dryRun=true", { token: admin.token, form: csvForm(csv) });
+    assert.equal(dryRun.status, 200);
+    assert.equal(dryRun.body.summary.updated, 1);
+    assert.equal((await t.api("GET", `/api/products/${product.id}`)).body.product.stock, 4);
+
+    const res = await t.api("POST", "/api/products/import", { token: admin.token, form: csvForm(csv) });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.rows[0].productId, product.id);
+
+    const updated = (await t.api("GET", `/api/products/${product.id}`)).body.product;
+    assert.equal(Number(updated.price), 45.5);
+    assert.equal(updated.stock, 6);
+  });
+
+  it("rejects bad files with 400 and a per-row report", async () => {
+    const post = (form, token = admin.token) => t.api("POST", "/api/products/import", { token, form });
+
+    assert.equal((await post(formData())).status, 400);
+    assert.equal((await post(csvForm("sku,colour\nX,red\n"))).status, 400);
+    assert.equal((await post(csvForm("sku,product_name\n"))).status, 400);
+
+    const missingImages = await post(csvForm("sku,product_name,price\nNEW-1,New Thing,10\n"));
+    assert.equal(missingImages.status, 400);
+    assert.equal(missingImages.body.summary.failed, 1);
+    assert.equal(missingImages.body.rows[0].row, 2);
+    assert.match(missingImages.body.rows[0].errors[0], /image_urls/);
+
+    assert.equal((await post(csvForm("sku,product_name,price\nIMPORT-1,,1\n"), customer.token)).status, 403);
+  });
+
+  it("refuses image URLs that point at internal addresses", async () => {
+    for (const url of ["http://127.0.0.1:7700/logo.png", "http://169.254.169.254/latest/meta-data", "http://localhost/x.png", "http://[::1]/x.png"]) {
+      const res = await t.api("POST", "/api/products/import", {
+        token: admin.token,
+        form: csvForm(`sku,product_name,price,image_urls\nSSRF-1,Probe,10,${url}\n`),
+      });
+      assert.equal(res.status, 400, url);
+      assert.match(res.body.rows[0].errors[0], /Image download failed: .*does not point at a public address/, url);
+    }
+    assert.equal((await t.pool.query("SELECT COUNT(*) FROM products WHERE sku = 'SSRF-1'")).rows[0].count, "0");
+  });
+});
@@ -0,0 +1,404 @@
+// ============================================
+// REQUEST VALIDATION
+// ============================================
+//
+//  Schemas are plain objects mapping a field name to a rule. This file has
+//  no imports so it runs unchanged in Node and in the browser — the admin
+//  page loads it from GET /api/validation.js to check forms before sending.
+//
+//    validate(schema, input) — { values, errors }
+//        values  typed, trimmed values for every field that was sent (plus
+//                defaults); fields not in the schema are dropped
+//        errors  [{ field, message }] — empty when the input is valid
+//    partial(schema)         — same rules, nothing required, no defaults (PUT)
+//
+//  Blank values ("", whitespace, null) count as "not sent", because forms
+//  and query strings can't leave a field out. A nullable rule turns a blank
+//  value that *was* sent into null instead, for fields that can be cleared.
+//
+// ============================================
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+const rule = (type, options = {}) => ({ type, ...options });
+
+export const string = (options) => rule("string", options);
+export const integer = (options) => rule("integer", options);
+export const number = (options) => rule("number", options);
+export const boolean = (options) => rule("boolean", options);
+export const date = (options) => rule("date", options);
+export const oneOf = (values, options) => rule("enum", { values, ...options });
+export const arrayOf = (items, options) => rule("array", { items, ...options });
+export const object = (schema, options) => rule("object", { schema, ...options });
+export const id = (options) => rule("integer", { min: 1, ...options });
+export const email = (options) =>
+  rule("string", { max: 254, lowercase: true, pattern: EMAIL_PATTERN, patternMessage: "must be a valid email address", ...options });
+
+const isBlank = (value) =>
+  value === undefined || value === null || (typeof value === "string" && value.trim() === "");
+
+const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TRUE_VALUES = ["true", "1", "on", "yes"];
+const FALSE_VALUES = ["false", "0", "off", "no"];
+
+// Returns { value } or { error } for one non-blank value
+const check = (r, raw) => {
+  switch (r.type) {
+    case "string": {
+      if (typeof raw !== "string" && typeof raw !== "number") return { error: "must be text" };
+      let value = r.trim === false ? String(raw) : String(raw).trim();
+      if (r.lowercase) value = value.toLowerCase();
+      if (r.uppercase) value = value.toUpperCase();
+      if (r.min !== undefined && value.length < r.min) return { error: `must be at least ${r.min} characters` };
+      if (r.max !== undefined && value.length > r.max) return { error: `must be at most ${r.max} characters` };
+      if (r.pattern && !r.pattern.test(value)) return { error: r.patternMessage || "has an invalid format" };
+      return { value };
+    }
+
+    case "integer":
+    case "number": {
+      const value = typeof raw === "string" ? Number(raw.trim()) : raw;
+      if (typeof value !== "number" || !Number.isFinite(value)) return { error: "must be a number" };
+      if (r.type === "integer" && !Number.isInteger(value)) return { error: "must be a whole number" };
+      if (r.min !== undefined && value < r.min) return { error: `must be ${r.min} or more` };
+      if (r.max !== undefined && value > r.max) return { error: `must be ${r.max} or less` };
+      if (r.notZero && value === 0) return { error: "must not be 0" };
+      return { value };
+    }
+
+    case "boolean": {
+      if (typeof raw === "boolean") return { value: raw };
+      const text = String(raw).trim().toLowerCase();
+      if (TRUE_VALUES.includes(text)) return { value: true };
+      if (FALSE_VALUES.includes(text)) return { value: false };
+      return { error: "must be true or false" };
+    }
+
+    // YYYY-MM-DD or a full ISO timestamp. endOfDay makes a bare date cover
+    // the whole day, for the upper end of a range.
+    case "date": {
+      const text = String(raw).trim();
+      const value = new Date(text);
+      if (!/^\d{4}-\d{2}-\d{2}/.test(text) || isNaN(value.getTime())) {
+        return { error: "must be a date (YYYY-MM-DD) or an ISO timestamp" };
+      }
+      if (r.endOfDay && DATE_ONLY_PATTERN.test(text)) value.setUTCHours(23, 59, 59, 999);
+      return { value };
+    }
+
+    case "enum": {
+      const value = String(raw).trim();
+      return r.values.includes(value) ? { value } : { error: `must be one of: ${r.values.join(", ")}` };
+    }
+
+    case "array": {
+      if (!Array.isArray(raw)) return { error: "must be a list" };
+      if (r.min !== undefined && raw.length < r.min) return { error: `must have at least ${r.min} item(s)` };
+      if (r.max !== undefined && raw.length > r.max) return { error: `must have at most ${r.max} item(s)` };
+      const value = [];
+      for (const item of raw) {
+        const result = isBlank(item) ? { error: "must not contain blank items" } : check(r.items, item);
+        if (result.error) return { error: `contains an item that ${result.error}` };
+        value.push(result.value);
+      }
+      if (r.unique && new Set(value).size !== value.length) return { error: "must not contain duplicates" };
+      return { value };
+    }
+
+    case "object": {
+      if (typeof raw !== "object" || Array.isArray(raw)) return { error: "must be an object" };
+      const { values, errors } = validate(r.schema, raw);
+      return errors.length > 0 ? { error: `is invalid: ${describeErrors(errors)}` } : { value: values };
+    }
+
+    default:
+      throw new Error(`Unknown rule type: ${r.type}`);
+  }
+};
+
+export const validate = (schema, input = {}) => {
+  const values = {};
+  const errors = [];
+
+  for (const [field, r] of Object.entries(schema)) {
+    const raw = input?.[field];
+
+    if (isBlank(raw)) {
+      if (r.nullable && raw !== undefined) {
+        values[field] = null;
+      } else if (r.required) {
+        errors.push({ field, message: "is required" });
+      } else if (r.default !== undefined) {
+        values[field] = r.default;
+      }
+      continue;
+    }
+
+    const result = check(r, raw);
+    if (result.error) {
+      errors.push({ field, message: result.error });
+    } else {
+      values[field] = result.value;
+    }
+  }
+
+  return { values, errors };
+};
+
+export const partial = (schema) =>
+  Object.fromEntries(
+    Object.entries(schema).map(([field, r]) => [field, { ...r, required: false, default: undefined }])
+  );
+
+// "price must be 0 or more; stock must be a whole number"
+export const describeErrors = (errors) =>
+  errors.map((error) => `${error.field} ${error.message}`).join("; ");
+
+// ---------- SHARED ----------
+
+export const idParams = { id: id() };
+
+export const pageQuery = {
+  page: integer({ min: 1, default: 1 }),
+  limit: integer({ min: 1, max: 100, default: 20 }),
+};
+
+// ---------- AUTH ----------
+
+// Passwords are never trimmed — leading/trailing spaces are part of them
+const password = () => string({ required: true, min: 8, max: 128, trim: false });
+const token = () => string({ required: true, max: 512 });
+
+export const registerSchema = {
+  email: email({ required: true }),
+  password: password(),
+  full_name: string({ max: 100 }),
+};
+
+// No length rule here: an old, shorter password must still be able to log in
+export const loginSchema = {
+  email: email({ required: true }),
+  password: string({ required: true, max: 128, trim: false }),
+};
+
+export const refreshTokenSchema = { refreshToken: token() };
+export const verifyEmailSchema = { token: token() };
+export const forgotPasswordSchema = { email: email({ required: true }) };
+export const resetPasswordSchema = { token: token(), password: password() };
+
+// ---------- ACCOUNTS & USERS ----------
+
+export const USER_ROLES = ["customer", "admin"];
+export const USER_STATUSES = ["active", "disabled", "deleted"];
+
+// full_name sent blank clears it
+export const profileSchema = { full_name: string({ required: true, max: 100, nullable: true }) };
+
+export const changePasswordSchema = {
+  currentPassword: string({ required: true, max: 128, trim: false }),
+  newPassword: password(),
+};
+
+export const deleteAccountSchema = { password: string({ required: true, max: 128, trim: false }) };
+
+export const userListQuery = {
+  ...pageQuery,
+  q: string({ max: 200 }),
+  role: oneOf(USER_ROLES),
+  status: oneOf(USER_STATUSES),
+};
+
+export const userRoleSchema = { role: oneOf(USER_ROLES, { required: true }) };
+export const userStatusSchema = { disabled: boolean({ required: true }) };
+
+// ---------- PRODUCTS ----------
+
+export const PRODUCT_SORT_OPTIONS = ["relevance", "newest", "oldest", "price_asc", "price_desc", "name_asc", "name_desc", "rating"];
+
+export const productListQuery = {
+  ...pageQuery,
+  q: string({ max: 200 }),
+  sort: oneOf(PRODUCT_SORT_OPTIONS),
+  category: string({ max: 100 }),
+  brand: string({ max: 100 }),
+  product_class: string({ max: 100 }),
+  min_price: number({ min: 0 }),
+  max_price: number({ min: 0 }),
+  in_stock: boolean(),
+};
+
+// Matches the admin form's field names (multipart, so every value is a string)
+export const productSchema = {
+  productName: string({ required: true, max: 200 }),
+  category: string({ max: 100 }),
+  categoryId: id(),
+  brand: string({ max: 100 }),
+  brandId: id(),
+  price: number({ min: 0, max: 9999999999 }),
+  stock: integer({ min: 0 }),
+  sku: string({ max: 64 }),
+  productClass: string({ max: 100 }),
+  sizes: string({ max: 200 }),
+  colors: string({ max: 200 }),
+  description: string({ max: 5000 }),
+  lowStockThreshold: integer({ min: 0, nullable: true }),
+  // Sent blank, salePrice ends the sale and the dates clear its window
+  salePrice: number({ min: 0, max: 9999999999, nullable: true }),
+  saleStartsAt: date({ nullable: true }),
+  saleEndsAt: date({ nullable: true, endOfDay: true }),
+};
+
+export const variantParams = { id: id(), variantId: id() };
+export const imageParams = { id: id(), imageId: id() };
+
+// size / color / sku / price can be cleared on update by sending them blank
+export const variantSchema = {
+  size: string({ max: 50, nullable: true }),
+  color: string({ max: 50, nullable: true }),
+  sku: string({ max: 64, nullable: true }),
+  price: number({ min: 0, max: 9999999999, nullable: true }),
+  stock: integer({ min: 0, default: 0 }),
+};
+
+export const imageOrderSchema = {
+  imageIds: arrayOf(id(), { required: true, min: 1, unique: true }),
+};
+
+export const STOCK_MOVEMENT_TYPES = ["restock", "sale", "return", "correction"];
+
+export const stockAdjustmentSchema = {
+  delta: integer({ required: true, notZero: true }),
+  type: oneOf(STOCK_MOVEMENT_TYPES, { default: "correction" }),
+  reason: string({ required: true, max: 500 }),
+  variantId: id(),
+};
+
+export const lowStockQuery = { threshold: integer({ min: 0 }) };
+
+export const importQuery = { dryRun: boolean({ default: false }) };
+
+// ---------- CATEGORIES & BRANDS ----------
+
+const slug = () =>
+  string({ max: 100, lowercase: true, pattern: SLUG_PATTERN, patternMessage: "may only contain lowercase letters, digits and single dashes" });
+
+export const brandSchema = {
+  name: string({ required: true, max: 100 }),
+  slug: slug(),
+};
+
+// parentId sent blank (or null) moves a category to the top level
+export const categorySchema = {
+  ...brandSchema,
+  parentId: id({ nullable: true }),
+};
+
+// ---------- REVIEWS ----------
+
+export const REVIEW_STATUSES = ["approved", "hidden"];
+export const REVIEW_SORT_OPTIONS = ["newest", "oldest", "highest", "lowest"];
+
+export const reviewParams = { reviewId: id() };
+
+export const reviewListQuery = {
+  ...pageQuery,
+  sort: oneOf(REVIEW_SORT_OPTIONS, { default: "newest" }),
+};
+
+// title and body can be cleared on update by sending them blank
+export const reviewSchema = {
+  rating: integer({ required: true, min: 1, max: 5 }),
+  title: string({ max: 120, nullable: true }),
+  body: string({ max: 2000, nullable: true }),
+};
+
+export const reviewModerationQuery = {
+  ...pageQuery,
+  status: oneOf(REVIEW_STATUSES),
+  productId: id(),
+};
+
+export const reviewStatusSchema = { status: oneOf(REVIEW_STATUSES, { required: true }) };
+
+// ---------- WISHLIST ----------
+
+export const wishlistParams = { productId: id() };
+
+export const wishlistItemSchema = {
+  productId: id({ required: true }),
+  notifyWhenInStock: boolean({ default: false }),
+};
+
+export const wishlistUpdateSchema = { notifyWhenInStock: boolean({ required: true }) };
+
+export const notificationParams = { notificationId: id() };
+
+export const notificationQuery = { ...pageQuery, unread: boolean() };
+
+// ---------- PROMOTIONS & PRICING ----------
+
+export const DISCOUNT_TYPES = ["percentage", "fixed"];
+
+const couponCode = (options) =>
+  string({ max: 50, uppercase: true, pattern: /^[A-Z0-9_-]+$/, patternMessage: "may only contain letters, digits, dashes and underscores", ...options });
+
+// Sending productIds / categoryIds replaces the coupon's targets; an empty
+// list for both makes it apply to the whole order again
+export const promotionSchema = {
+  code: couponCode({ required: true }),
+  description: string({ max: 500, nullable: true }),
+  discountType: oneOf(DISCOUNT_TYPES, { required: true }),
+  discountValue: number({ required: true, min: 0.01, max: 9999999999 }),
+  minOrderAmount: number({ min: 0, max: 9999999999, default: 0 }),
+  maxUses: integer({ min: 1, nullable: true }),
+  maxUsesPerUser: integer({ min: 1, nullable: true }),
+  startsAt: date({ nullable: true }),
+  endsAt: date({ nullable: true, endOfDay: true }),
+  isActive: boolean({ default: true }),
+  productIds: arrayOf(id(), { max: 500, unique: true }),
+  categoryIds: arrayOf(id(), { max: 100, unique: true }),
+};
+
+export const promotionListQuery = { ...pageQuery, active: boolean() };
+
+export const quoteItemSchema = {
+  productId: id({ required: true }),
+  variantId: id(),
+  quantity: integer({ min: 1, max: 1000, default: 1 }),
+};
+
+// Without items the quote is for the current cart
+export const quoteSchema = {
+  items: arrayOf(object(quoteItemSchema), { min: 1, max: 100 }),
+  couponCode: couponCode(),
+};
+
+export const checkoutSchema = { couponCode: couponCode() };
+
+// ---------- PAYMENTS ----------
+
+export const PAYMENT_STATUSES = ["pending", "success", "failed", "refund_due"];
+
+export const paymentListQuery = { ...pageQuery, status: oneOf(PAYMENT_STATUSES) };
+
+// ---------- AUDIT LOG ----------
+
+export const auditLogQuery = {
+  ...pageQuery,
+  entityType: string({ max: 50 }),
+  entityId: string({ max: 50 }),
+  actorId: id(),
+  action: string({ max: 50 }),
+  from: date(),
+  to: date({ endOfDay: true }),
+};
+
+// ---------- UPDATE VARIANTS ----------
+
+export const productUpdateSchema = partial(productSchema);
+export const variantUpdateSchema = partial(variantSchema);
+export const categoryUpdateSchema = partial(categorySchema);
+export const brandUpdateSchema = partial(brandSchema);
+export const reviewUpdateSchema = partial(reviewSchema);
+export const promotionUpdateSchema = partial(promotionSchema);
@@ -1,6 +1,11 @@
-const SERVER_URL = "https://brightnal.onrender.com";
+const SERVER_URL  = "https://brightnal.onrender.com";
+const TOKEN_KEY   = "brightnal_admin_token";
+const REFRESH_KEY = "brightnal_admin_refresh";
+const PAGE_LIMIT  = 20;
 
 let currentUpdateId = null;
+let currentPage     = 1;
+let currentProducts = [];
 
 const form        = document.getElementById("uploadForm");
 const messageDiv  = document.getElementById("message");
@@ -10,11 +15,263 @@ const formTitle   = document.getElementById("formTitle");
 const submitBtn   = document.getElementById("submitBtn");
 const cancelBtn   = document.getElementById("cancelUpdateBtn");
 
+const loginSection = document.getElementById("loginSection");
+const loginForm    = document.getElementById("loginForm");
+const loginMessage = document.getElementById("loginMessage");
+const adminPanel   = document.getElementById("adminPanel");
+const adminEmail   = document.getElementById("adminEmail");
+const logoutBtn    = document.getElementById("logoutBtn");
+
+const filtersForm  = document.getElementById("productFilters");
+const searchInput  = document.getElementById("searchInput");
+const sortSelect   = document.getElementById("sortSelect");
+const prevPageBtn  = document.getElementById("prevPageBtn");
+const nextPageBtn  = document.getElementById("nextPageBtn");
+const pageInfo     = document.getElementById("pageInfo");
+
+const importForm    = document.getElementById("importForm");
+const importFile    = document.getElementById("importFile");
+const dryRunInput   = document.getElementById("dryRunInput");
+const importMessage = document.getElementById("importMessage");
+const importReport  = document.getElementById("importReport");
+const exportBtn     = document.getElementById("exportBtn");
+
+const loadTrashBtn = document.getElementById("loadTrashBtn");
+const trashList    = document.getElementById("trashList");
+const trashMessage = document.getElementById("trashMessage");
+
+const categoryOptions = document.getElementById("categoryOptions");
+const brandOptions    = document.getElementById("brandOptions");
+
+/* ---------------- VALIDATION ---------------- */
+
+// The API serves the schemas it validates requests with, so forms are checked
+// here before sending. If the module can't be loaded the server still decides.
+let validationModule = null;
+
+function loadValidation() {
+  validationModule ??= import(`${SERVER_URL}/api/validation.js`).catch((err) => {
+    console.error(err);
+    validationModule = null;
+    return null;
+  });
+  return validationModule;
+}
+
+// Returns "" when the input passes, otherwise a line listing each bad field
+async function checkInput(schemaName, input) {
+  const validation = await loadValidation();
+  if (!validation) return "";
+  const { errors } = validation.validate(validation[schemaName], input);
+  return errors.length ? validation.describeErrors(errors) : "";
+}
+
+// Failure text for a response, with the server's request ID so a report
+// can be matched to the server logs
+function failureMessage(res, data) {
+  const requestId = res.headers.get("X-Request-Id");
+  return requestId ? `${data.message} (request ID ${requestId})` : data.message;
+}
+
+/* ---------------- AUTH ---------------- */
+
+function getToken() {
+  return localStorage.getItem(TOKEN_KEY);
+}
+
+function saveTokens({ token, refreshToken }) {
+  localStorage.setItem(TOKEN_KEY, token);
+  localStorage.setItem(REFRESH_KEY, refreshToken);
+}
+
+function clearTokens() {
+  localStorage.removeItem(TOKEN_KEY);
+  localStorage.removeItem(REFRESH_KEY);
+}
+
+// Refresh tokens are single-use, so parallel requests that all hit an
+// expired access token must share one refresh call instead of each
+// spending the token (the second spend would revoke the whole session).
+let refreshInFlight = null;
+
+function refreshSession() {
+  if (!refreshInFlight) {
+    refreshInFlight = (async () => {
+      const refreshToken = localStorage.getItem(REFRESH_KEY);
+      if (!refreshToken) return false;
+
+      const res  = await fetch(`${SERVER_URL}/api/auth/refresh`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ refreshToken }),
+      });
+      const data = await res.json();
+      if (!data.success) return false;
+
+      saveTokens(data);
+      return true;
+    })()
+      .catch((err) => {
+        console.error(err);
+        return false;
+      })
+      .finally(() => {
+        refreshInFlight = null;
+      });
+  }
+  return refreshInFlight;
+}
+
+// fetch wrapper that attaches the admin JWT, swaps in a fresh access token
+// when the current one has expired, and drops back to the login screen when
+// the session can't be recovered
+async function authFetch(url, options = {}, retried = false) {
+  const token   = getToken();
+  const headers = { ...(options.headers || {}) };
+  if (token) headers.Authorization = `Bearer ${token}`;
+
+  const res = await fetch(url, { ...options, headers });
+
+  if (res.status === 401 && !retried && (await refreshSession())) {
+    return authFetch(url, options, true);
+  }
+  if (res.status === 401 || res.status === 403) {
+    logout("Session expired or not authorized. Please log in again.");
+  }
+  return res;
+}
+
+loginForm.addEventListener("submit", async (e) => {
+  e.preventDefault();
+
+  const credentials = {
+    email:    document.getElementById("loginEmail").value,
+    password: document.getElementById("loginPassword").value,
+  };
+  const invalid = await checkInput("loginSchema", credentials);
+  if (invalid) {
+    loginMessage.textContent = "⚠️ " + invalid;
+    return;
+  }
+
+  loginMessage.textContent = "Logging in...";
+
+  try {
+    const res  = await fetch(`${SERVER_URL}/api/auth/login`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(credentials),
+    });
+    const data = await res.json();
+
+    if (!data.success) {
+      loginMessage.textContent = "❌ " + data.message;
+      return;
+    }
+    if (data.user.role !== "admin") {
+      loginMessage.textContent = "❌ This account does not have admin access.";
+      return;
+    }
+
+    saveTokens(data);
+    loginForm.reset();
+    loginMessage.textContent = "";
+    showAdminPanel(data.user);
+  } catch (err) {
+    console.error(err);
+    loginMessage.textContent = "❌ Login error. Check console.";
+  }
+});
+
+logoutBtn.addEventListener("click", async () => {
+  const refreshToken = localStorage.getItem(REFRESH_KEY);
+  if (refreshToken) {
+    // Best effort — the local session is cleared either way
+    await fetch(`${SERVER_URL}/api/auth/logout`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ refreshToken }),
+    }).catch((err) => console.error(err));
+  }
+  logout();
+});
+
+function logout(message = "") {
+  stopLiveUpdates();
+  clearTokens();
+  resetFormToUploadMode();
+  adminPanel.style.display   = "none";
+  loginSection.style.display = "block";
+  loginMessage.textContent   = message;
+}
+
+function showAdminPanel(user) {
+  adminEmail.textContent     = `Logged in as ${user.email}`;
+  loginSection.style.display = "none";
+  adminPanel.style.display   = "block";
+  loadProducts();
+  loadTaxonomies();
+  connectLiveUpdates();
+}
+
+async function initAuth() {
+  if (!getToken()) return logout();
+
+  try {
+    const res  = await authFetch(`${SERVER_URL}/api/auth/me`);
+    const data = await res.json();
+
+    if (!data.success || data.user.role !== "admin") {
+      return logout(data.success ? "This account does not have admin access." : "");
+    }
+    showAdminPanel(data.user);
+  } catch (err) {
+    console.error(err);
+    logout("Could not verify session. Please log in.");
+  }
+}
+
+/* ---------------- CATEGORIES & BRANDS ---------------- */
+
+// Suggestions for the category/brand inputs. Typing a new name still works —
+// the server creates it — but picking an existing one avoids near-duplicates.
+async function loadTaxonomies() {
+  try {
+    const [categories, brands] = await Promise.all([
+      fetch(`${SERVER_URL}/api/categories`).then((res) => res.json()),
+      fetch(`${SERVER_URL}/api/brands`).then((res) => res.json()),
+    ]);
+
+    const flatten = (nodes) => nodes.flatMap((node) => [node, ...flatten(node.children)]);
+    if (categories.success) {
+      categoryOptions.innerHTML = flatten(categories.categories)
+        .map((c) => `<option value="${c.name}"></option>`)
+        .join("");
+    }
+    if (brands.success) {
+      brandOptions.innerHTML = brands.brands
+        .map((b) => `<option value="${b.name}"></option>`)
+        .join("");
+    }
+  } catch (err) {
+    console.error(err);
+  }
+}
+
 /* ---------------- UPLOAD / CREATE ---------------- */
 
 form.addEventListener("submit", async (e) => {
   e.preventDefault();
 
+  const invalid = await checkInput(
+    currentUpdateId ? "productUpdateSchema" : "productSchema",
+    Object.fromEntries(new FormData(form))
+  );
+  if (invalid) {
+    messageDiv.textContent = "⚠️ " + invalid;
+    return;
+  }
+
   if (currentUpdateId) {
     messageDiv.textContent = "Updating...";
     await updateProduct(new FormData(form));
@@ -29,7 +286,7 @@ form.addEventListener("submit", async (e) => {
   messageDiv.textContent = "Uploading...";
 
   try {
-    const res  = await fetch(`${SERVER_URL}/api/products`, {
+    const res  = await authFetch(`${SERVER_URL}/api/products`, {
       method: "POST",
       body: new FormData(form),
     });
@@ -39,8 +296,9 @@ form.addEventListener("submit", async (e) => {
       messageDiv.textContent = "✅ Product uploaded successfully!";
       form.reset();
       loadProducts();
+      loadTaxonomies();
     } else {
-      messageDiv.textContent = "❌ Upload failed: " + data.message;
+      messageDiv.textContent = "❌ Upload failed: " + failureMessage(res, data);
     }
   } catch (err) {
     console.error(err);
@@ -48,15 +306,94 @@ form.addEventListener("submit", async (e) => {
   }
 });
 
-/* ---------------- GET ALL PRODUCTS (admin — no limit) ---------------- */
+/* ---------------- BULK IMPORT / EXPORT ---------------- */
+
+// Run with "Dry run" first: the report lists what each row would do, and
+// nothing is written unless every row is valid.
+importForm.addEventListener("submit", async (e) => {
+  e.preventDefault();
+
+  const dryRun = dryRunInput.checked;
+  const body   = new FormData();
+  body.append("file", importFile.files[0]);
+
+  importMessage.textContent = dryRun ? "Checking file..." : "Importing...";
+  importReport.innerHTML    = "";
+
+  try {
+    const res  = await authFetch(`${SERVER_URL}/api/products/import?dryRun=${dryRun}`, {
+      method: "POST",
+      body,
+    });
+    const data = await res.json();
+
+    importMessage.textContent = `${data.success ? "✅" : "❌"} ${data.message}`;
+    if (data.rows) renderImportReport(data.rows);
+    if (data.success && !dryRun) {
+      loadProducts(1);
+      loadTaxonomies();
+    }
+  } catch (err) {
+    console.error(err);
+    importMessage.textContent = "❌ Import error. Check console.";
+  }
+});
+
+function renderImportReport(rows) {
+  importReport.innerHTML = rows.map((r) => {
+    const label  = `Row ${r.row}: ${r.productName || r.sku || "(unnamed)"} — ${r.action || "skipped"}`;
+    const notes  = [
+      ...r.errors.map((msg) => `<li class="row-error">${msg}</li>`),
+      ...r.warnings.map((msg) => `<li class="row-warning">${msg}</li>`),
+    ].join("");
+    return `<li>${label}${notes ? `<ul>${notes}</ul>` : ""}</li>`;
+  }).join("");
+}
 
-loadBtn.addEventListener("click", loadProducts);
+exportBtn.addEventListener("click", async () => {
+  try {
+    const res = await authFetch(`${SERVER_URL}/api/products/export`);
+    if (!res.ok) {
+      importMessage.textContent = "❌ Export failed.";
+      return;
+    }
+
+    // The endpoint needs the auth header, so a plain link can't download it
+    const url  = URL.createObjectURL(await res.blob());
+    const link = document.createElement("a");
+    link.href     = url;
+    link.download = `brightnal-products-${new Date().toISOString().slice(0, 10)}.csv`;
+    link.click();
+    URL.revokeObjectURL(url);
+  } catch (err) {
+    console.error(err);
+    importMessage.textContent = "❌ Export error. Check console.";
+  }
+});
+
+/* ---------------- LIST PRODUCTS (admin — paginated) ---------------- */
 
-async function loadProducts() {
+loadBtn.addEventListener("click", () => loadProducts(1));
+prevPageBtn.addEventListener("click", () => loadProducts(currentPage - 1));
+nextPageBtn.addEventListener("click", () => loadProducts(currentPage + 1));
+sortSelect.addEventListener("change", () => loadProducts(1));
+
+filtersForm.addEventListener("submit", (e) => {
+  e.preventDefault();
+  loadProducts(1);
+});
+
+async function loadProducts(page = currentPage) {
   productList.innerHTML = "Loading products...";
 
+  const q      = searchInput.value.trim();
+  const params = new URLSearchParams({ page, limit: PAGE_LIMIT });
+  if (q) params.set("q", q);
+  // Relevance is the server default when searching; the sort dropdown wins otherwise
+  if (!q || sortSelect.value !== "newest") params.set("sort", sortSelect.value);
+
   try {
-    const res  = await fetch(`${SERVER_URL}/api/products/all`);
+    const res  = await authFetch(`${SERVER_URL}/api/products?${params}`);
     const data = await res.json();
 
     if (!data.success) {
@@ -64,18 +401,34 @@ async function loadProducts() {
       return;
     }
 
+    // Deleting the last item on a page leaves us past the end — step back
+    const { pagination } = data;
+    if (!data.products.length && pagination.page > 1 && pagination.totalPages > 0) {
+      return loadProducts(pagination.totalPages);
+    }
+
+    currentPage = pagination.page;
     renderProducts(data.products);
+    renderPager(pagination);
   } catch (err) {
     console.error(err);
     productList.textContent = "Error loading products.";
   }
 }
 
+function renderPager({ page, totalPages, total, hasPrevPage, hasNextPage }) {
+  prevPageBtn.disabled = !hasPrevPage;
+  nextPageBtn.disabled = !hasNextPage;
+  pageInfo.textContent = total
+    ? `Page ${page} of ${totalPages} (${total} products)`
+    : "";
+}
+
 /* ---------------- UPDATE PRODUCT ---------------- */
 
 async function openUpdateForm(productId) {
   try {
-    const res  = await fetch(`${SERVER_URL}/api/products/${productId}`);
+    const res  = await authFetch(`${SERVER_URL}/api/products/${productId}`);
     const data = await res.json();
 
     if (!data.success) {
@@ -90,6 +443,10 @@ async function openUpdateForm(productId) {
     document.getElementById("brand").value        = p.brand         || "";
     document.getElementById("price").value        = p.price         || "";
     document.getElementById("stock").value        = p.stock         || "";
+    document.getElementById("lowStockThreshold").value = p.low_stock_threshold ?? "";
+    document.getElementById("salePrice").value    = p.sale_price    ?? "";
+    document.getElementById("saleStartsAt").value = p.sale_starts_at?.slice(0, 10) || "";
+    document.getElementById("saleEndsAt").value   = p.sale_ends_at?.slice(0, 10)   || "";
     document.getElementById("sku").value          = p.sku           || "";
     document.getElementById("productClass").value = p.product_class || "";
     document.getElementById("sizes").value        = p.sizes         || "";
@@ -111,7 +468,7 @@ async function openUpdateForm(productId) {
 
 async function updateProduct(formData) {
   try {
-    const res  = await fetch(`${SERVER_URL}/api/products/${currentUpdateId}`, {
+    const res  = await authFetch(`${SERVER_URL}/api/products/${currentUpdateId}`, {
       method: "PUT",
       body: formData,
     });
@@ -122,8 +479,9 @@ async function updateProduct(formData) {
       form.reset();
       resetFormToUploadMode();
       loadProducts();
+      loadTaxonomies();
     } else {
-      messageDiv.textContent = "❌ Update failed: " + data.message;
+      messageDiv.textContent = "❌ Update failed: " + failureMessage(res, data);
     }
   } catch (err) {
     console.error(err);
@@ -147,19 +505,20 @@ function resetFormToUploadMode() {
 /* ---------------- DELETE PRODUCT ---------------- */
 
 async function deleteProduct(productId) {
-  if (!confirm("Are you sure you want to delete this product?")) return;
+  if (!confirm("Move this product to the trash? It can be restored until it is purged.")) return;
 
   try {
-    const res  = await fetch(`${SERVER_URL}/api/products/${productId}`, {
+    const res  = await authFetch(`${SERVER_URL}/api/products/${productId}`, {
       method: "DELETE",
     });
     const data = await res.json();
 
     if (data.success) {
-      messageDiv.textContent = "✅ Product deleted successfully!";
+      messageDiv.textContent = `🗑️ Product moved to trash (purged after ${new Date(data.purgeAt).toLocaleDateString()}).`;
       loadProducts();
+      if (trashList.innerHTML) loadTrash();
     } else {
-      messageDiv.textContent = "❌ Delete failed: " + data.message;
+      messageDiv.textContent = "❌ Delete failed: " + failureMessage(res, data);
     }
   } catch (err) {
     console.error(err);
@@ -167,38 +526,316 @@ async function deleteProduct(productId) {
   }
 }
 
-/* ---------------- RENDER PRODUCTS ---------------- */
+/* ---------------- TRASH ---------------- */
 
-function renderProducts(products) {
+loadTrashBtn.addEventListener("click", () => loadTrash());
+
+async function loadTrash() {
+  trashMessage.textContent = "Loading...";
+
+  try {
+    const res  = await authFetch(`${SERVER_URL}/api/admin/products/trash?limit=100`);
+    const data = await res.json();
+
+    if (!data.success) {
+      trashMessage.textContent = "❌ " + data.message;
+      return;
+    }
+    trashMessage.textContent = `Archived products are purged ${data.retentionDays} days after deletion.`;
+    renderTrash(data.products);
+  } catch (err) {
+    console.error(err);
+    trashMessage.textContent = "❌ Error loading trash. Check console.";
+  }
+}
+
+function renderTrash(products) {
   if (!products.length) {
-    productList.innerHTML = "<p>No products found.</p>";
+    trashList.innerHTML = "<p>The trash is empty.</p>";
     return;
   }
 
-  productList.innerHTML = "";
-
-  products.forEach((p) => {
-    const div = document.createElement("div");
-    div.className = "product";
-    div.innerHTML = `
-      <img src="${p.image_url}" alt="${p.product_name}" />
+  trashList.innerHTML = products.map((p) => `
+    <div class="product archived">
+      ${productThumbnail(p)}
       <div class="product-info">
         <strong>${p.product_name}</strong><br/>
-        ₦${Number(p.price).toLocaleString()} &nbsp;•&nbsp; Stock: ${p.stock}<br/>
-        <span style="color:#888;font-size:13px;">${p.category}${p.brand ? " • " + p.brand : ""}</span>
+        <span style="color:#888;font-size:13px;">
+          Deleted ${new Date(p.deleted_at).toLocaleString()} • purged after ${new Date(p.purge_at).toLocaleDateString()}
+        </span>
       </div>
       <div class="product-actions">
-        <button class="update-btn" onclick="openUpdateForm(${p.id})">Edit</button>
-        <button class="delete-btn" onclick="deleteProduct(${p.id})">Delete</button>
+        <button class="update-btn" onclick="restoreProduct(${p.id})">Restore</button>
       </div>
-    `;
-    productList.appendChild(div);
-  });
+    </div>
+  `).join("");
+}
+
+async function restoreProduct(productId) {
+  try {
+    const res  = await authFetch(`${SERVER_URL}/api/products/${productId}/restore`, { method: "POST" });
+    const data = await res.json();
+
+    if (data.success) {
+      trashMessage.textContent = "✅ Product restored.";
+      loadTrash();
+      loadProducts();
+    } else {
+      trashMessage.textContent = "❌ Restore failed: " + data.message;
+    }
+  } catch (err) {
+    console.error(err);
+    trashMessage.textContent = "❌ Restore error. Check console.";
+  }
+}
+
+/* ---------------- RENDER PRODUCTS ---------------- */
+
+// 80px list images get the 160px thumbnail (sharp on 2x screens) in the best
+// format the browser takes, over the blurred placeholder while it loads.
+// Images uploaded before sizes existed have none — use the original.
+function productThumbnail(p) {
+  const sizes = p.image?.sizes;
+  if (!sizes) return `<img src="${p.image_url}" alt="${p.product_name}" loading="lazy" />`;
+
+  const placeholder = p.image.placeholder
+    ? ` style="background: url('${p.image.placeholder}') center / cover"`
+    : "";
+  return `
+    <picture>
+      <source type="image/avif" srcset="${sizes.thumbnail.avif}" />
+      <source type="image/webp" srcset="${sizes.thumbnail.webp}" />
+      <img src="${sizes.thumbnail.jpeg}" alt="${p.product_name}" width="80" height="80" loading="lazy"${placeholder} />
+    </picture>
+  `;
+}
+
+function renderProducts(products) {
+  currentProducts = products;
+  if (!products.length) {
+    productList.innerHTML = "<p>No products found.</p>";
+    return;
+  }
+
+  productList.innerHTML = "";
+  products.forEach((p) => productList.appendChild(renderProductRow(p)));
+}
+
+function renderProductRow(p) {
+  const div = document.createElement("div");
+  div.className = "product";
+  div.dataset.productId = p.id;
+  const lowStock = p.low_stock_threshold !== null && p.stock <= p.low_stock_threshold;
+  div.innerHTML = `
+    ${productThumbnail(p)}
+    <div class="product-info">
+      <strong>${p.product_name}</strong><br/>
+      ${p.on_sale
+        ? `<s>₦${Number(p.price).toLocaleString()}</s> <span class="sale-price">₦${Number(p.effective_price).toLocaleString()}</span>`
+        : `₦${Number(p.price).toLocaleString()}`} &nbsp;•&nbsp;
+      <span class="${lowStock ? "low-stock" : ""}">Stock: ${p.stock}${lowStock ? " (low)" : ""}</span>
+      ${p.rating_count ? `&nbsp;•&nbsp; ★ ${Number(p.rating_average).toFixed(1)} (${p.rating_count})` : ""}<br/>
+      <span style="color:#888;font-size:13px;">${p.category}${p.brand ? " • " + p.brand : ""}</span>
+    </div>
+    <div class="product-actions">
+      <button class="history-btn" onclick="toggleStockHistory(${p.id})">History</button>
+      <button class="update-btn" onclick="openUpdateForm(${p.id})">Edit</button>
+      <button class="delete-btn" onclick="deleteProduct(${p.id})">Delete</button>
+    </div>
+    <div class="stock-history" id="history-${p.id}"></div>
+  `;
+  return div;
+}
+
+/* ---------------- LIVE UPDATES ---------------- */
+
+// Changes made anywhere — another admin, an import, a checkout — arrive over
+// /api/admin/events and patch the product list in place. EventSource can't
+// send the Authorization header, so the stream is read through authFetch.
+const LIVE_RETRY_MS = 5000;
+
+let liveUpdates = null;  // AbortController of the open stream
+let lastEventId = null;
+
+function connectLiveUpdates() {
+  stopLiveUpdates();
+  liveUpdates = new AbortController();
+  streamLiveUpdates(liveUpdates.signal);
+}
+
+function stopLiveUpdates() {
+  if (liveUpdates) liveUpdates.abort();
+  liveUpdates = null;
+}
+
+async function streamLiveUpdates(signal) {
+  let delay = 0;
+  try {
+    const headers = lastEventId ? { "Last-Event-ID": lastEventId } : {};
+    const res = await authFetch(`${SERVER_URL}/api/admin/events`, { headers, signal });
+    // A 401/403 has already logged us out, which aborts the signal
+    if (signal.aborted) return;
+    if (!res.ok) throw new Error(`Event stream failed with ${res.status}`);
+    await readEventStream(res.body, handleLiveEvent);
+  } catch (err) {
+    if (signal.aborted) return;
+    console.error(err);
+    delay = LIVE_RETRY_MS;
+  }
+
+  // The server closes the stream when the access token expires, so a clean
+  // end reconnects straight away (authFetch refreshes the token)
+  setTimeout(() => {
+    if (!signal.aborted) streamLiveUpdates(signal);
+  }, delay);
+}
+
+// Parses text/event-stream, calling onEvent({ id, type, data }) with data
+// JSON-decoded. Comment lines (the server's keep-alive pings) are skipped.
+async function readEventStream(body, onEvent) {
+  let buffer = "";
+  for await (const chunk of body.pipeThrough(new TextDecoderStream())) {
+    buffer += chunk;
+    let end;
+    while ((end = buffer.indexOf("\n\n")) !== -1) {
+      const event = { id: null, type: "message", data: "" };
+      for (const line of buffer.slice(0, end).split("\n")) {
+        const colon = line.indexOf(":");
+        if (colon <= 0) continue;
+        const field = line.slice(0, colon);
+        const value = line.slice(colon + 1).replace(/^ /, "");
+        if (field === "id")    event.id = value;
+        if (field === "event") event.type = value;
+        if (field === "data")  event.data += value;
+      }
+      buffer = buffer.slice(end + 2);
+      if (event.data) onEvent({ ...event, data: JSON.parse(event.data) });
+    }
+  }
+}
+
+function handleLiveEvent({ id, type, data }) {
+  if (id) lastEventId = id;
+
+  switch (type) {
+    case "product.created": return addProductRow(data.product);
+    case "product.updated": return patchProductRow(data.product);
+    case "product.deleted": return removeProductRow(data.id);
+    case "stock.changed":   return patchProductStock(data);
+    case "resync":          return loadProducts();
+  }
+}
+
+function findProductRow(productId) {
+  return productList.querySelector(`.product[data-product-id="${productId}"]`);
+}
+
+// New products only belong at the top of the first page of the unfiltered,
+// newest-first list; anywhere else the next load picks them up
+function addProductRow(product) {
+  if (currentPage !== 1 || searchInput.value.trim() || sortSelect.value !== "newest") return;
+  if (findProductRow(product.id)) return patchProductRow(product);
+
+  // A product restored from the trash keeps its age, so it may not go first
+  const newest = currentProducts[0];
+  if (newest && new Date(product.created_at) < new Date(newest.created_at)) return loadProducts();
+
+  if (!currentProducts.length) return renderProducts([product]);
+
+  currentProducts = [product, ...currentProducts];
+  productList.prepend(renderProductRow(product));
+  if (currentProducts.length > PAGE_LIMIT) {
+    const last = currentProducts.pop();
+    findProductRow(last.id)?.remove();
+  }
+}
+
+// Re-renders one row from product, keeping its stock history panel (and
+// whether it's open) as it was
+function patchProductRow(product) {
+  const row = findProductRow(product.id);
+  if (!row) return;
+
+  currentProducts = currentProducts.map((p) => (p.id === product.id ? product : p));
+  const fresh = renderProductRow(product);
+  fresh.querySelector(".stock-history").replaceWith(row.querySelector(".stock-history"));
+  row.replaceWith(fresh);
+}
+
+function removeProductRow(productId) {
+  const row = findProductRow(productId);
+  if (!row) return;
+
+  currentProducts = currentProducts.filter((p) => p.id !== productId);
+  if (!currentProducts.length) return renderProducts([]);
+  row.remove();
+}
+
+function patchProductStock({ productId, stock, lowStockThreshold }) {
+  const product = currentProducts.find((p) => p.id === productId);
+  if (product) patchProductRow({ ...product, stock, low_stock_threshold: lowStockThreshold });
+}
+
+/* ---------------- STOCK HISTORY ---------------- */
+
+async function toggleStockHistory(productId) {
+  const box = document.getElementById(`history-${productId}`);
+  if (box.style.display === "block") {
+    box.style.display = "none";
+    return;
+  }
+
+  box.style.display = "block";
+  box.textContent   = "Loading history...";
+
+  try {
+    const res  = await authFetch(`${SERVER_URL}/api/products/${productId}/stock-movements?limit=50`);
+    const data = await res.json();
+
+    if (!data.success) {
+      box.textContent = "Failed to load stock history.";
+      return;
+    }
+    renderStockHistory(box, data.movements);
+  } catch (err) {
+    console.error(err);
+    box.textContent = "Error loading stock history.";
+  }
+}
+
+function renderStockHistory(box, movements) {
+  if (!movements.length) {
+    box.innerHTML = "<p>No stock movements recorded yet.</p>";
+    return;
+  }
+
+  const rows = movements.map((m) => {
+    const variant = m.variant_id ? [m.size, m.color].filter(Boolean).join(" / ") : "—";
+    const delta   = m.quantity_delta > 0 ? `+${m.quantity_delta}` : m.quantity_delta;
+    return `
+      <tr>
+        <td>${new Date(m.created_at).toLocaleString()}</td>
+        <td>${m.movement_type}</td>
+        <td>${variant}</td>
+        <td>${delta}</td>
+        <td>${m.stock_after}</td>
+        <td>${m.reason || (m.order_id ? `Order #${m.order_id}` : "")}</td>
+        <td>${m.actor_email || ""}</td>
+      </tr>`;
+  }).join("");
+
+  box.innerHTML = `
+    <table>
+      <tr><th>When</th><th>Type</th><th>Variant</th><th>Change</th><th>Stock after</th><th>Reason</th><th>By</th></tr>
+      ${rows}
+    </table>
+  `;
 }
 
 /* ---------------- INIT ---------------- */
 
-window.openUpdateForm = openUpdateForm;
-window.deleteProduct  = deleteProduct;
+window.openUpdateForm     = openUpdateForm;
+window.deleteProduct      = deleteProduct;
+window.toggleStockHistory = toggleStockHistory;
 
-window.addEventListener("DOMContentLoaded", loadProducts);
+window.addEventListener("DOMContentLoaded", initAuth);